@@ -5,6 +5,12 @@ import dotenv from "dotenv";
 import Product from "../models/productModel.js";
 import mongoose from "mongoose";
 import Order from "../models/orderModel.js";
+import {
+  formatMoney,
+  getOrderCurrency,
+  toOrderCurrency,
+} from "../services/currencyService.js";
+import { hasVariantStock } from "../services/inventoryService.js";
 
 dotenv.config();
 
@@ -12,6 +18,9 @@ const WIT_AI_SERVER_ACCESS_TOKEN = process.env.WIT_AI_SERVER_ACCESS_TOKEN;
 const client = new Wit({ accessToken: WIT_AI_SERVER_ACCESS_TOKEN });
 let conversationContext = {};
 
+const formatOrderMoney = (order, amount) =>
+  formatMoney(toOrderCurrency(order, amount), getOrderCurrency(order).code);
+
 async function getProductInfo(productName) {
   try {
     const product = await Product.findOne({
@@ -28,10 +37,7 @@ async function getProductPrice(productName) {
       name: { $regex: productName, $options: "i" },
     });
     if (product) {
-      return product.price.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      });
+      return formatMoney(product.price);
     }
     return null;
   } catch (error) {
@@ -72,18 +78,9 @@ async function getProductsByColor(productName, color) {
   try {
     const product = await Product.findOne({
       name: { $regex: productName, $options: "i" },
-      "colors.name": { $regex: color, $options: "i" },
     });
 
-    if (product) {
-      const colorInfo = product.colors.find(
-        (c) => c.name.toLowerCase() === color.toLowerCase()
-      );
-      if (colorInfo && colorInfo.countInStock > 0) {
-        return product;
-      }
-    }
-    return null;
+    return product && hasVariantStock(product, { colors: [color] }) ? product : null;
   } catch (error) {
     throw new Error("Failed to query database");
   }
@@ -92,10 +89,9 @@ async function getProductsBySize(productName, size) {
   try {
     const product = await Product.findOne({
       name: { $regex: productName, $options: "i" },
-      [`size.${size}`]: { $exists: true, $ne: 0 },
     });
 
-    return product;
+    return product && hasVariantStock(product, { sizes: [size] }) ? product : null;
   } catch (error) {
     throw new Error("Failed to query database");
   }
@@ -112,21 +108,9 @@ async function checkColorAvailability(productName, color) {
   try {
     const product = await Product.findOne({
       name: { $regex: productName, $options: "i" },
-      "colors.name": { $regex: color, $options: "i" },
     });
 
-    if (product) {
-      const colorInfo = product.colors.find(
-        (c) => c.name.toLowerCase() === color.toLowerCase()
-      );
-      if (colorInfo) {
-        return colorInfo.countInStock > 0;
-      } else {
-        return false;
-      }
-    } else {
-      return false;
-    }
+    return product ? hasVariantStock(product, { colors: [color] }) : false;
   } catch (error) {
     throw new Error("Failed to query database");
   }
@@ -137,11 +121,7 @@ async function checkSizeAvailability(productName, size) {
       name: { $regex: productName, $options: "i" },
     });
 
-    if (product && product.size[size] !== undefined) {
-      return product.size[size] > 0;
-    } else {
-      return false;
-    }
+    return product ? hasVariantStock(product, { sizes: [size] }) : false;
   } catch (error) {
     throw new Error("Failed to query database");
   }
@@ -220,10 +200,7 @@ async function handleAskProductInfo(data) {
     if (productInfo) {
       let responseText = `Here's the information about ${productName}: \n - Name: ${
         productInfo.name
-      } \n - Price: ${productInfo.price.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      })} \n - Description: ${productInfo.description} \n - Brand: ${
+      } \n - Price: ${formatMoney(productInfo.price)} \n - Description: ${productInfo.description} \n - Brand: ${
         productInfo.brand
       } \n - Stock: ${
         productInfo.countInStock > 0
@@ -246,13 +223,7 @@ async function handleAskProductsByCategory(data) {
     if (products && products.length > 0) {
       let responseText = `Here are some products in the ${category} category:\n`;
       products.forEach((product) => {
-        responseText += `- ${product.name} (${product.price.toLocaleString(
-          "en-US",
-          {
-            style: "currency",
-            currency: "USD",
-          }
-        )} )\n`;
+        responseText += `- ${product.name} (${formatMoney(product.price)} )\n`;
       });
       return responseText;
     } else {
@@ -270,13 +241,7 @@ async function handleAskProductsByBrand(data) {
     if (products && products.length > 0) {
       let responseText = `Here are some products from ${brand}:\n`;
       products.forEach((product) => {
-        responseText += `- ${product.name} (${product.price.toLocaleString(
-          "en-US",
-          {
-            style: "currency",
-            currency: "USD",
-          }
-        )} )\n`;
+        responseText += `- ${product.name} (${formatMoney(product.price)} )\n`;
       });
       return responseText;
     } else {
@@ -354,10 +319,7 @@ async function handleAskSaleProducts() {
     products.forEach((product) => {
       responseText += `- ${product.name} (Sale: ${
         product.sale
-      }%) - Price: ${product.price.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      })} )\n`;
+      }%) - Price: ${formatMoney(product.price)} )\n`;
     });
     return responseText;
   } else {
@@ -457,15 +419,9 @@ async function handleAskOrderStatus(data) {
       order.orderItems.forEach((item) => {
         responseText += `  - ${item.name} (Quantity: ${
           item.qty
-        }, Price: ${item.priceSale.toLocaleString("en-US", {
-          style: "currency",
-          currency: "USD",
-        })})\n`;
+        }, Price: ${formatOrderMoney(order, item.priceSale)})\n`;
       });
-      responseText += `- Total: ${order.totalPrice.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      })}\n`;
+      responseText += `- Total: ${formatOrderMoney(order, order.totalPrice)}\n`;
       responseText += `- Payment method: ${order.paymentMethod}\n`;
       responseText += `- Shipping address: ${order.shippingAddress.address}, ${order.shippingAddress.city}, ${order.shippingAddress.postalCode}, ${order.shippingAddress.country}\n`;
       return responseText;
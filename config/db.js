@@ -32,6 +32,18 @@ const createIndexes = async () => {
     const Brand = (await import('../models/brandModel.js')).default;
     const Size = (await import('../models/sizeModel.js')).default;
     const Color = (await import('../models/colorModel.js')).default;
+    const Order = (await import('../models/orderModel.js')).default;
+    const IdempotencyKey = (await import('../models/idempotencyKeyModel.js')).default;
+    const Coupon = (await import('../models/couponModel.js')).default;
+    const CouponRedemption = (await import('../models/couponRedemptionModel.js')).default;
+    const ReturnRequest = (await import('../models/returnRequestModel.js')).default;
+    const Cart = (await import('../models/cartModel.js')).default;
+    const AbandonedCart = (await import('../models/abandonedCartModel.js')).default;
+    const ShippingZone = (await import('../models/shippingZoneModel.js')).default;
+    const TaxRule = (await import('../models/taxRuleModel.js')).default;
+    const ExchangeRate = (await import('../models/exchangeRateModel.js')).default;
+    const Product = (await import('../models/productModel.js')).default;
+    const SearchLog = (await import('../models/searchLogModel.js')).default;
     
     await Promise.allSettled([
       User.createIndexes().catch(() => {}), // Uses schema-defined indexes
@@ -39,6 +51,18 @@ const createIndexes = async () => {
       Brand.createIndexes().catch(() => {}),
       Size.createIndexes().catch(() => {}),
       Color.createIndexes().catch(() => {}),
+      Order.createIndexes().catch(() => {}),
+      IdempotencyKey.createIndexes().catch(() => {}),
+      Coupon.createIndexes().catch(() => {}),
+      CouponRedemption.createIndexes().catch(() => {}),
+      ReturnRequest.createIndexes().catch(() => {}),
+      Cart.createIndexes().catch(() => {}),
+      AbandonedCart.createIndexes().catch(() => {}),
+      ShippingZone.createIndexes().catch(() => {}),
+      TaxRule.createIndexes().catch(() => {}),
+      ExchangeRate.createIndexes().catch(() => {}),
+      Product.createIndexes().catch(() => {}),
+      SearchLog.createIndexes().catch(() => {}),
     ]);
     
   } catch (error) {
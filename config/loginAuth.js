@@ -3,6 +3,7 @@ import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as FacebookStrategy } from 'passport-facebook';
 import { Strategy as TwitterStrategy } from 'passport-twitter';
 import User from '../models/userModel.js';
+import { sendGuestOrderClaimEmail } from '../services/guestOrderService.js';
 
 const handleSocialLogin = async (profile, done) => {
   const email = profile.emails && profile.emails[0].value;
@@ -17,6 +18,9 @@ const handleSocialLogin = async (profile, done) => {
     let user = await User.findOne({ email });
     if (!user) {
       user = await User.create({ name, email });
+      await sendGuestOrderClaimEmail(user).catch((error) =>
+        console.error('Failed to send guest order claim email:', error.message)
+      );
     }
     return done(null, user);
   } catch (error) {
@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import {
+  createPayPalHttpClient,
+  createFakePayPalClient,
+} from '../services/paypalClient.js';
+
+dotenv.config();
+
+const PAYPAL_API_BASES = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com',
+};
+
+export const PAYPAL_MODE = process.env.PAYPAL_MODE || 'sandbox';
+
+let paypalClient = null;
+
+export const getPayPalClient = () => {
+  if (!paypalClient) {
+    paypalClient =
+      PAYPAL_MODE === 'fake'
+        ? createFakePayPalClient()
+        : createPayPalHttpClient({
+            baseUrl:
+              process.env.PAYPAL_API_BASE ||
+              PAYPAL_API_BASES[PAYPAL_MODE] ||
+              PAYPAL_API_BASES.sandbox,
+            clientId: process.env.PAYPAL_CLIENT_ID,
+            clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+          });
+  }
+  return paypalClient;
+};
+
+export const setPayPalClient = (client) => {
+  paypalClient = client;
+};
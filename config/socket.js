@@ -1,7 +1,77 @@
 import { Server } from "socket.io";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+
+let io = null;
+
+const ADMIN_ROOM = "admin_notifications";
+
+export const getUserRoom = (userId) => `user_${userId}`;
+
+const isReservedRoom = (room) =>
+  typeof room !== "string" || room === ADMIN_ROOM || room.startsWith(getUserRoom(""));
+
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth?.token) {
+    return socket.handshake.auth.token;
+  }
+  const header = socket.handshake.headers?.authorization;
+  return header && header.startsWith("Bearer") ? header.split(" ")[1] : null;
+};
+
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) {
+    next();
+    return;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select("_id name isAdmin");
+    if (!user) {
+      next(new Error("Not authorized, user not found"));
+      return;
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error("Not authorized, token failed"));
+  }
+};
+
+// The deployed chat client connects without a token and sends
+// userLogin(userId, isAdmin). Until SOCKET_LEGACY_LOGIN_UNTIL that payload is
+// still accepted from sockets without a token; the admin flag is read from the
+// user record, never from the payload.
+const isLegacyLoginAllowed = () => {
+  const until = Date.parse(process.env.SOCKET_LEGACY_LOGIN_UNTIL || "");
+  return Number.isFinite(until) && Date.now() < until;
+};
+
+const findLegacyUser = async (userId) => {
+  if (!isLegacyLoginAllowed() || !mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+  return User.findById(userId).select("_id name isAdmin");
+};
+
+const joinUserRooms = (socket, user) => {
+  socket.join(getUserRoom(user._id));
+  if (user.isAdmin) {
+    socket.join(ADMIN_ROOM);
+  }
+};
+
+export const emitToUser = (userId, event, payload) => {
+  if (io && userId) {
+    io.to(getUserRoom(userId)).emit(event, payload);
+  }
+};
 
 export const initSocket = (server) => {
-  const io = new Server(server, {
+  io = new Server(server, {
     cors: {
       origin: "http://localhost:3000",
       methods: ["GET", "POST"],
@@ -11,30 +81,55 @@ export const initSocket = (server) => {
   const userStatuses = {};
   const connectedUsers = {};
 
+  io.use(authenticateSocket);
+
   io.on("connection", (socket) => {
-    socket.on("userLogin", (userId, isAdmin) => {
+    let user = socket.data.user;
+    if (user) {
+      joinUserRooms(socket, user);
+    }
+
+    // The user and admin rooms are joined from the handshake token above;
+    // userLogin only marks the authenticated user as online, apart from the
+    // legacy payload of sockets without a token.
+    socket.on("userLogin", async (legacyUserId) => {
+      if (!user) {
+        try {
+          user = await findLegacyUser(legacyUserId);
+        } catch (error) {
+          console.error("Socket legacy login failed:", error.message);
+        }
+        if (!user) {
+          return;
+        }
+        socket.data.user = user;
+        joinUserRooms(socket, user);
+      }
+      const userId = String(user._id);
       userStatuses[userId] = true;
       socket.userId = userId;
       connectedUsers[socket.id] = userId;
       io.emit("userStatusUpdate", userStatuses);
-
-      if (isAdmin) {
-        socket.join("admin_notifications");
-      }
     });
 
     socket.on("joinRoom", (room) => {
+      if (isReservedRoom(room)) {
+        return;
+      }
       socket.join(room);
     });
 
     socket.on("sendMessage", (data) => {
+      if (isReservedRoom(data?.room)) {
+        return;
+      }
       io.to(data.room).emit("messageReceived", {
         ...data,
         senderSocketId: socket.id,
         read: false,
       });
       if (data.sender !== "admin") {
-        io.to("admin_notifications").emit("adminNotification", {
+        io.to(ADMIN_ROOM).emit("adminNotification", {
           type: "newMessage",
           userId: data.sender, 
           room: data.room,
@@ -46,8 +141,11 @@ export const initSocket = (server) => {
     });
 
     socket.on("markAsRead", (data) => {
+      if (isReservedRoom(data?.room)) {
+        return;
+      }
       io.to(data.room).emit("markedAsRead", data.userId);
-      io.to("admin_notifications").emit("adminNotification", {
+      io.to(ADMIN_ROOM).emit("adminNotification", {
         type: "markAsRead",
         userId: data.userId,
         room: data.room,
@@ -0,0 +1,31 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let stripeClient = null;
+
+export const getStripeClient = () => {
+  if (!stripeClient) {
+    const options = {};
+    if (process.env.STRIPE_API_HOST) {
+      options.host = process.env.STRIPE_API_HOST;
+      options.port = process.env.STRIPE_API_PORT || 12111;
+      options.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+    }
+    stripeClient = Stripe(process.env.STRIPE_SECRET_KEY, options);
+  }
+  return stripeClient;
+};
+
+export const constructStripeEvent = (payload, signature) =>
+  Stripe.webhooks.constructEvent(
+    payload,
+    signature,
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+export const toStripeAmount = (amount, decimals = 2) =>
+  Math.round(Number(amount) * 10 ** decimals);
+
+export const fromStripeAmount = (amount, decimals = 2) => Number(amount) / 10 ** decimals;
@@ -28,6 +28,49 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      parameters: {
+        CartToken: {
+          in: 'header',
+          name: 'X-Cart-Token',
+          required: false,
+          description: 'Guest cart token returned as cart.cartToken. Ignored when a bearer token is sent.',
+          schema: { type: 'string' }
+        },
+        Currency: {
+          in: 'query',
+          name: 'currency',
+          required: false,
+          description: 'ISO 4217 code from GET /api/currencies. Prices are converted from the store base currency and rounded to the currency minor unit.',
+          schema: { type: 'string', example: 'VND' }
+        },
+        SessionId: {
+          in: 'header',
+          name: 'X-Session-Id',
+          required: false,
+          description: 'Client-generated browsing session ID stored with search logs, so anonymous searches can be grouped per visitor.',
+          schema: { type: 'string', maxLength: 100 }
+        },
+        ReportDateFrom: {
+          in: 'query',
+          name: 'dateFrom',
+          required: false,
+          description: 'Start of the report window. Defaults to 30 days before dateTo.',
+          schema: { type: 'string', format: 'date' }
+        },
+        ReportDateTo: {
+          in: 'query',
+          name: 'dateTo',
+          required: false,
+          description: 'End of the report window. Defaults to now.',
+          schema: { type: 'string', format: 'date' }
+        },
+        ReportLimit: {
+          in: 'query',
+          name: 'limit',
+          required: false,
+          schema: { type: 'integer', default: 20, maximum: 100 }
+        }
+      },
       schemas: {
         User: {
           type: 'object',
@@ -59,6 +102,10 @@ const options = {
               type: 'string',
               description: 'User avatar URL'
             },
+            cartReminderOptOut: {
+              type: 'boolean',
+              description: 'Do not send abandoned cart reminder emails'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -103,12 +150,55 @@ const options = {
             },
             countInStock: {
               type: 'number',
-              description: 'Product stock count'
+              description: 'Total stock of all variants, computed on save'
+            },
+            colors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  hexCode: { type: 'string' }
+                }
+              }
+            },
+            variants: {
+              type: 'array',
+              description: 'Sellable color and size combinations, the only source of stock and checkout price',
+              items: {
+                type: 'object',
+                required: ['color', 'size'],
+                properties: {
+                  _id: { type: 'string' },
+                  sku: { type: 'string', description: 'Generated from product, color and size when omitted' },
+                  color: { type: 'string', description: 'Color name or hex code from colors' },
+                  size: { type: 'string', description: 'Any size label, e.g. M, XXL, 42, One Size' },
+                  price: { type: 'number', description: 'Unit price before sale, defaults to the product price' },
+                  stock: { type: 'number' }
+                }
+              }
+            },
+            weight: {
+              type: 'number',
+              description: 'Shipping weight in kg'
+            },
+            dimensions: {
+              type: 'object',
+              properties: {
+                length: { type: 'number' },
+                width: { type: 'number' },
+                height: { type: 'number' }
+              },
+              description: 'Package size in cm, used for volumetric weight'
             },
             rating: {
               type: 'number',
               description: 'Product rating'
             },
+            score: {
+              type: 'number',
+              description: 'Relevance score, only in search results'
+            },
             numReviews: {
               type: 'number',
               description: 'Number of reviews'
@@ -123,6 +213,77 @@ const options = {
             }
           }
         },
+        SearchSuggestion: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['product', 'brand', 'category', 'query'] },
+            id: { type: 'string', description: 'Product, brand or category ID; absent for queries' },
+            text: { type: 'string' },
+            count: { type: 'number', description: 'Times the query was searched, only for queries' },
+            highlights: {
+              type: 'array',
+              description: 'Matched parts of text',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'number' },
+                  length: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
+        SearchQueryStats: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', description: 'Query text lowercased with diacritics removed' },
+            query: { type: 'string', description: 'Latest spelling searched' },
+            searches: { type: 'number' },
+            zeroResultSearches: { type: 'number' },
+            clickedSearches: { type: 'number', description: 'Searches followed by at least one product click' },
+            averageResults: { type: 'number' },
+            clickThroughRate: { type: 'number', description: 'Percentage of searches with a click' },
+            lastSearchedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        FacetValue: {
+          type: 'object',
+          properties: {
+            value: { type: 'string' },
+            count: { type: 'number', description: 'Number of matching products' }
+          }
+        },
+        ProductFacets: {
+          type: 'object',
+          description: 'Counts for the current filter, each ignoring its own selection',
+          properties: {
+            brands: { type: 'array', items: { $ref: '#/components/schemas/FacetValue' } },
+            categories: { type: 'array', items: { $ref: '#/components/schemas/FacetValue' } },
+            sizes: { type: 'array', items: { $ref: '#/components/schemas/FacetValue' } },
+            colors: { type: 'array', items: { $ref: '#/components/schemas/FacetValue' } },
+            ratings: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'number', description: 'Lower bound, matches the rating filter' },
+                  count: { type: 'number' }
+                }
+              }
+            },
+            priceRanges: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number' },
+                  max: { type: 'number' },
+                  count: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
         Order: {
           type: 'object',
           required: ['orderItems', 'shippingAddress', 'paymentMethod'],
@@ -131,6 +292,18 @@ const options = {
               type: 'string',
               description: 'Order ID'
             },
+            user: {
+              type: 'string',
+              description: 'Customer user ID, empty for guest orders'
+            },
+            guest: {
+              type: 'object',
+              properties: {
+                email: { type: 'string', format: 'email' },
+                name: { type: 'string' }
+              },
+              description: 'Guest contact for orders placed without an account'
+            },
             orderItems: {
               type: 'array',
               items: {
@@ -140,7 +313,11 @@ const options = {
                   qty: { type: 'number' },
                   image: { type: 'string' },
                   price: { type: 'number' },
-                  product: { type: 'string' }
+                  product: { type: 'string' },
+                  sku: { type: 'string', description: 'SKU of the purchased variant' },
+                  variant: { type: 'string', description: 'ID of the purchased variant' },
+                  taxRate: { type: 'number', description: 'Tax rate in percent applied to the line' },
+                  taxPrice: { type: 'number', description: 'Tax of the line after its share of the coupon discount' }
                 }
               }
             },
@@ -166,18 +343,91 @@ const options = {
                 email_address: { type: 'string' }
               }
             },
+            itemsPrice: {
+              type: 'number',
+              description: 'Items price after product discounts, computed by the server'
+            },
+            discountPrice: {
+              type: 'number',
+              description: 'Total discount applied to items'
+            },
+            coupon: {
+              type: 'object',
+              properties: {
+                couponId: { type: 'string' },
+                code: { type: 'string' },
+                type: { type: 'string', enum: ['percentage', 'fixed'] },
+                value: { type: 'number' },
+                redeemedAt: { type: 'string', format: 'date-time' }
+              },
+              description: 'Coupon applied at order creation, redeemed when the order is confirmed'
+            },
+            couponDiscount: {
+              type: 'number',
+              description: 'Discount granted by the coupon'
+            },
             taxPrice: {
               type: 'number',
-              description: 'Tax price'
+              description: 'Total tax, computed per line by the server'
+            },
+            taxIncluded: {
+              type: 'number',
+              description: 'Part of taxPrice already included in the item prices (tax-inclusive rules)'
+            },
+            taxBreakdown: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rule: { type: 'string' },
+                  name: { type: 'string' },
+                  rate: { type: 'number' },
+                  inclusive: { type: 'boolean' },
+                  taxableAmount: { type: 'number', description: 'Net amount the tax was computed on' },
+                  tax: { type: 'number' }
+                }
+              }
             },
             shippingPrice: {
               type: 'number',
-              description: 'Shipping price'
+              description: 'Price of the chosen shipping method, computed by the server'
+            },
+            shippingMethod: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                name: { type: 'string' },
+                zone: { type: 'string' },
+                minDeliveryDays: { type: 'number' },
+                maxDeliveryDays: { type: 'number' }
+              },
+              description: 'Shipping method chosen at order creation; send its code as shippingMethod when ordering'
+            },
+            shippingWeight: {
+              type: 'number',
+              description: 'Billable weight in kg'
             },
             totalPrice: {
               type: 'number',
               description: 'Total price'
             },
+            currency: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'EUR' },
+                rate: { type: 'number', description: 'Units of this currency per 1 unit of the base currency' },
+                decimals: { type: 'number' }
+              },
+              description: 'Currency and rate the order was placed and charged in. Prices in responses are shown in this currency unless ?currency= asks for another one'
+            },
+            displayCurrency: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                rate: { type: 'number' }
+              },
+              description: 'Currency the prices in this response were converted to; absent when they are in the base currency'
+            },
             isPaid: {
               type: 'boolean',
               description: 'Payment status'
@@ -194,6 +444,51 @@ const options = {
               type: 'string',
               format: 'date-time'
             },
+            status: {
+              type: 'string',
+              enum: ['pending', 'confirmed', 'packed', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'refunded'],
+              description: 'Order lifecycle status'
+            },
+            statusHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string' },
+                  changedBy: { type: 'string' },
+                  changedAt: { type: 'string', format: 'date-time' },
+                  note: { type: 'string' }
+                }
+              }
+            },
+            cancellationReason: {
+              type: 'string',
+              description: 'Why the order was cancelled automatically, e.g. payment timeout'
+            },
+            shipments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  carrier: { type: 'string' },
+                  trackingNumber: { type: 'string' },
+                  trackingUrl: { type: 'string' },
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        orderItem: { type: 'string' },
+                        qty: { type: 'number' }
+                      }
+                    }
+                  },
+                  shippedAt: { type: 'string', format: 'date-time' },
+                  deliveredAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -264,6 +559,298 @@ const options = {
             }
           }
         },
+        Coupon: {
+          type: 'object',
+          required: ['code', 'type', 'value'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Coupon ID'
+            },
+            code: {
+              type: 'string',
+              description: 'Coupon code, stored in uppercase'
+            },
+            description: {
+              type: 'string'
+            },
+            type: {
+              type: 'string',
+              enum: ['percentage', 'fixed'],
+              description: 'Percentage of the eligible items or a fixed amount'
+            },
+            value: {
+              type: 'number',
+              description: 'Percentage (0-100) or fixed amount'
+            },
+            maxDiscount: {
+              type: 'number',
+              description: 'Upper bound of the discount'
+            },
+            minOrderValue: {
+              type: 'number',
+              description: 'Minimum items price required'
+            },
+            usageLimit: {
+              type: 'number',
+              description: 'Total number of confirmed orders allowed to use the coupon'
+            },
+            usageLimitPerUser: {
+              type: 'number',
+              description: 'Number of confirmed orders allowed per user'
+            },
+            usedCount: {
+              type: 'number'
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            isActive: {
+              type: 'boolean'
+            },
+            categories: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Restrict the coupon to these product categories'
+            },
+            brands: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Restrict the coupon to these product brands'
+            }
+          }
+        },
+        AddressInput: {
+          type: 'object',
+          required: ['label', 'address', 'city', 'postalCode', 'country', 'recipientPhoneNumber'],
+          properties: {
+            label: {
+              type: 'string',
+              description: 'Name of the address, unique per user (e.g. Home, Office)'
+            },
+            address: { type: 'string' },
+            city: { type: 'string' },
+            postalCode: {
+              type: 'string',
+              description: 'VN: 5 digits (the older 6-digit form is also accepted). US: 5-digit ZIP or ZIP+4'
+            },
+            country: {
+              type: 'string',
+              description: 'Country name or ISO code; VN and US names are stored as their ISO code'
+            },
+            recipientPhoneNumber: {
+              type: 'string',
+              description: 'VN: 0912345678 or +84912345678. US: 10 digits, optionally prefixed with +1'
+            },
+            isDefault: { type: 'boolean' }
+          }
+        },
+        Address: {
+          allOf: [
+            { $ref: '#/components/schemas/AddressInput' },
+            {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          ]
+        },
+        ShippingZone: {
+          type: 'object',
+          required: ['name', 'countries', 'methods'],
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string' },
+            countries: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'ISO codes or names; VN and US names are stored as their ISO code'
+            },
+            cities: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Limit the zone to these cities. Empty means the whole country; a zone naming the city wins over a whole-country zone'
+            },
+            methods: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['code', 'name', 'rates'],
+                properties: {
+                  code: { type: 'string', example: 'standard' },
+                  name: { type: 'string' },
+                  rates: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['price'],
+                      properties: {
+                        minWeight: { type: 'number', default: 0 },
+                        maxWeight: { type: 'number', description: 'Empty for no upper limit' },
+                        price: { type: 'number' }
+                      }
+                    },
+                    description: 'Weight bands in kg'
+                  },
+                  freeShippingThreshold: {
+                    type: 'number',
+                    description: 'Items price (after coupon) from which this method is free'
+                  },
+                  minDeliveryDays: { type: 'number' },
+                  maxDeliveryDays: { type: 'number' },
+                  isActive: { type: 'boolean', default: true }
+                }
+              }
+            },
+            isActive: { type: 'boolean', default: true }
+          }
+        },
+        TaxRule: {
+          type: 'object',
+          required: ['name', 'country', 'rate'],
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'VAT' },
+            country: {
+              type: 'string',
+              description: 'ISO code or name; VN and US names are stored as their ISO code'
+            },
+            category: {
+              type: 'string',
+              description: 'Product category the rule is limited to. Empty applies to the rest of the country'
+            },
+            rate: { type: 'number', description: 'Percent, 0-100' },
+            inclusive: {
+              type: 'boolean',
+              default: false,
+              description: 'Product prices already include this tax'
+            },
+            rounding: {
+              type: 'string',
+              enum: ['half_up', 'half_even', 'up', 'down'],
+              default: 'half_up',
+              description: 'How each line tax is rounded to cents'
+            },
+            isActive: { type: 'boolean', default: true }
+          }
+        },
+        ExchangeRate: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', example: 'VND' },
+            rate: { type: 'number', example: 25000, description: 'Units of this currency per 1 unit of the base currency' },
+            decimals: { type: 'number', example: 0 },
+            isBase: { type: 'boolean' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ShippingQuote: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            name: { type: 'string' },
+            price: { type: 'number' },
+            freeShipping: { type: 'boolean' },
+            minDeliveryDays: { type: 'number' },
+            maxDeliveryDays: { type: 'number' },
+            zone: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' }
+              }
+            }
+          }
+        },
+        CartLineInput: {
+          type: 'object',
+          required: ['product', 'colorSelected', 'sizeSelected'],
+          properties: {
+            product: {
+              type: 'string',
+              description: 'Product ID'
+            },
+            colorSelected: {
+              type: 'string'
+            },
+            sizeSelected: {
+              type: 'string'
+            },
+            qty: {
+              type: 'number',
+              description: 'Defaults to 1 when adding'
+            }
+          }
+        },
+        Cart: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Cart ID'
+            },
+            cartToken: {
+              type: 'string',
+              nullable: true,
+              description: 'Guest cart token, null for logged in users'
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  product: { type: 'string' },
+                  colorSelected: { type: 'string' },
+                  sizeSelected: { type: 'string' },
+                  qty: { type: 'number' },
+                  name: { type: 'string' },
+                  image: { type: 'string' },
+                  price: { type: 'number' },
+                  priceSale: { type: 'number' },
+                  previousPriceSale: {
+                    type: 'number',
+                    description: 'Sale price seen when the line was last read or changed'
+                  },
+                  lineTotal: { type: 'number' },
+                  available: { type: 'number' },
+                  status: {
+                    type: 'string',
+                    enum: ['ok', 'price_changed', 'insufficient_stock', 'out_of_stock', 'unavailable']
+                  },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            itemsCount: {
+              type: 'number'
+            },
+            subtotal: {
+              type: 'number',
+              description: 'Purchasable lines before product sales'
+            },
+            itemsPrice: {
+              type: 'number',
+              description: 'Purchasable lines after product sales'
+            },
+            hasIssues: {
+              type: 'boolean',
+              description: 'True when any line is not ok'
+            },
+            lastActivityAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
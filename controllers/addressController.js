@@ -0,0 +1,63 @@
+import asyncHandler from "express-async-handler";
+import {
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+} from "../services/addressService.js";
+import { sendSuccess, sendError, sendCreated } from "../utils/responseHelper.js";
+
+const sendAddressError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Address operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+// @desc    Get the saved shipping addresses of the logged in user
+// @route   GET /api/users/profile/addresses
+// @access  Private
+export const getAddresses = asyncHandler(async (req, res) => {
+  try {
+    const addresses = await listAddresses(req.user._id);
+    sendSuccess(res, 200, "Addresses retrieved successfully", { addresses });
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
+
+// @desc    Save a new shipping address
+// @route   POST /api/users/profile/addresses
+// @access  Private
+export const createAddress = asyncHandler(async (req, res) => {
+  try {
+    const address = await addAddress(req.user._id, req.body);
+    sendCreated(res, "Address saved successfully", { address });
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
+
+// @desc    Update a saved shipping address
+// @route   PUT /api/users/profile/addresses/:addressId
+// @access  Private
+export const editAddress = asyncHandler(async (req, res) => {
+  try {
+    const address = await updateAddress(req.user._id, req.params.addressId, req.body);
+    sendSuccess(res, 200, "Address updated successfully", { address });
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
+
+// @desc    Delete a saved shipping address
+// @route   DELETE /api/users/profile/addresses/:addressId
+// @access  Private
+export const deleteAddress = asyncHandler(async (req, res) => {
+  try {
+    const addresses = await removeAddress(req.user._id, req.params.addressId);
+    sendSuccess(res, 200, "Address deleted successfully", { addresses });
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
@@ -1,4 +1,5 @@
 import Brand from "../models/brandModel.js";
+import { invalidateSuggestIndex } from "../services/searchSuggestService.js";
 import { sendSuccess, sendError, sendValidationError, sendNotFound } from "../utils/responseHelper.js";
 
 // @desc    Get all brands
@@ -39,6 +40,7 @@ export const createBrand = async (req, res) => {
 
     const brand = new Brand({ name });
     const createdBrand = await brand.save();
+    invalidateSuggestIndex();
     sendSuccess(res, 201, "Brand created successfully", { brand: createdBrand });
   } catch (error) {
     console.error("Error creating brand:", error);
@@ -56,6 +58,7 @@ export const updateBrand = async (req, res) => {
     if (brand) {
       brand.name = req.body.name || brand.name;
       const updatedBrand = await brand.save();
+      invalidateSuggestIndex();
       sendSuccess(res, 200, "Brand updated successfully", { brand: updatedBrand });
     } else {
       sendNotFound(res, "Brand not found");
@@ -74,6 +77,7 @@ export const deleteBrand = async (req, res) => {
 
     if (brand) {
       await brand.remove();
+      invalidateSuggestIndex();
       sendSuccess(res, 200, "Brand removed successfully");
     } else {
       sendNotFound(res, "Brand not found");
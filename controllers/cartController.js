@@ -0,0 +1,225 @@
+import asyncHandler from "express-async-handler";
+import AbandonedCart from "../models/abandonedCartModel.js";
+import {
+  findCart,
+  getOrCreateCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  revalidateCart,
+  rememberCartCurrency,
+  mergeGuestCart,
+  checkoutCart,
+} from "../services/cartService.js";
+import {
+  buildAbandonedCartFilter,
+  getAbandonedCartReport,
+  optOutOfCartReminders,
+} from "../services/abandonedCartService.js";
+import { parseGuest, issueGuestOrderAccess } from "../services/guestOrderService.js";
+import { convertOrderPrices, convertCartPrices } from "../services/currencyService.js";
+import { sendSuccess, sendError, sendNotFound } from "../utils/responseHelper.js";
+
+const sendCartError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Cart operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+// The currency the shopper browses in is kept on the cart, so reminder emails
+// show the same prices.
+const viewCart = async (req, cart) => {
+  await rememberCartCurrency(cart, req.currency);
+  return convertCartPrices(await revalidateCart(cart), req.currency);
+};
+
+const getCartOwner = (req) => ({
+  userId: req.user?._id,
+  guestToken: req.get("X-Cart-Token"),
+});
+
+// @desc    Get the current cart with revalidated prices and stock
+// @route   GET /api/cart
+// @access  Public (guest carts use the X-Cart-Token header)
+export const getCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await findCart(getCartOwner(req));
+    sendSuccess(res, 200, "Cart retrieved successfully", {
+      cart: await viewCart(req, cart),
+    });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Add a product line to the cart
+// @route   POST /api/cart/items
+// @access  Public (guest carts use the X-Cart-Token header)
+export const addItemToCart = asyncHandler(async (req, res) => {
+  try {
+    const owner = getCartOwner(req);
+    const cart = await getOrCreateCart(owner);
+    await addCartItem(cart, req.body, { userId: owner.userId });
+    sendSuccess(res, 200, "Item added to cart", { cart: await viewCart(req, cart) });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Set the quantity of a cart line (0 removes it)
+// @route   PUT /api/cart/items
+// @access  Public (guest carts use the X-Cart-Token header)
+export const updateItemInCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await findCart(getCartOwner(req));
+    if (!cart) {
+      sendNotFound(res, "Cart not found");
+      return;
+    }
+    await updateCartItem(cart, req.body);
+    sendSuccess(res, 200, "Cart updated successfully", { cart: await viewCart(req, cart) });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items
+// @access  Public (guest carts use the X-Cart-Token header)
+export const removeItemFromCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await findCart(getCartOwner(req));
+    if (!cart) {
+      sendNotFound(res, "Cart not found");
+      return;
+    }
+    await removeCartItem(cart, req.body);
+    sendSuccess(res, 200, "Item removed from cart", { cart: await viewCart(req, cart) });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Remove every line from the cart
+// @route   DELETE /api/cart
+// @access  Public (guest carts use the X-Cart-Token header)
+export const emptyCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await findCart(getCartOwner(req));
+    if (cart) {
+      await clearCart(cart);
+    }
+    sendSuccess(res, 200, "Cart cleared successfully", { cart: await viewCart(req, cart) });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Merge a guest cart into the logged in user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+export const mergeCart = asyncHandler(async (req, res) => {
+  try {
+    const cart = await mergeGuestCart(
+      req.user._id,
+      req.body?.cartToken || req.get("X-Cart-Token")
+    );
+    sendSuccess(res, 200, "Cart merged successfully", { cart: await viewCart(req, cart) });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Create an order from the cart
+// @route   POST /api/cart/checkout
+// @access  Public (guests use the X-Cart-Token header and guestEmail)
+export const checkoutFromCart = asyncHandler(async (req, res) => {
+  const {
+    shippingAddress,
+    addressId,
+    shippingMethod,
+    paymentMethod,
+    couponCode,
+    itemsPrice,
+    couponDiscount,
+    taxPrice,
+    shippingPrice,
+    totalPrice,
+  } = req.body;
+
+  try {
+    const guest = req.user ? undefined : parseGuest(req.body);
+    const cart = await findCart(getCartOwner(req));
+    const order = await checkoutCart(cart, {
+      userId: req.user?._id,
+      guest,
+      shippingAddress,
+      addressId,
+      shippingMethod,
+      paymentMethod,
+      couponCode,
+      currency: req.currency,
+      clientPricing: { itemsPrice, couponDiscount, taxPrice, shippingPrice, totalPrice },
+    });
+    const orderToken = guest ? await issueGuestOrderAccess(order) : undefined;
+    sendSuccess(res, 201, "Order created successfully", {
+      order: convertOrderPrices(order, req.currency),
+      orderToken,
+    });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Get abandoned carts
+// @route   GET /api/cart/abandoned
+// @access  Private/Admin
+export const getAbandonedCarts = asyncHandler(async (req, res) => {
+  const perPage = parseInt(req.query.perPage) || 9;
+  const page = parseInt(req.query.pageNumber) || 1;
+
+  try {
+    const filter = buildAbandonedCartFilter(req.query);
+    const count = await AbandonedCart.countDocuments(filter);
+    const abandonedCarts = await AbandonedCart.find(filter)
+      .populate("user", "id name email")
+      .sort({ abandonedAt: -1 })
+      .limit(perPage)
+      .skip(perPage * (page - 1));
+
+    sendSuccess(res, 200, "Abandoned carts retrieved successfully", {
+      abandonedCarts,
+      page,
+      pages: Math.ceil(count / perPage),
+      count,
+    });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Get recovered vs abandoned cart totals
+// @route   GET /api/cart/abandoned/report
+// @access  Private/Admin
+export const getAbandonedCartStats = asyncHandler(async (req, res) => {
+  try {
+    const report = await getAbandonedCartReport(req.query);
+    sendSuccess(res, 200, "Abandoned cart report retrieved successfully", { report });
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// @desc    Stop cart reminder emails from the link in the email
+// @route   GET /api/cart/reminders/unsubscribe
+// @access  Public
+export const unsubscribeCartReminders = asyncHandler(async (req, res) => {
+  try {
+    await optOutOfCartReminders(req.query.token);
+    sendSuccess(res, 200, "You will no longer receive cart reminder emails");
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
@@ -1,6 +1,7 @@
 import Category from "../models/categoryModel.js";
 import asyncHandler from "express-async-handler";
 import Product from "../models/productModel.js";
+import { invalidateSuggestIndex } from "../services/searchSuggestService.js";
 import { sendSuccess, sendError, sendValidationError, sendNotFound } from "../utils/responseHelper.js";
 
 // @desc    Get all categories
@@ -72,6 +73,7 @@ const createCategory = asyncHandler(async (req, res) => {
   });
 
   if (category) {
+    invalidateSuggestIndex();
     sendSuccess(res, 201, "Category created successfully", { category });
   } else {
     sendValidationError(res, "Invalid category data");
@@ -90,6 +92,7 @@ const updateCategory = asyncHandler(async (req, res) => {
     category.name = name || category.name;
 
     const updatedCategory = await category.save();
+    invalidateSuggestIndex();
     sendSuccess(res, 200, "Category updated successfully", { category: updatedCategory });
   } else {
     sendNotFound(res, "Category not found");
@@ -104,6 +107,7 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
   if (category) {
     await category.remove();
+    invalidateSuggestIndex();
     sendSuccess(res, 200, "Category removed successfully");
   } else {
     sendNotFound(res, "Category not found");
@@ -0,0 +1,174 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Coupon from "../models/couponModel.js";
+import CouponRedemption from "../models/couponRedemptionModel.js";
+import { normalizeCouponCode } from "../services/couponService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+} from "../utils/responseHelper.js";
+
+const RECENT_REDEMPTIONS_LIMIT = 50;
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minOrderValue",
+  "usageLimit",
+  "usageLimitPerUser",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+  "categories",
+  "brands",
+];
+
+const pickCouponFields = (body) =>
+  COUPON_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+const saveCoupon = async (res, coupon, status, message) => {
+  if (coupon.startsAt && coupon.expiresAt && coupon.startsAt >= coupon.expiresAt) {
+    sendValidationError(res, "Coupon expiry must be after its start date");
+    return;
+  }
+
+  try {
+    const savedCoupon = await coupon.save();
+    sendSuccess(res, status, message, { coupon: savedCoupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      sendValidationError(res, `Coupon ${coupon.code} already exists`);
+    } else if (error instanceof mongoose.Error.ValidationError) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 500, "Error saving coupon", { error: error.message });
+    }
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+const getCoupons = asyncHandler(async (req, res) => {
+  const perPage = parseInt(req.query.perPage) || 9;
+  const page = parseInt(req.query.pageNumber) || 1;
+
+  const filter = {};
+  if (req.query.keyword) {
+    filter.code = { $regex: normalizeCouponCode(req.query.keyword), $options: "i" };
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === "true";
+  }
+
+  const count = await Coupon.countDocuments(filter);
+  const coupons = await Coupon.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(perPage)
+    .skip(perPage * (page - 1));
+
+  sendSuccess(res, 200, "Coupons retrieved successfully", {
+    coupons,
+    page,
+    pages: Math.ceil(count / perPage),
+    count,
+  });
+});
+
+// @desc    Get coupon by ID
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+const getCouponById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendValidationError(res, "Invalid coupon ID");
+    return;
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    sendNotFound(res, "Coupon not found");
+    return;
+  }
+
+  const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+    .select("user order redeemedAt")
+    .populate("user", "name email")
+    .sort({ redeemedAt: -1 })
+    .limit(RECENT_REDEMPTIONS_LIMIT);
+  sendSuccess(res, 200, "Coupon retrieved successfully", {
+    coupon: { ...coupon.toObject(), redemptions },
+  });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+const createCoupon = asyncHandler(async (req, res) => {
+  const fields = pickCouponFields(req.body);
+
+  if (!fields.code || !fields.type || fields.value === undefined) {
+    sendValidationError(res, "Coupon code, type and value are required");
+    return;
+  }
+
+  const coupon = new Coupon({ ...fields, createdBy: req.user._id });
+  await saveCoupon(res, coupon, 201, "Coupon created successfully");
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+const updateCoupon = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendValidationError(res, "Invalid coupon ID");
+    return;
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    sendNotFound(res, "Coupon not found");
+    return;
+  }
+
+  coupon.set(pickCouponFields(req.body));
+  await saveCoupon(res, coupon, 200, "Coupon updated successfully");
+});
+
+// @desc    Delete a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendValidationError(res, "Invalid coupon ID");
+    return;
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    sendNotFound(res, "Coupon not found");
+    return;
+  }
+
+  if (coupon.usedCount > 0) {
+    sendValidationError(res, "Coupon has already been used, deactivate it instead");
+    return;
+  }
+
+  await coupon.deleteOne();
+  sendSuccess(res, 200, "Coupon removed successfully");
+});
+
+export { getCoupons, getCouponById, createCoupon, updateCoupon, deleteCoupon };
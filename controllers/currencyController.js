@@ -0,0 +1,106 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ExchangeRate from "../models/exchangeRateModel.js";
+import {
+  normalizeCurrencyCode,
+  getBaseCurrency,
+  getCurrencyDecimals,
+  listCurrencies,
+} from "../services/currencyService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+} from "../utils/responseHelper.js";
+
+const sendCurrencyError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Currency operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+// @desc    Get the base currency and the currencies prices can be shown in
+// @route   GET /api/currencies
+// @access  Public
+export const getCurrencies = asyncHandler(async (req, res) => {
+  sendSuccess(res, 200, "Currencies retrieved successfully", {
+    baseCurrency: getBaseCurrency(),
+    currencies: await listCurrencies(),
+  });
+});
+
+// @desc    Get all exchange rates, including inactive ones
+// @route   GET /api/currencies/rates
+// @access  Private/Admin
+export const getExchangeRates = asyncHandler(async (req, res) => {
+  const rates = await ExchangeRate.find({})
+    .populate("updatedBy", "name email")
+    .sort({ currency: 1 });
+  sendSuccess(res, 200, "Exchange rates retrieved successfully", {
+    baseCurrency: getBaseCurrency(),
+    rates,
+  });
+});
+
+// @desc    Create or update the exchange rate of a currency
+// @route   PUT /api/currencies/:code
+// @access  Private/Admin
+export const setExchangeRate = asyncHandler(async (req, res) => {
+  const currency = normalizeCurrencyCode(req.params.code);
+  try {
+    getCurrencyDecimals(currency);
+  } catch (error) {
+    sendCurrencyError(res, error);
+    return;
+  }
+  if (currency === getBaseCurrency()) {
+    sendValidationError(res, `${currency} is the base currency and always has rate 1`);
+    return;
+  }
+
+  const update = { updatedBy: req.user._id };
+  if (req.body.rate !== undefined) {
+    update.rate = Number(req.body.rate);
+  }
+  if (req.body.isActive !== undefined) {
+    update.isActive = req.body.isActive;
+  }
+
+  const rate = (await ExchangeRate.findOne({ currency })) || new ExchangeRate({ currency });
+  const isNew = rate.isNew;
+  rate.set(update);
+
+  try {
+    const savedRate = await rate.save();
+    sendSuccess(
+      res,
+      isNew ? 201 : 200,
+      isNew ? "Exchange rate created successfully" : "Exchange rate updated successfully",
+      { rate: savedRate }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      sendValidationError(res, `An exchange rate for ${currency} already exists`);
+    } else if (error instanceof mongoose.Error.ValidationError) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 500, "Error saving exchange rate", { error: error.message });
+    }
+  }
+});
+
+// @desc    Delete the exchange rate of a currency
+// @route   DELETE /api/currencies/:code
+// @access  Private/Admin
+export const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const rate = await ExchangeRate.findOneAndDelete({
+    currency: normalizeCurrencyCode(req.params.code),
+  });
+  if (!rate) {
+    sendNotFound(res, "Exchange rate not found");
+    return;
+  }
+  sendSuccess(res, 200, "Exchange rate deleted successfully");
+});
@@ -1,301 +1,155 @@
-import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
-import Product from "../models/productModel.js";
 import Order from "../models/orderModel.js";
-import { sendSuccess, sendError, sendValidationError, sendNotFound } from "../utils/responseHelper.js";
+import { reserveStock, releaseStock } from "../services/inventoryService.js";
+import { calculateOrderPricing } from "../services/pricingService.js";
+import { resolveShippingAddress } from "../services/addressService.js";
+import { createOrderFromItems } from "../services/orderCreationService.js";
+import { convertOrderPrices, convertPricing } from "../services/currencyService.js";
+import {
+  parseGuest,
+  issueGuestOrderAccess,
+  findGuestOrderByToken,
+  isValidOrderLookupToken,
+  resendOrderLookupEmail,
+  sendGuestOrderClaimEmail,
+  claimGuestOrders,
+} from "../services/guestOrderService.js";
+import { settlePayPalOrder } from "../services/paypalPaymentService.js";
+import { cancelPaymentIntentForOrder } from "../services/stripePaymentService.js";
+import { redeemOrderCoupon, releaseOrderCoupon } from "../services/couponService.js";
+import { cancelOrderAndRelease } from "../services/orderCancellationService.js";
+import {
+  buildOrderFilter,
+  buildOrderSort,
+  countOrdersByStatus,
+} from "../services/orderQueryService.js";
+import { streamOrdersCsv } from "../services/orderExportService.js";
+import {
+  buildInvoice,
+  renderInvoiceHtml,
+  writeInvoicePdf,
+} from "../services/invoiceService.js";
+import { emitToUser } from "../config/socket.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/responseHelper.js";
+
+const sendOrderError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Order operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+const MANUAL_STATUS_UPDATES = ["packed", "shipped", "delivered"];
+
+const isOrderOwnerOrAdmin = (user, order) =>
+  Boolean(user) &&
+  (user.isAdmin || String(order.user?._id || order.user) === String(user._id));
 
 const addOrderItems = asyncHandler(async (req, res) => {
   const {
     orderItems,
     shippingAddress,
+    addressId,
+    shippingMethod,
     paymentMethod,
+    couponCode,
     itemsPrice,
+    couponDiscount,
     taxPrice,
     shippingPrice,
     totalPrice,
   } = req.body;
 
-  if (orderItems && orderItems.length === 0) {
+  if (!orderItems || orderItems.length === 0) {
     sendValidationError(res, "No order items");
     return;
-  } else {
-    // Chỉ kiểm tra tồn kho, không trừ số lượng
-    for (const item of orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        // Kiểm tra tổng số lượng
-        if (product.countInStock < item.qty) {
-          console.error(
-            `Not enough stock for product: ${product.name}, id: ${product._id}. Required: ${item.qty}, মজুদ: ${product.countInStock}`
-          );
-          res.status(400);
-          throw new Error(`Not enough stock for product: ${product.name}`);
-        }
-        // Kiểm tra size
-        if (product.size) {
-          if (
-            (product.size.s &&
-              item.sizeSelected === "s" &&
-              product.size.s < item.qty) ||
-            (product.size.m &&
-              item.sizeSelected === "m" &&
-              product.size.m < item.qty) ||
-            (product.size.l &&
-              item.sizeSelected === "l" &&
-              product.size.l < item.qty) ||
-            (product.size.xl &&
-              item.sizeSelected === "xl" &&
-              product.size.xl < item.qty)
-          ) {
-            console.error(
-              `Not enough stock for product: ${
-                product.name
-              } (Size ${item.sizeSelected.toUpperCase()}), id: ${
-                product._id
-              }. Required: ${item.qty}, মজুদ: ${
-                product.size[item.sizeSelected]
-              }`
-            );
-            res.status(400);
-            throw new Error(
-              `Not enough stock for product: ${
-                product.name
-              } (Size ${item.sizeSelected.toUpperCase()})`
-            );
-          }
-        }
-      } else {
-        console.error(`Product not found with id: ${item.product}`);
-        res.status(404);
-        throw new Error(`Product not found: ${item.product}`);
-      }
-    }
+  }
 
-    // Tạo đơn hàng với isProcessing: true
-    const order = new Order({
+  try {
+    const guest = req.user ? undefined : parseGuest(req.body);
+    const createdOrder = await createOrderFromItems({
+      userId: req.user?._id,
+      guest,
       orderItems,
-      user: req.user._id,
       shippingAddress,
+      addressId,
+      shippingMethod,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      isProcessing: false,
+      couponCode,
+      currency: req.currency,
+      clientPricing: { itemsPrice, couponDiscount, taxPrice, shippingPrice, totalPrice },
+    });
+    const orderToken = guest ? await issueGuestOrderAccess(createdOrder) : undefined;
+    sendSuccess(res, 201, "Order created successfully", {
+      order: convertOrderPrices(createdOrder, req.currency),
+      orderToken,
     });
+  } catch (error) {
+    console.error("Order validation failed:", error.message);
+    sendOrderError(res, error);
+  }
+});
 
-    const createdOrder = await order.save();
-    sendSuccess(res, 201, "Order created successfully", { order: createdOrder });
+const previewOrder = asyncHandler(async (req, res) => {
+  try {
+    const { shippingAddress, addressId } = req.body;
+    const pricing = await calculateOrderPricing(req.body.orderItems, {
+      couponCode: req.body.couponCode,
+      userId: req.user?._id,
+      shippingAddress:
+        shippingAddress || addressId
+          ? await resolveShippingAddress({ userId: req.user?._id, addressId, shippingAddress })
+          : undefined,
+      shippingMethod: req.body.shippingMethod,
+    });
+    sendSuccess(res, 200, "Order pricing calculated successfully", {
+      pricing: convertPricing(pricing, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
   }
 });
 
+// Stock and coupon are taken before the order moves to confirmed, and the
+// reservations are written in the same update as the status. A cancel either
+// sees a pending order holding nothing or a confirmed one with its
+// stockReservations; if the transition loses a race, both are given back.
 const confirmOrder = asyncHandler(async (req, res) => {
-  const order = await Order.findById(req.params.id);
-
-  if (order) {
-    // Kiểm tra tồn kho trước khi xác nhận
-    for (const item of order.orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        if (product.countInStock < item.qty) {
-          console.error(
-            `Not enough stock for product: ${product.name}, id: ${product._id}. Required: ${item.qty}, মজুদ: ${product.countInStock}`
-          );
-          res.status(400);
-          throw new Error(`Not enough stock for product: ${product.name}`);
-        }
-        // Kiểm tra size
-        if (product.size) {
-          if (
-            (product.size.s &&
-              item.sizeSelected === "s" &&
-              product.size.s < item.qty) ||
-            (product.size.m &&
-              item.sizeSelected === "m" &&
-              product.size.m < item.qty) ||
-            (product.size.l &&
-              item.sizeSelected === "l" &&
-              product.size.l < item.qty) ||
-            (product.size.xl &&
-              item.sizeSelected === "xl" &&
-              product.size.xl < item.qty)
-          ) {
-            console.error(
-              `Not enough stock for product: ${
-                product.name
-              } (Size ${item.sizeSelected.toUpperCase()}), id: ${
-                product._id
-              }. Required: ${item.qty}, মজুদ: ${
-                product.size[item.sizeSelected]
-              }`
-            );
-            res.status(400);
-            throw new Error(
-              `Not enough stock for product: ${
-                product.name
-              } (Size ${item.sizeSelected.toUpperCase()})`
-            );
-          }
-        }
-      } else {
-        console.error(`Product not found with id: ${item.product}`);
-        res.status(404);
-        throw new Error(`Product not found: ${item.product}`);
-      }
-    }
-
-    // Tru countInStock va size sau khi xac nhan
-    const updateProductPromises = [];
-    for (const item of order.orderItems) {
-      updateProductPromises.push(
-        new Promise(async (resolve, reject) => {
-          try {
-            const product = await Product.findById(item.product);
-
-            if (product) {
-              const updateObject = {
-                $inc: {},
-              };
-
-              if (product.size) {
-                if (item.sizeSelected === "S") {
-                  updateObject.$inc["size.s"] = -item.qty;
-                }
-                if (item.sizeSelected === "M") {
-                  updateObject.$inc["size.m"] = -item.qty;
-                }
-                if (item.sizeSelected === "L") {
-                  updateObject.$inc["size.l"] = -item.qty;
-                }
-                if (item.sizeSelected === "XL") {
-                  updateObject.$inc["size.xl"] = -item.qty;
-                }
-              }
-
-              // Trừ countInStock tương ứng
-              updateObject.$inc.countInStock = -item.qty;
-
-              // Kiểm tra số lượng âm sau khi trừ
-              if (product.countInStock + updateObject.$inc.countInStock < 0) {
-                console.error(
-                  `Negative stock after order for product: ${
-                    product.name
-                  }, id: ${product._id}. CountInStock: ${
-                    product.countInStock + updateObject.$inc.countInStock
-                  }`
-                );
-                return reject(
-                  new Error(`Not enough stock for product: ${product.name}`)
-                );
-              }
-              if (product.size) {
-                if (
-                  item.sizeSelected === "S" &&
-                  product.size.s + (updateObject.$inc["size.s"] || 0) < 0
-                ) {
-                  console.error(
-                    `Negative stock after order for product: ${
-                      product.name
-                    }, id: ${product._id} (Size S). Count: ${
-                      product.size.s + (updateObject.$inc["size.s"] || 0)
-                    }`
-                  );
-                  return reject(
-                    new Error(
-                      `Not enough stock for product: ${product.name} (Size S)`
-                    )
-                  );
-                }
-                if (
-                  item.sizeSelected === "M" &&
-                  product.size.m + (updateObject.$inc["size.m"] || 0) < 0
-                ) {
-                  console.error(
-                    `Negative stock after order for product: ${
-                      product.name
-                    }, id: ${product._id} (Size M). Count: ${
-                      product.size.m + (updateObject.$inc["size.m"] || 0)
-                    }`
-                  );
-                  return reject(
-                    new Error(
-                      `Not enough stock for product: ${product.name} (Size M)`
-                    )
-                  );
-                }
-                if (
-                  item.sizeSelected === "L" &&
-                  product.size.l + (updateObject.$inc["size.l"] || 0) < 0
-                ) {
-                  console.error(
-                    `Negative stock after order for product: ${
-                      product.name
-                    }, id: ${product._id} (Size L). Count: ${
-                      product.size.l + (updateObject.$inc["size.l"] || 0)
-                    }`
-                  );
-                  return reject(
-                    new Error(
-                      `Not enough stock for product: ${product.name} (Size L)`
-                    )
-                  );
-                }
-                if (
-                  item.sizeSelected === "XL" &&
-                  product.size.xl + (updateObject.$inc["size.xl"] || 0) < 0
-                ) {
-                  console.error(
-                    `Negative stock after order for product: ${
-                      product.name
-                    }, id: ${product._id} (Size XL). Count: ${
-                      product.size.xl + (updateObject.$inc["size.xl"] || 0)
-                    }`
-                  );
-                  return reject(
-                    new Error(
-                      `Not enough stock for product: ${product.name} (Size XL)`
-                    )
-                  );
-                }
-              }
-
-              const result = await Product.updateOne(
-                { _id: product._id },
-                updateObject
-              );
-
-              if (result.matchedCount === 0 || result.modifiedCount === 0) {
-                console.error(
-                  "Product update did not modify any document:",
-                  product.name,
-                  result
-                );
-              }
-              resolve();
-            } else {
-              console.error(`Product not found with id: ${item.product}`);
-              resolve();
-            }
-          } catch (error) {
-            console.error("Error updating product:", error);
-            reject(error);
-          }
-        })
-      );
-    }
-
-    try {
-      await Promise.all(updateProductPromises);
-      order.isProcessing = true;
-      const updatedOrder = await order.save();
-      sendSuccess(res, 200, "Order confirmed successfully", { order: updatedOrder });
-    } catch (error) {
-      console.error("Error updating products:", error);
-      sendError(res, 500, "Error updating products", { error: error.message });
-    }
-  } else {
+  let order = await Order.findById(req.params.id);
+  if (!order) {
     sendNotFound(res, "Order not found");
+    return;
+  }
+  if (!order.canTransitionTo("confirmed")) {
+    sendError(res, 400, `Order cannot move from ${order.getStatus()} to confirmed`);
+    return;
+  }
+
+  let reservations = [];
+  try {
+    order = await redeemOrderCoupon(order);
+    reservations = await reserveStock(order.orderItems);
+    order = await Order.transition(order._id, "confirmed", {
+      changedBy: req.user._id,
+      note: req.body?.note,
+      set: { stockReservations: reservations, stockReservedAt: new Date() },
+    });
+  } catch (error) {
+    await releaseStock(reservations);
+    await releaseOrderCoupon(order);
+    sendOrderError(res, error);
+    return;
   }
+
+  sendSuccess(res, 200, "Order confirmed successfully", {
+    order: convertOrderPrices(order, req.currency),
+  });
 });
 
 const getOrderById = asyncHandler(async (req, res) => {
@@ -304,31 +158,125 @@ const getOrderById = asyncHandler(async (req, res) => {
     "name email"
   );
 
-  if (order) {
-    sendSuccess(res, 200, "Order retrieved successfully", { order });
-  } else {
+  if (!order) {
     sendNotFound(res, "Order not found!");
+    return;
+  }
+
+  if (
+    !isOrderOwnerOrAdmin(req.user, order) &&
+    !isValidOrderLookupToken(req.query.orderToken || req.get("X-Order-Token"), order)
+  ) {
+    if (req.user) {
+      sendForbidden(res, "Not authorized to view this order");
+    } else {
+      sendError(res, 401, "Not authorized, log in or provide the order token");
+    }
+    return;
+  }
+
+  sendSuccess(res, 200, "Order retrieved successfully", {
+    order: convertOrderPrices(order, req.currency),
+  });
+});
+
+const getGuestOrder = asyncHandler(async (req, res) => {
+  try {
+    const order = await findGuestOrderByToken(
+      req.params.id,
+      req.query.token || req.get("X-Order-Token")
+    );
+    sendSuccess(res, 200, "Order retrieved successfully", {
+      order: convertOrderPrices(order, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
+});
+
+const resendGuestOrderLink = asyncHandler(async (req, res) => {
+  const { email, orderId } = req.body;
+  if (!email || !orderId) {
+    sendValidationError(res, "email and orderId are required");
+    return;
+  }
+
+  try {
+    await resendOrderLookupEmail({ email, orderId });
+  } catch (error) {
+    console.error("Failed to resend order lookup email:", error.message);
+  }
+  sendSuccess(
+    res,
+    200,
+    "If a guest order matches this email, a link to it has been sent"
+  );
+});
+
+const requestGuestOrderClaim = asyncHandler(async (req, res) => {
+  try {
+    await sendGuestOrderClaimEmail(req.user);
+  } catch (error) {
+    console.error("Failed to send guest order claim email:", error.message);
+  }
+  sendSuccess(
+    res,
+    200,
+    "If guest orders match your email, a link to add them has been sent"
+  );
+});
+
+const claimGuestOrdersWithLink = asyncHandler(async (req, res) => {
+  try {
+    const count = await claimGuestOrders(req.body?.token);
+    sendSuccess(res, 200, "Guest orders added to your account", { count });
+  } catch (error) {
+    sendOrderError(res, error);
   }
 });
 
 const updateOrderToPaid = asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id);
 
-  if (order) {
-    order.isPaid = true;
-    order.paidAt = Date.now();
-    order.paymentResult = {
-      id: req.body.id,
-      status: req.body.status,
-      update_time: req.body.update_time,
-      email_address: req.body.payer.email_address,
-    };
+  if (!order) {
+    sendNotFound(res, "Order not found");
+    return;
+  }
 
-    const updatedOrder = await order.save();
+  if (order.paymentIntentId) {
+    sendValidationError(res, "Stripe payments are confirmed by the Stripe webhook");
+    return;
+  }
 
-    sendSuccess(res, 200, "Order payment updated successfully", { order: updatedOrder });
-  } else {
-    sendNotFound(res, "Order not found");
+  if (!req.user.isAdmin && String(order.user) !== String(req.user._id)) {
+    sendForbidden(res, "Not authorized to pay for this order");
+    return;
+  }
+
+  const paypalOrderId = req.body.id || order.paypalOrderId;
+
+  try {
+    let updatedOrder;
+    if (paypalOrderId) {
+      updatedOrder = await settlePayPalOrder(order, paypalOrderId, {
+        changedBy: req.user._id,
+      });
+    } else if (req.user.isAdmin) {
+      updatedOrder = await Order.markPaid(
+        order._id,
+        { status: "MANUAL", update_time: new Date().toISOString() },
+        { changedBy: req.user._id, note: req.body.note || "Marked paid by admin" }
+      );
+    } else {
+      sendValidationError(res, "PayPal order id is required");
+      return;
+    }
+
+    sendSuccess(res, 200, "Order payment updated successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
   }
 });
 
@@ -343,7 +291,7 @@ const getMyOrders = asyncHandler(async (req, res) => {
     .sort({ createdAt: -1 });
     
   sendSuccess(res, 200, "User orders retrieved successfully", { 
-    orders, 
+    orders: orders.map((order) => convertOrderPrices(order, req.currency)),
     page, 
     pages: Math.ceil(count / perPage), 
     count 
@@ -353,49 +301,188 @@ const getMyOrders = asyncHandler(async (req, res) => {
 const getOrders = asyncHandler(async (req, res) => {
   const perPage = parseInt(req.query.perPage) || 9;
   const page = parseInt(req.query.pageNumber) || 1;
-  
-  let keyword = {};
-
-  if (req.query.keyword) {
-    if (
-      (req.query.keyword.length === 12 || req.query.keyword.length === 24) &&
-      mongoose.Types.ObjectId.isValid(req.query.keyword)
-    ) {
-      try {
-        keyword = { _id: new mongoose.Types.ObjectId(req.query.keyword) };
-      } catch (error) {
-        console.error("Invalid ObjectId:", error);
-      }
-    }
+
+  let query;
+  try {
+    query = {
+      ...(await buildOrderFilter(req.query)),
+      sort: buildOrderSort(req.query),
+    };
+  } catch (error) {
+    sendOrderError(res, error);
+    return;
   }
-  
-  const count = await Order.countDocuments({ ...keyword });
-  const orders = await Order.find({ ...keyword })
-    .populate("user", "id name")
-    .sort({ createdAt: -1 })
-    .limit(perPage)
-    .skip(perPage * (page - 1));
-    
-  sendSuccess(res, 200, "Orders retrieved successfully", { 
-    orders, 
-    page, 
-    pages: Math.ceil(count / perPage), 
-    count 
+
+  const [count, orders, statusCounts] = await Promise.all([
+    Order.countDocuments(query.filter),
+    Order.find(query.filter)
+      .populate("user", "id name email")
+      .sort(query.sort)
+      .limit(perPage)
+      .skip(perPage * (page - 1)),
+    countOrdersByStatus(query.baseFilter),
+  ]);
+
+  sendSuccess(res, 200, "Orders retrieved successfully", {
+    orders: orders.map((order) => convertOrderPrices(order, req.currency)),
+    page,
+    pages: Math.ceil(count / perPage),
+    count,
+    statusCounts,
   });
 });
 
-const updateOrderToDelivered = asyncHandler(async (req, res) => {
-  const order = await Order.findById(req.params.id);
+const exportOrdersCsv = asyncHandler(async (req, res) => {
+  let query;
+  try {
+    query = {
+      ...(await buildOrderFilter(req.query)),
+      sort: buildOrderSort(req.query),
+    };
+  } catch (error) {
+    sendOrderError(res, error);
+    return;
+  }
 
-  if (order) {
-    order.isDelivered = true;
-    order.deliveredAt = Date.now();
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="orders-${date}.csv"`);
 
-    const updatedOrder = await order.save();
+  try {
+    await streamOrdersCsv(query.filter, query.sort, res);
+    res.end();
+  } catch (error) {
+    console.error("Order export failed:", error.message);
+    res.destroy(error);
+  }
+});
+
+const getOrderInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).populate("user", "name email");
 
-    sendSuccess(res, 200, "Order delivery updated successfully", { order: updatedOrder });
-  } else {
+  if (!order) {
     sendNotFound(res, "Order not found");
+    return;
+  }
+
+  if (!isOrderOwnerOrAdmin(req.user, order)) {
+    sendForbidden(res, "Not authorized to view this invoice");
+    return;
+  }
+
+  const format = req.query.format || "html";
+  if (!["html", "pdf"].includes(format)) {
+    sendValidationError(res, "Format must be html or pdf");
+    return;
+  }
+
+  const invoice = buildInvoice(order);
+  if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+    writeInvoicePdf(invoice, res);
+    return;
+  }
+
+  res.type("html").send(renderInvoiceHtml(invoice));
+});
+
+const updateOrderToDelivered = asyncHandler(async (req, res) => {
+  try {
+    const updatedOrder = await Order.transition(req.params.id, "delivered", {
+      changedBy: req.user._id,
+      note: req.body?.note,
+    });
+
+    sendSuccess(res, 200, "Order delivery updated successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
+});
+
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!MANUAL_STATUS_UPDATES.includes(status)) {
+    sendValidationError(
+      res,
+      `Status must be one of: ${MANUAL_STATUS_UPDATES.join(", ")}`
+    );
+    return;
+  }
+
+  const shippedInParcels =
+    status === "shipped" &&
+    (await Order.exists({ _id: req.params.id, "shipments.0": { $exists: true } }));
+  if (shippedInParcels) {
+    sendValidationError(
+      res,
+      "This order is shipped in parcels, add a shipment for the remaining items"
+    );
+    return;
+  }
+
+  try {
+    const updatedOrder = await Order.transition(req.params.id, status, {
+      changedBy: req.user._id,
+      note,
+    });
+
+    sendSuccess(res, 200, "Order status updated successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
+});
+
+const createShipment = asyncHandler(async (req, res) => {
+  const { carrier, trackingNumber, trackingUrl, items, note } = req.body;
+
+  try {
+    const updatedOrder = await Order.addShipment(
+      req.params.id,
+      { carrier, trackingNumber, trackingUrl, items },
+      { changedBy: req.user._id, note }
+    );
+    const shipment = updatedOrder.shipments[updatedOrder.shipments.length - 1];
+
+    emitToUser(updatedOrder.user, "orderShipped", {
+      orderId: updatedOrder._id,
+      status: updatedOrder.status,
+      shipment,
+    });
+
+    sendSuccess(res, 201, "Shipment created successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+      shipment,
+    });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
+});
+
+const deliverShipment = asyncHandler(async (req, res) => {
+  try {
+    const updatedOrder = await Order.markShipmentDelivered(
+      req.params.id,
+      req.params.shipmentId,
+      { changedBy: req.user._id }
+    );
+
+    emitToUser(updatedOrder.user, "shipmentDelivered", {
+      orderId: updatedOrder._id,
+      status: updatedOrder.status,
+      shipmentId: req.params.shipmentId,
+    });
+
+    sendSuccess(res, 200, "Shipment delivered successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
   }
 });
 
@@ -407,25 +494,46 @@ const cancelOrder = asyncHandler(async (req, res) => {
     return;
   }
 
-  if (!order.isProcessing) {
-    sendValidationError(res, "Order cannot be cancelled because it is not in Processing mode");
+  if (!isOrderOwnerOrAdmin(req.user, order)) {
+    sendForbidden(res, "Not authorized to cancel this order");
     return;
   }
 
-  order.isCancelled = true;
-  order.isProcessing = false;
-  const updatedOrder = await order.save();
+  try {
+    if (order.paymentIntentId && !order.isPaid && !(await cancelPaymentIntentForOrder(order))) {
+      sendError(res, 409, "The payment for this order is being processed, please try again later");
+      return;
+    }
+    const updatedOrder = await cancelOrderAndRelease(order, {
+      changedBy: req.user._id,
+      note: req.body?.note,
+    });
 
-  sendSuccess(res, 200, "Order cancelled successfully", { order: updatedOrder });
+    sendSuccess(res, 200, "Order cancelled successfully", {
+      order: convertOrderPrices(updatedOrder, req.currency),
+    });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
 });
 
 export {
   addOrderItems,
+  previewOrder,
   confirmOrder,
   getOrderById,
+  getGuestOrder,
+  resendGuestOrderLink,
+  requestGuestOrderClaim,
+  claimGuestOrdersWithLink,
   updateOrderToPaid,
   getMyOrders,
   getOrders,
+  exportOrdersCsv,
+  getOrderInvoice,
   updateOrderToDelivered,
+  updateOrderStatus,
+  createShipment,
+  deliverShipment,
   cancelOrder,
 };
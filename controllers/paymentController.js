@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import Order from "../models/orderModel.js";
+import { constructStripeEvent } from "../config/stripe.js";
+import { getOrderCharge } from "../services/currencyService.js";
+import {
+  createPaymentIntentForOrder,
+  applyStripeEvent,
+} from "../services/stripePaymentService.js";
+import {
+  createPayPalOrderForOrder,
+  settlePayPalOrder,
+} from "../services/paypalPaymentService.js";
+import { isValidOrderLookupToken } from "../services/guestOrderService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/responseHelper.js";
+
+const loadPayableOrder = async (req, res) => {
+  const { orderId } = req.body;
+
+  if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+    sendValidationError(res, "A valid orderId is required");
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    sendNotFound(res, "Order not found");
+    return null;
+  }
+
+  if (req.user) {
+    if (!req.user.isAdmin && String(order.user) !== String(req.user._id)) {
+      sendForbidden(res, "Not authorized to pay for this order");
+      return null;
+    }
+  } else if (
+    !isValidOrderLookupToken(req.body.orderToken || req.get("X-Order-Token"), order)
+  ) {
+    sendError(res, 401, "Not authorized, log in or provide the order token");
+    return null;
+  }
+
+  return order;
+};
+
+// @desc    Create (or reuse) a Stripe PaymentIntent for an order
+// @route   POST /api/payments/stripe/intent
+// @access  Private (or guest with the order token)
+export const createPaymentIntent = asyncHandler(async (req, res) => {
+  const order = await loadPayableOrder(req, res);
+  if (!order) return;
+
+  try {
+    const paymentIntent = await createPaymentIntentForOrder(order);
+    sendSuccess(res, 200, "Payment intent created successfully", {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+    });
+  } catch (error) {
+    console.error("Failed to create payment intent:", error.message);
+    sendError(res, error.statusCode || 500, error.statusCode ? error.message : "Failed to create payment intent");
+  }
+});
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/payments/stripe/webhook
+// @access  Public (signed by Stripe)
+export const handleStripeWebhook = async (req, res) => {
+  let event;
+  try {
+    event = constructStripeEvent(req.rawBody, req.headers["stripe-signature"]);
+  } catch (error) {
+    sendValidationError(res, `Webhook signature verification failed: ${error.message}`);
+    return;
+  }
+
+  try {
+    const result = await applyStripeEvent(event);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    console.error(`Failed to process Stripe event ${event.id}:`, error);
+    sendError(res, 500, "Failed to process Stripe event");
+  }
+};
+
+// @desc    Create a PayPal order for an order
+// @route   POST /api/payments/paypal/orders
+// @access  Private (or guest with the order token)
+export const createPayPalOrder = asyncHandler(async (req, res) => {
+  const order = await loadPayableOrder(req, res);
+  if (!order) return;
+
+  try {
+    const paypalOrder = await createPayPalOrderForOrder(order);
+    sendSuccess(res, 201, "PayPal order created successfully", {
+      paypalOrderId: paypalOrder.id,
+      status: paypalOrder.status,
+      amount: paypalOrder.purchase_units?.[0]?.amount?.value,
+      currency: getOrderCharge(order).currency,
+    });
+  } catch (error) {
+    console.error("Failed to create PayPal order:", error.message);
+    sendError(res, error.statusCode || 500, error.message);
+  }
+});
+
+// @desc    Capture an approved PayPal order and mark the order paid
+// @route   POST /api/payments/paypal/capture
+// @access  Private (or guest with the order token)
+export const capturePayPalOrder = asyncHandler(async (req, res) => {
+  const order = await loadPayableOrder(req, res);
+  if (!order) return;
+
+  try {
+    const updatedOrder = await settlePayPalOrder(
+      order,
+      req.body.paypalOrderId || order.paypalOrderId,
+      { changedBy: req.user?._id }
+    );
+    sendSuccess(res, 200, "PayPal payment captured successfully", { order: updatedOrder });
+  } catch (error) {
+    console.error("Failed to capture PayPal order:", error.message);
+    sendError(res, error.statusCode || 500, error.message);
+  }
+});
@@ -4,19 +4,73 @@ import asyncHandler from "express-async-handler";
 import recommendSize from "../utils/sizeRecommendation.js";
 import mongoose from "mongoose";
 import { sendSuccess, sendError, sendValidationError, sendNotFound } from "../utils/responseHelper.js";
+import {
+  convertAmount,
+  convertProductPrices,
+  resolveCurrency,
+  toBaseAmount,
+} from "../services/currencyService.js";
+import { filterProductCatalog } from "../services/productFilterService.js";
+import { suggestSearches, invalidateSuggestIndex } from "../services/searchSuggestService.js";
+import { searchProductCatalog, buildTextFilter } from "../services/productSearchService.js";
+import { logSearch } from "../services/searchAnalyticsService.js";
+
+const VARIANT_FIELDS = ["sku", "color", "size", "price", "stock"];
+
+const normalizeVariantKey = (variant) =>
+  `${String(variant.color ?? "").trim().toLowerCase()}|${String(variant.size ?? "")
+    .trim()
+    .toLowerCase()}`;
+
+const pickVariantFields = (variant) =>
+  Object.fromEntries(
+    VARIANT_FIELDS.filter((field) => variant[field] !== undefined).map((field) => [
+      field,
+      variant[field],
+    ])
+  );
+
+// Giữ nguyên _id của biến thể cũ để các đơn hàng đã giữ hàng vẫn hoàn kho đúng chỗ
+const mergeVariants = (existing, incoming) =>
+  incoming.map((variant) => {
+    const match = existing.find(
+      (current) =>
+        (variant._id && String(current._id) === String(variant._id)) ||
+        (variant.sku && current.sku === String(variant.sku).trim().toUpperCase()) ||
+        normalizeVariantKey(current) === normalizeVariantKey(variant)
+    );
+    return match
+      ? { ...match.toObject(), ...pickVariantFields(variant) }
+      : pickVariantFields(variant);
+  });
 
-// Hàm tính tổng countInStock (dùng chung cho cả client và server)
-function calculateTotalCountInStock(size) {
-  let total = 0;
-  if (size) {
-    total +=
-      (parseInt(size.s) || 0) +
-      (parseInt(size.m) || 0) +
-      (parseInt(size.l) || 0) +
-      (parseInt(size.xl) || 0);
+const saveProduct = async (res, product, statusCode, message) => {
+  try {
+    const savedProduct = await product.save();
+    invalidateSuggestIndex();
+    sendSuccess(res, statusCode, message, { product: savedProduct });
+  } catch (error) {
+    if (error.code === 11000) {
+      sendValidationError(res, "A variant with this SKU already exists", {
+        keyValue: error.keyValue,
+      });
+    } else if (error instanceof mongoose.Error.ValidationError) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 500, "Error saving product", { error: error.message });
+    }
   }
-  return total;
-}
+};
+
+const convertProducts = (req, products) =>
+  products.map((product) => convertProductPrices(product, req.currency));
+
+const trackSearch = (req, search) =>
+  logSearch({
+    ...search,
+    userId: req.user?._id,
+    sessionId: req.get("X-Session-Id"),
+  });
 
 const getProducts = asyncHandler(async (req, res) => {
   try {
@@ -41,25 +95,21 @@ const getProducts = asyncHandler(async (req, res) => {
         }
       });
       
-      sendSuccess(res, 200, "All products retrieved successfully", { products });
+      sendSuccess(res, 200, "All products retrieved successfully", {
+        products: convertProducts(req, products),
+      });
     } else {
       const perPage = Math.min(parseInt(req.query.pageSize) || 20, 20);
       const page = parseInt(req.query.pageNumber) || 1;
 
-      const keyword = req.query.keyword
-        ? {
-            name: {
-              $regex: req.query.keyword,
-              $options: "i",
-            },
-          }
-        : {};
+      const keyword = req.query.keyword ? buildTextFilter(req.query.keyword) : {};
 
       // Use Promise.all to run count and find operations in parallel with timeout
       const [count, products] = await Promise.all([
         Product.countDocuments({ ...keyword }).maxTimeMS(30000),
         Product.find({ ...keyword })
           .select("-featureVector")
+          .sort(req.query.keyword ? { score: { $meta: "textScore" } } : {})
           .limit(perPage)
           .skip(perPage * (page - 1))
           .maxTimeMS(30000)
@@ -73,8 +123,14 @@ const getProducts = asyncHandler(async (req, res) => {
         }
       });
 
+      const searchId =
+        req.query.keyword && page === 1
+          ? trackSearch(req, { source: "listing", query: req.query.keyword, resultCount: count })
+          : null;
+
       sendSuccess(res, 200, "Products retrieved successfully", { 
-        products, 
+        searchId,
+        products: convertProducts(req, products), 
         page, 
         pages: Math.ceil(count / perPage), 
         count 
@@ -92,7 +148,9 @@ const getProductById = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id)
     .select("-featureVector");
   if (product) {
-    sendSuccess(res, 200, "Product retrieved successfully", { product });
+    sendSuccess(res, 200, "Product retrieved successfully", {
+      product: convertProductPrices(product, req.currency),
+    });
   } else {
     sendNotFound(res, "Product not found");
   }
@@ -103,6 +161,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
 
   if (product) {
     await product.remove();
+    invalidateSuggestIndex();
     sendSuccess(res, 200, "Product removed successfully");
   } else {
     sendNotFound(res, "Product not found");
@@ -118,13 +177,15 @@ const createProduct = asyncHandler(async (req, res) => {
     brand,
     category,
     description,
-    size,
     colors,
-    countInStock,
+    variants,
+    weight,
+    dimensions,
   } = req.body;
 
-  // Tính toán tổng countInStock dựa trên size
-  const totalCountInStock = calculateTotalCountInStock(size);
+  if (variants !== undefined && !Array.isArray(variants)) {
+    return sendValidationError(res, "variants must be an array");
+  }
 
   const product = new Product({
     user: req.user._id,
@@ -135,13 +196,13 @@ const createProduct = asyncHandler(async (req, res) => {
     brand,
     category,
     description,
-    size,
-    countInStock: totalCountInStock,
     colors,
+    variants: (variants || []).map(pickVariantFields),
+    weight,
+    dimensions,
   });
 
-  const createdProduct = await product.save();
-  sendSuccess(res, 201, "Product created successfully", { product: createdProduct });
+  await saveProduct(res, product, 201, "Product created successfully");
 });
 
 const updateProduct = asyncHandler(async (req, res) => {
@@ -153,17 +214,19 @@ const updateProduct = asyncHandler(async (req, res) => {
     brand,
     category,
     description,
-    size,
-    countInStock,
     colors,
+    variants,
+    weight,
+    dimensions,
   } = req.body;
 
+  if (variants !== undefined && !Array.isArray(variants)) {
+    return sendValidationError(res, "variants must be an array");
+  }
+
   const product = await Product.findById(req.params.id);
 
   if (product) {
-    // Tính toán tổng countInStock dựa trên size
-    const totalCountInStock = calculateTotalCountInStock(size);
-
     product.name = name || product.name;
     product.price = price || product.price;
     product.sale = sale || product.sale;
@@ -171,12 +234,18 @@ const updateProduct = asyncHandler(async (req, res) => {
     product.brand = brand || product.brand;
     product.category = category || product.category;
     product.description = description || product.description;
-    product.size = size || product.size;
-    product.countInStock = totalCountInStock;
     product.colors = colors || product.colors;
+    if (variants !== undefined) {
+      product.variants = mergeVariants(product.variants, variants);
+    }
+    if (weight !== undefined) {
+      product.weight = weight;
+    }
+    if (dimensions !== undefined) {
+      product.dimensions = dimensions;
+    }
 
-    const updatedProduct = await product.save();
-    sendSuccess(res, 200, "Product updated successfully", { product: updatedProduct });
+    await saveProduct(res, product, 200, "Product updated successfully");
   } else {
     sendNotFound(res, "Product not found");
   }
@@ -251,7 +320,6 @@ const getTopProducts = asyncHandler(async (req, res) => {
         rating: 1,
         numReviews: 1,
         countInStock: 1,
-        size: 1,
         colors: 1,
         variants: 1,
         user: 1,
@@ -280,7 +348,7 @@ const getTopProducts = asyncHandler(async (req, res) => {
   const totalCount = countQuery.length > 0 ? countQuery[0].count : 0;
 
   sendSuccess(res, 200, "Top products retrieved successfully", {
-    products,
+    products: convertProducts(req, products),
     page,
     pages: Math.ceil(totalCount / perPage),
     count: totalCount,
@@ -305,7 +373,6 @@ const getLatestProducts = asyncHandler(async (req, res) => {
         rating: 1,
         numReviews: 1,
         countInStock: 1,
-        size: 1,
         colors: 1,
         variants: 1,
         user: 1,
@@ -323,7 +390,12 @@ const getLatestProducts = asyncHandler(async (req, res) => {
     .allowDiskUse(true)
     .option({ maxTimeMS: 30000 });
 
-  sendSuccess(res, 200, "Latest products retrieved successfully", { page: 1, pages: 1, products, count: products.length });
+  sendSuccess(res, 200, "Latest products retrieved successfully", {
+    page: 1,
+    pages: 1,
+    products: convertProducts(req, products),
+    count: products.length,
+  });
 });
 
 const getSaleProducts = asyncHandler(async (req, res) => {
@@ -345,7 +417,6 @@ const getSaleProducts = asyncHandler(async (req, res) => {
         rating: 1,
         numReviews: 1,
         countInStock: 1,
-        size: 1,
         colors: 1,
         variants: 1,
         user: 1,
@@ -363,7 +434,12 @@ const getSaleProducts = asyncHandler(async (req, res) => {
     .allowDiskUse(true)
     .option({ maxTimeMS: 30000 });
 
-  sendSuccess(res, 200, "Sale products retrieved successfully", { page: 1, pages: 1, products, count: products.length });
+  sendSuccess(res, 200, "Sale products retrieved successfully", {
+    page: 1,
+    pages: 1,
+    products: convertProducts(req, products),
+    count: products.length,
+  });
 });
 
 const getRelatedProducts = asyncHandler(async (req, res) => {
@@ -391,7 +467,9 @@ const getRelatedProducts = asyncHandler(async (req, res) => {
   });
 
   res.set("Cache-Control", "no-store"); 
-  sendSuccess(res, 200, "Related products retrieved successfully", { products });
+  sendSuccess(res, 200, "Related products retrieved successfully", {
+    products: convertProducts(req, products),
+  });
 });
 
 const getSortByPriceProducts = asyncHandler(async (req, res) => {
@@ -409,7 +487,7 @@ const getSortByPriceProducts = asyncHandler(async (req, res) => {
         name: 1,
         price: 1,
         sale: 1,
-        size: 1,
+        variants: 1,
         images: { $slice: ["$images", 3] }, // Chỉ lấy 3 ảnh đầu tiên
         brand: 1,
         category: 1,
@@ -436,7 +514,12 @@ const getSortByPriceProducts = asyncHandler(async (req, res) => {
     .allowDiskUse(true)
     .option({ maxTimeMS: 30000 });
 
-  sendSuccess(res, 200, "Products sorted by price retrieved successfully", { page, pages: Math.ceil(count / perPage), products, count });
+  sendSuccess(res, 200, "Products sorted by price retrieved successfully", {
+    page,
+    pages: Math.ceil(count / perPage),
+    products: convertProducts(req, products),
+    count,
+  });
 });
 
 const recommendSizeForUser = asyncHandler(async (req, res) => {
@@ -470,136 +553,107 @@ const filterProducts = asyncHandler(async (req, res) => {
   const perPage = Math.min(parseInt(req.query.perPage) || 20, 20);
   const page = parseInt(req.query.pageNumber) || 1;
 
-  let query = {};
-
-  if (req.query.keyword) {
-    query.name = {
-      $regex: req.query.keyword,
-      $options: "i",
-    };
-  }
-  if (req.query.categories) {
-    query.category = { $in: req.query.categories.split(",") };
-  }
-  if (req.query.brands) {
-    query.brand = { $in: req.query.brands.split(",") };
-  }
-  if (req.query.size) {
-    const sizeKey = `size.${req.query.size}`;
-    query[sizeKey] = { $gt: 0 };
-  }
-
-  const basePipeline = [
+  const splitValues = (value) =>
+    value ? String(value).split(",").map((entry) => entry.trim()).filter(Boolean) : [];
+  const toBasePrice = (value) =>
+    req.currency ? toBaseAmount(parseFloat(value), req.currency) : parseFloat(value);
+
+  const selection = {
+    categories: splitValues(req.query.categories),
+    brands: splitValues(req.query.brands),
+    sizes: splitValues(req.query.size),
+    colors: splitValues(req.query.color),
+    rating: req.query.rating ? parseFloat(req.query.rating) : undefined,
+  };
+  const { products, count, facets } = await filterProductCatalog(
     {
-      $addFields: {
-        priceSale: {
-          $multiply: [
-            "$price",
-            { $subtract: [1, { $divide: ["$sale", 100] }] },
-          ],
-        },
-      },
+      ...selection,
+      keyword: req.query.keyword,
+      priceMin: req.query.priceMin ? toBasePrice(req.query.priceMin) : undefined,
+      priceMax: req.query.priceMax ? toBasePrice(req.query.priceMax) : undefined,
+      sortBy: req.query.sort_by,
     },
-    { $match: query },
-  ];
+    { page, perPage }
+  );
+
+  const currency = req.currency || (await resolveCurrency());
+  const isFiltered =
+    Boolean(req.query.keyword || req.query.priceMin || req.query.priceMax) ||
+    selection.rating !== undefined ||
+    ["categories", "brands", "sizes", "colors"].some((field) => selection[field].length > 0);
+  const searchId =
+    page === 1 && isFiltered
+      ? trackSearch(req, {
+          source: "filter",
+          query: req.query.keyword,
+          filters: {
+            ...selection,
+            priceMin: req.query.priceMin ? parseFloat(req.query.priceMin) : undefined,
+            priceMax: req.query.priceMax ? parseFloat(req.query.priceMax) : undefined,
+            currency: currency.code,
+            sortBy: req.query.sort_by,
+          },
+          resultCount: count,
+        })
+      : null;
 
-  // loc rating
-  if (req.query.rating) {
-    const rating = parseFloat(req.query.rating);
-    let minRating, maxRating;
-
-    if (rating === 5) {
-      minRating = 5;
-      maxRating = 6;
-    } else if (rating >= 1 && rating < 5) {
-      minRating = rating;
-      maxRating = rating + 1;
-    } else {
-      minRating = 0;
-      maxRating = 0;
-    }
+  sendSuccess(res, 200, "Filtered products retrieved successfully", {
+    searchId,
+    products: convertProducts(req, products),
+    page,
+    pages: Math.ceil(count / perPage),
+    count,
+    facets: {
+      ...facets,
+      priceRanges: facets.priceRanges.map((range) => ({
+        ...range,
+        min: convertAmount(range.min, currency),
+        max: convertAmount(range.max, currency),
+      })),
+    },
+  });
+});
 
-    basePipeline.push({
-      $match: {
-        rating: { $gte: minRating, $lt: maxRating },
-      },
-    });
-  }
+const searchProducts = asyncHandler(async (req, res) => {
+  const perPage = Math.min(parseInt(req.query.perPage) || 20, 50);
+  const page = Math.max(parseInt(req.query.pageNumber) || 1, 1);
 
-  if (req.query.priceMin) {
-    basePipeline.push({
-      $match: { priceSale: { $gte: parseFloat(req.query.priceMin) } },
-    });
-  }
-  if (req.query.priceMax) {
-    basePipeline.push({
-      $match: { priceSale: { $lte: parseFloat(req.query.priceMax) } },
+  try {
+    const result = await searchProductCatalog({ q: req.query.q, page, perPage });
+    const searchId =
+      page === 1
+        ? trackSearch(req, {
+            source: "search",
+            query: result.query,
+            correctedQuery: result.correctedQuery,
+            resultCount: result.count,
+          })
+        : null;
+    sendSuccess(res, 200, "Search results retrieved successfully", {
+      searchId,
+      ...result,
+      products: convertProducts(req, result.products),
     });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Error in searchProducts:", error);
+    }
+    sendError(res, error.statusCode || 500, error.message, error.data);
   }
+});
 
-  let sortOption = { createdAt: -1 };
-  if (req.query.sort_by === "latest") {
-    sortOption = { createdAt: -1 };
-  } else if (req.query.sort_by === "rating") {
-    sortOption = { rating: -1 };
-  } else if (req.query.sort_by === "sale") {
-    sortOption = { sale: -1 };
-  } else if (req.query.sort_by === "priceAsc") {
-    sortOption = { priceSale: 1 };
-  } else if (req.query.sort_by === "priceDesc") {
-    sortOption = { priceSale: -1 };
-  }
-
-  const dataPipeline = [
-    ...basePipeline,
-    { $sort: sortOption },
-    { $skip: perPage * (page - 1) },
-    { $limit: perPage },
-    {
-      $project: {
-        _id: 1,
-        name: 1,
-        price: 1,
-        sale: 1,
-        images: { $slice: ["$images", 3] }, // Chỉ lấy 3 ảnh đầu tiên
-        brand: 1,
-        category: 1,
-        description: 1,
-        rating: 1,
-        numReviews: 1,
-        countInStock: 1,
-        size: 1,
-        colors: 1,
-        user: 1,
-        reviews: 1,
-        outfitTags: 1,
-        compatibleProducts: 1,
-        createdAt: 1,
-        updatedAt: 1,
-        priceSale: 1,
-        // featureVector không được liệt kê nên sẽ không được trả về
-      },
-    },
-  ];
-
-  const countPipeline = [
-    ...basePipeline,
-    { $count: "count" },
-  ];
-
-  const [products, countQuery] = await Promise.all([
-    Product.aggregate(dataPipeline).allowDiskUse(true).option({ maxTimeMS: 30000 }),
-    Product.aggregate(countPipeline).allowDiskUse(true).option({ maxTimeMS: 30000 }),
-  ]);
-
-  const totalCount = countQuery.length > 0 ? countQuery[0].count : 0;
+const suggestProducts = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
 
-  sendSuccess(res, 200, "Filtered products retrieved successfully", {
-    products,
-    page,
-    pages: Math.ceil(totalCount / perPage),
-    count: totalCount,
-  });
+  try {
+    const result = await suggestSearches({ q: req.query.q, limit });
+    sendSuccess(res, 200, "Suggestions retrieved successfully", result);
+  } catch (error) {
+    console.error("Error in suggestProducts:", error);
+    sendError(res, 500, "Unable to load suggestions", {
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error",
+    });
+  }
 });
 
 export {
@@ -616,4 +670,6 @@ export {
   getSortByPriceProducts,
   recommendSizeForUser,
   filterProducts,
+  searchProducts,
+  suggestProducts,
 };
@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import Order from "../models/orderModel.js";
+import ReturnRequest, { RETURN_STATUSES } from "../models/returnRequestModel.js";
+import {
+  createReturnRequest,
+  receiveReturnRequest,
+  refundReturnRequest,
+} from "../services/returnService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendForbidden,
+} from "../utils/responseHelper.js";
+
+const sendReturnError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Return operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+const isOwnerOrAdmin = (req, userId) =>
+  req.user.isAdmin || String(userId) === String(req.user._id);
+
+// @desc    Request a return for a delivered order
+// @route   POST /api/returns
+// @access  Private
+export const createReturn = asyncHandler(async (req, res) => {
+  const { orderId, items, reason, note, images } = req.body;
+
+  if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+    sendValidationError(res, "A valid orderId is required");
+    return;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    sendNotFound(res, "Order not found");
+    return;
+  }
+
+  if (String(order.user) !== String(req.user._id)) {
+    sendForbidden(res, "Not authorized to return items from this order");
+    return;
+  }
+
+  try {
+    const returnRequest = await createReturnRequest(order, {
+      userId: req.user._id,
+      items,
+      reason,
+      note,
+      images,
+    });
+    sendSuccess(res, 201, "Return request created successfully", { returnRequest });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// @desc    Get the logged in user's return requests
+// @route   GET /api/returns/myreturns
+// @access  Private
+export const getMyReturns = asyncHandler(async (req, res) => {
+  const perPage = parseInt(req.query.perPage) || 9;
+  const page = parseInt(req.query.pageNumber) || 1;
+
+  const count = await ReturnRequest.countDocuments({ user: req.user._id });
+  const returns = await ReturnRequest.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(perPage)
+    .skip(perPage * (page - 1));
+
+  sendSuccess(res, 200, "User returns retrieved successfully", {
+    returns,
+    page,
+    pages: Math.ceil(count / perPage),
+    count,
+  });
+});
+
+// @desc    Get all return requests
+// @route   GET /api/returns
+// @access  Private/Admin
+export const getReturns = asyncHandler(async (req, res) => {
+  const perPage = parseInt(req.query.perPage) || 9;
+  const page = parseInt(req.query.pageNumber) || 1;
+
+  const filter = {};
+  if (req.query.status) {
+    if (!RETURN_STATUSES.includes(req.query.status)) {
+      sendValidationError(res, `Status must be one of: ${RETURN_STATUSES.join(", ")}`);
+      return;
+    }
+    filter.status = req.query.status;
+  }
+  if (req.query.orderId && mongoose.Types.ObjectId.isValid(req.query.orderId)) {
+    filter.order = req.query.orderId;
+  }
+
+  const count = await ReturnRequest.countDocuments(filter);
+  const returns = await ReturnRequest.find(filter)
+    .populate("user", "id name email")
+    .sort({ createdAt: -1 })
+    .limit(perPage)
+    .skip(perPage * (page - 1));
+
+  sendSuccess(res, 200, "Returns retrieved successfully", {
+    returns,
+    page,
+    pages: Math.ceil(count / perPage),
+    count,
+  });
+});
+
+// @desc    Get a return request
+// @route   GET /api/returns/:id
+// @access  Private (owner or admin)
+export const getReturnById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendValidationError(res, "Invalid return request ID");
+    return;
+  }
+
+  const returnRequest = await ReturnRequest.findById(req.params.id).populate(
+    "order",
+    "totalPrice status paymentMethod deliveredAt"
+  );
+
+  if (!returnRequest) {
+    sendNotFound(res, "Return request not found");
+    return;
+  }
+
+  if (!isOwnerOrAdmin(req, returnRequest.user)) {
+    sendForbidden(res, "Not authorized to view this return request");
+    return;
+  }
+
+  sendSuccess(res, 200, "Return request retrieved successfully", { returnRequest });
+});
+
+// @desc    Approve a return request
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+export const approveReturn = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.transition(req.params.id, "approved", {
+      changedBy: req.user._id,
+      note: req.body?.note,
+    });
+    sendSuccess(res, 200, "Return request approved successfully", { returnRequest });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// @desc    Reject a return request
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+export const rejectReturn = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.transition(req.params.id, "rejected", {
+      changedBy: req.user._id,
+      note: req.body?.note,
+    });
+    sendSuccess(res, 200, "Return request rejected successfully", { returnRequest });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// @desc    Mark returned items as received, restock them and refund the customer
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+export const receiveReturn = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await receiveReturnRequest(req.params.id, {
+      changedBy: req.user._id,
+      note: req.body?.note,
+      amount: req.body?.amount,
+    });
+    sendSuccess(
+      res,
+      200,
+      returnRequest.status === "refunded"
+        ? "Return received and refunded successfully"
+        : "Return received, the order was not paid so nothing was refunded",
+      { returnRequest }
+    );
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+// @desc    Retry the refund of a received return
+// @route   PUT /api/returns/:id/refund
+// @access  Private/Admin
+export const refundReturn = asyncHandler(async (req, res) => {
+  try {
+    const returnRequest = await refundReturnRequest(req.params.id, {
+      changedBy: req.user._id,
+      note: req.body?.note,
+      amount: req.body?.amount,
+    });
+    sendSuccess(res, 200, "Return refunded successfully", { returnRequest });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
@@ -0,0 +1,79 @@
+import asyncHandler from "express-async-handler";
+import {
+  recordSearchClick,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowCtrQueries,
+  getSearchTrend,
+} from "../services/searchAnalyticsService.js";
+import { sendSuccess, sendError } from "../utils/responseHelper.js";
+
+const sendSearchError = (res, error) => {
+  if (!error.statusCode) {
+    console.error("Search analytics operation failed:", error);
+  }
+  sendError(res, error.statusCode || 500, error.message, error.data);
+};
+
+// @desc    Record the product a shopper opened from a search result list
+// @route   POST /api/search/:searchId/click
+// @access  Public
+export const reportSearchClick = asyncHandler(async (req, res) => {
+  try {
+    await recordSearchClick(req.params.searchId, {
+      productId: req.body?.productId,
+      position: req.body?.position,
+    });
+    sendSuccess(res, 200, "Search click recorded successfully");
+  } catch (error) {
+    sendSearchError(res, error);
+  }
+});
+
+// @desc    Get the most searched queries
+// @route   GET /api/search/analytics/top-queries
+// @access  Private/Admin
+export const getTopSearchQueries = asyncHandler(async (req, res) => {
+  try {
+    const report = await getTopQueries(req.query);
+    sendSuccess(res, 200, "Top search queries retrieved successfully", { report });
+  } catch (error) {
+    sendSearchError(res, error);
+  }
+});
+
+// @desc    Get queries that returned no products
+// @route   GET /api/search/analytics/zero-results
+// @access  Private/Admin
+export const getZeroResultSearchQueries = asyncHandler(async (req, res) => {
+  try {
+    const report = await getZeroResultQueries(req.query);
+    sendSuccess(res, 200, "Zero-result search queries retrieved successfully", { report });
+  } catch (error) {
+    sendSearchError(res, error);
+  }
+});
+
+// @desc    Get frequent queries whose results are rarely clicked
+// @route   GET /api/search/analytics/low-ctr
+// @access  Private/Admin
+export const getLowCtrSearchQueries = asyncHandler(async (req, res) => {
+  try {
+    const report = await getLowCtrQueries(req.query);
+    sendSuccess(res, 200, "Low click-through search queries retrieved successfully", { report });
+  } catch (error) {
+    sendSearchError(res, error);
+  }
+});
+
+// @desc    Get search volume, zero-result rate and click-through rate over time
+// @route   GET /api/search/analytics/trend
+// @access  Private/Admin
+export const getSearchTrendReport = asyncHandler(async (req, res) => {
+  try {
+    const report = await getSearchTrend(req.query);
+    sendSuccess(res, 200, "Search trend retrieved successfully", { report });
+  } catch (error) {
+    sendSearchError(res, error);
+  }
+});
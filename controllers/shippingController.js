@@ -0,0 +1,140 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ShippingZone from "../models/shippingZoneModel.js";
+import { findCart } from "../services/cartService.js";
+import { resolveShippingAddress } from "../services/addressService.js";
+import { calculateOrderPricing } from "../services/pricingService.js";
+import { convertPricing } from "../services/currencyService.js";
+import { normalizeZoneCountry } from "../services/shippingService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+} from "../utils/responseHelper.js";
+
+const ZONE_FIELDS = ["name", "countries", "cities", "methods", "isActive"];
+
+const pickZoneFields = (body) =>
+  ZONE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+const saveZone = async (res, zone, status, message) => {
+  if (Array.isArray(zone.countries)) {
+    zone.countries = zone.countries.map(normalizeZoneCountry);
+  }
+
+  try {
+    const savedZone = await zone.save();
+    sendSuccess(res, status, message, { zone: savedZone });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 500, "Error saving shipping zone", { error: error.message });
+    }
+  }
+};
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+export const getShippingZones = asyncHandler(async (req, res) => {
+  const zones = await ShippingZone.find({}).sort({ name: 1 });
+  sendSuccess(res, 200, "Shipping zones retrieved successfully", { zones });
+});
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+export const createShippingZone = asyncHandler(async (req, res) => {
+  const zone = new ShippingZone(pickZoneFields(req.body));
+  await saveZone(res, zone, 201, "Shipping zone created successfully");
+});
+
+// @desc    Update a shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+export const updateShippingZone = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendNotFound(res, "Shipping zone not found");
+    return;
+  }
+  const zone = await ShippingZone.findById(req.params.id);
+  if (!zone) {
+    sendNotFound(res, "Shipping zone not found");
+    return;
+  }
+
+  zone.set(pickZoneFields(req.body));
+  await saveZone(res, zone, 200, "Shipping zone updated successfully");
+});
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+export const deleteShippingZone = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendNotFound(res, "Shipping zone not found");
+    return;
+  }
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+  if (!zone) {
+    sendNotFound(res, "Shipping zone not found");
+    return;
+  }
+  sendSuccess(res, 200, "Shipping zone deleted successfully");
+});
+
+// @desc    Quote the shipping methods available for a cart and address
+// @route   POST /api/shipping/quote
+// @access  Public (guest carts use the X-Cart-Token header)
+export const quoteShipping = asyncHandler(async (req, res) => {
+  const { shippingAddress, addressId, couponCode } = req.body;
+  let { orderItems } = req.body;
+
+  try {
+    if (!orderItems) {
+      const cart = await findCart({
+        userId: req.user?._id,
+        guestToken: req.get("X-Cart-Token"),
+      });
+      orderItems = (cart?.items || []).map((item) => ({
+        product: item.product,
+        colorSelected: item.colorSelected,
+        sizeSelected: item.sizeSelected,
+        qty: item.qty,
+      }));
+    }
+
+    const address = await resolveShippingAddress({
+      userId: req.user?._id,
+      addressId,
+      shippingAddress,
+    });
+    const pricing = convertPricing(
+      await calculateOrderPricing(orderItems, {
+        couponCode,
+        userId: req.user?._id,
+        shippingAddress: address,
+      }),
+      req.currency
+    );
+    sendSuccess(res, 200, "Shipping methods quoted successfully", {
+      shippingAddress: address,
+      shippingWeight: pricing.shippingWeight,
+      itemsPrice: pricing.itemsPrice,
+      couponDiscount: pricing.couponDiscount,
+      methods: pricing.shippingMethods,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error("Shipping quote failed:", error);
+    }
+    sendError(res, error.statusCode || 500, error.message, error.data);
+  }
+});
@@ -0,0 +1,99 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import TaxRule from "../models/taxRuleModel.js";
+import { normalizeTaxCountry } from "../services/taxService.js";
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+} from "../utils/responseHelper.js";
+
+const TAX_RULE_FIELDS = ["name", "country", "category", "rate", "inclusive", "rounding", "isActive"];
+
+const pickTaxRuleFields = (body) =>
+  TAX_RULE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+const saveTaxRule = async (res, rule, status, message) => {
+  if (rule.country) {
+    rule.country = normalizeTaxCountry(rule.country);
+  }
+  if (!rule.category) {
+    rule.category = undefined;
+  }
+
+  try {
+    const savedRule = await rule.save();
+    sendSuccess(res, status, message, { rule: savedRule });
+  } catch (error) {
+    if (error.code === 11000) {
+      sendValidationError(
+        res,
+        `A tax rule for ${rule.country}${rule.category ? ` / ${rule.category}` : ""} already exists`
+      );
+    } else if (error instanceof mongoose.Error.ValidationError) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 500, "Error saving tax rule", { error: error.message });
+    }
+  }
+};
+
+// @desc    Get all tax rules
+// @route   GET /api/tax/rules
+// @access  Private/Admin
+export const getTaxRules = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.country) {
+    filter.country = normalizeTaxCountry(req.query.country);
+  }
+  const rules = await TaxRule.find(filter).sort({ country: 1, category: 1 });
+  sendSuccess(res, 200, "Tax rules retrieved successfully", { rules });
+});
+
+// @desc    Create a tax rule
+// @route   POST /api/tax/rules
+// @access  Private/Admin
+export const createTaxRule = asyncHandler(async (req, res) => {
+  const rule = new TaxRule(pickTaxRuleFields(req.body));
+  await saveTaxRule(res, rule, 201, "Tax rule created successfully");
+});
+
+// @desc    Update a tax rule
+// @route   PUT /api/tax/rules/:id
+// @access  Private/Admin
+export const updateTaxRule = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendNotFound(res, "Tax rule not found");
+    return;
+  }
+  const rule = await TaxRule.findById(req.params.id);
+  if (!rule) {
+    sendNotFound(res, "Tax rule not found");
+    return;
+  }
+
+  rule.set(pickTaxRuleFields(req.body));
+  await saveTaxRule(res, rule, 200, "Tax rule updated successfully");
+});
+
+// @desc    Delete a tax rule
+// @route   DELETE /api/tax/rules/:id
+// @access  Private/Admin
+export const deleteTaxRule = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    sendNotFound(res, "Tax rule not found");
+    return;
+  }
+  const rule = await TaxRule.findByIdAndDelete(req.params.id);
+  if (!rule) {
+    sendNotFound(res, "Tax rule not found");
+    return;
+  }
+  sendSuccess(res, 200, "Tax rule deleted successfully");
+});
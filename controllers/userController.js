@@ -4,6 +4,7 @@ import Order from "../models/orderModel.js";
 import asyncHandler from "express-async-handler";
 import generateToken from "../utils/generateToken.js";
 import sendEmail from "../utils/sendEmail.js";
+import { sendGuestOrderClaimEmail } from "../services/guestOrderService.js";
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { sendSuccess, sendError, sendValidationError, sendNotFound, sendUnauthorized, sendCreated } from "../utils/responseHelper.js";
@@ -42,6 +43,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
       weight: user.weight,
       gender: user.gender,
       age: user.age,
+      cartReminderOptOut: user.cartReminderOptOut,
       isAdmin: user.isAdmin,
     };
     sendSuccess(res, 200, "User profile retrieved successfully", userData);
@@ -66,6 +68,11 @@ const registerUser = asyncHandler(async (req, res) => {
   });
 
   if (user) {
+    try {
+      await sendGuestOrderClaimEmail(user);
+    } catch (error) {
+      console.error("Failed to send guest order claim email:", error.message);
+    }
     const userData = {
       _id: user._id,
       name: user.name,
@@ -95,6 +102,10 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     if (req.body.age !== undefined) {
       user.age = Number(req.body.age);
     }
+    if (req.body.cartReminderOptOut !== undefined) {
+      user.cartReminderOptOut =
+        req.body.cartReminderOptOut === true || req.body.cartReminderOptOut === "true";
+    }
 
     const updatedUser = await user.save();
 
@@ -106,6 +117,7 @@ const updateUserProfile = asyncHandler(async (req, res) => {
       weight: updatedUser.weight,
       gender: updatedUser.gender,
       age: updatedUser.age,
+      cartReminderOptOut: updatedUser.cartReminderOptOut,
       isAdmin: updatedUser.isAdmin,
       token: generateToken(updatedUser._id),
     };
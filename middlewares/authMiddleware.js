@@ -3,28 +3,57 @@ import crypto from 'crypto';
 import asyncHandler from 'express-async-handler';
 import User from '../models/userModel.js';
 
-const protect = asyncHandler(async (req, res, next) => {
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer')) {
+    return null;
+  }
+  return authHeader.split(' ')[1] || '';
+};
 
-      req.user = await User.findById(decoded.id).select('-password');
+// Resolves the user of a bearer token, or null when the token is invalid,
+// expired or belongs to a deleted user. Bad tokens are client errors and are
+// not logged; database errors are left to the error handler.
+const findTokenUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  return User.findById(decoded.id).select('-password');
+};
 
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
+// A bearer token that is sent must be valid, on public routes too, so a client
+// holding an expired session is told to sign in again instead of silently
+// acting as a guest.
+const authenticate = async (req, res, { required }) => {
+  const token = getBearerToken(req);
+  if (token === null) {
+    if (required) {
+      res.status(401).json({ message: 'Not authorized, no token' });
     }
+    return !required;
   }
 
-  if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
+  const user = await findTokenUser(token);
+  if (!user) {
+    res.status(401).json({ message: 'Not authorized, token failed' });
+    return false;
+  }
+  req.user = user;
+  return true;
+};
+
+const protect = asyncHandler(async (req, res, next) => {
+  if (await authenticate(req, res, { required: true })) {
+    next();
+  }
+});
+
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  if (await authenticate(req, res, { required: false })) {
+    next();
   }
 });
 
@@ -73,4 +102,4 @@ const checkAdmin = (req, res, next) => {
   }
 };
 
-export { checkAdmin, protect, protectResetPassword };
+export { checkAdmin, protect, optionalAuth, protectResetPassword };
@@ -0,0 +1,19 @@
+import asyncHandler from 'express-async-handler';
+import { resolveCurrency } from '../services/currencyService.js';
+import { sendError } from '../utils/responseHelper.js';
+
+const attachCurrency = asyncHandler(async (req, res, next) => {
+  const code = req.query.currency || req.body?.currency;
+  try {
+    req.currency = code ? await resolveCurrency(code) : undefined;
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    sendError(res, error.statusCode, error.message);
+    return;
+  }
+  next();
+});
+
+export { attachCurrency };
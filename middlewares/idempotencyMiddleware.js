@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotencyKeyModel.js';
+import { sendError, sendValidationError } from '../utils/responseHelper.js';
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_PROCESSING_TIMEOUT_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+const SECRET_RESPONSE_FIELDS = ['orderToken'];
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+const getTtlMs = (ttlHours) =>
+  (ttlHours ?? (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS)) *
+  60 * 60 * 1000;
+
+const getProcessingTimeoutMs = () =>
+  (parseFloat(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS) ||
+    DEFAULT_PROCESSING_TIMEOUT_SECONDS) * 1000;
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Guests are only scoped by a token the server issued to them. Anything the
+// client can guess, like the guest email, would let others replay the response.
+const getScope = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  const cartToken = req.get('X-Cart-Token');
+  return cartToken ? `cart:${hashValue(cartToken)}` : null;
+};
+
+// Access tokens are never stored or replayed; a replayed guest order response
+// comes back without its orderToken.
+const stripSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripSecrets);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([field]) => !SECRET_RESPONSE_FIELDS.includes(field))
+        .map(([field, fieldValue]) => [field, stripSecrets(fieldValue)])
+    );
+  }
+  return value;
+};
+
+const takeOverStaleRecord = (record, requestHash, expiresAt) =>
+  IdempotencyKey.findOneAndUpdate(
+    { _id: record._id, state: 'processing', updatedAt: record.updatedAt },
+    { $set: { requestHash, expiresAt } },
+    { new: true }
+  );
+
+const replay = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  res.status(record.responseStatus).json(record.responseBody);
+};
+
+const idempotency = ({ ttlHours } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  const idempotencyScope = key ? getScope(req) : null;
+  if (!idempotencyScope) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendValidationError(res, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const requestHash = hashRequest(req);
+  const scope = { scope: idempotencyScope, key };
+  const expiresAt = new Date(Date.now() + getTtlMs(ttlHours));
+
+  try {
+    await IdempotencyKey.deleteOne({ ...scope, expiresAt: { $lte: new Date() } });
+    await IdempotencyKey.create({
+      ...scope,
+      user: req.user?._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const record = await IdempotencyKey.findOne(scope).lean();
+    if (!record) {
+      return sendError(res, 409, 'Request with this Idempotency-Key expired concurrently, please retry');
+    }
+    if (record.requestHash !== requestHash) {
+      return sendError(res, 409, 'Idempotency-Key was already used with a different request');
+    }
+    if (record.state === 'completed') {
+      return replay(res, record);
+    }
+    const isStale = Date.now() - new Date(record.updatedAt).getTime() > getProcessingTimeoutMs();
+    if (!isStale || !(await takeOverStaleRecord(record, requestHash, expiresAt))) {
+      return sendError(res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+  }
+
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    const operation =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(scope)
+        : IdempotencyKey.updateOne(scope, {
+            $set: {
+              state: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: stripSecrets(JSON.parse(JSON.stringify(responseBody ?? null))),
+            },
+          });
+    operation.catch((error) => {
+      console.error('Failed to store idempotent response:', error.message);
+    });
+  });
+
+  next();
+};
+
+export { idempotency };
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import Cart from './cartModel.js';
+
+export const ABANDONED_CART_STATUSES = ['open', 'recovered', 'lost'];
+
+const abandonedCartSchema = mongoose.Schema(
+  {
+    cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        name: { type: String },
+        colorSelected: { type: String },
+        sizeSelected: { type: String },
+        qty: { type: Number },
+        priceSale: { type: Number },
+        _id: false,
+      },
+    ],
+    cartValue: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ABANDONED_CART_STATUSES,
+      default: 'open',
+    },
+    abandonedAt: { type: Date, required: true },
+    remindersSent: { type: Number, default: 0 },
+    lastReminderAt: { type: Date },
+    recoveredAt: { type: Date },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderTotal: { type: Number },
+    closedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+abandonedCartSchema.index({ user: 1, status: 1 });
+abandonedCartSchema.index({ status: 1, abandonedAt: 1 });
+abandonedCartSchema.index({ abandonedAt: -1 });
+
+abandonedCartSchema.statics.markRecovered = async function (userId, order) {
+  const now = new Date();
+  const abandonedCart = await this.findOneAndUpdate(
+    { user: userId, status: 'open' },
+    {
+      $set: {
+        status: 'recovered',
+        recoveredAt: now,
+        order: order._id,
+        orderTotal: order.totalPrice,
+        closedAt: now,
+      },
+    },
+    { sort: { abandonedAt: -1 }, new: true }
+  );
+  // An order also ends the reminder cycle of a cart whose record was already
+  // closed as lost, so the next abandonment starts a fresh reminder count.
+  await Cart.updateOne(
+    abandonedCart ? { _id: abandonedCart.cart } : { user: userId },
+    { $unset: { recovery: 1 } }
+  );
+  return abandonedCart;
+};
+
+const AbandonedCart = mongoose.model('AbandonedCart', abandonedCartSchema);
+
+export default AbandonedCart;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  colorSelected: { type: String, required: true },
+  sizeSelected: { type: String, required: true },
+  qty: { type: Number, required: true, min: 1 },
+  priceSale: { type: Number },
+  addedAt: { type: Date, default: Date.now },
+});
+
+const cartSchema = mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    guestToken: { type: String },
+    items: [cartItemSchema],
+    lastActivityAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+    currency: { type: String },
+    recovery: {
+      abandonedCart: { type: mongoose.Schema.Types.ObjectId, ref: 'AbandonedCart' },
+      remindersSent: { type: Number, default: 0 },
+      lastReminderAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestToken: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ lastActivityAt: 1 });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
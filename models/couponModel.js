@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import CouponRedemption from './couponRedemptionModel.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed'];
+
+const couponSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return this.type !== 'percentage' || value <= 100;
+        },
+        message: 'Percentage coupons cannot exceed 100',
+      },
+    },
+    maxDiscount: { type: Number, min: 0 },
+    minOrderValue: { type: Number, default: 0, min: 0 },
+    usageLimit: { type: Number, min: 1 },
+    usageLimitPerUser: { type: Number, min: 1 },
+    usedCount: { type: Number, default: 0 },
+    startsAt: { type: Date },
+    expiresAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+    categories: [String],
+    brands: [String],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.methods.countUserRedemptions = function (userId) {
+  return CouponRedemption.countDocuments({ coupon: this._id, user: userId });
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
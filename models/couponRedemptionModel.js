@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One document per order that redeemed a coupon; the coupon only keeps usedCount.
+const couponRedemptionSchema = mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  // Set for coupons with usageLimitPerUser: the unique (coupon, user, slot)
+  // index lets only one of two concurrent redemptions take the same place.
+  slot: { type: Number, min: 0 },
+  redeemedAt: { type: Date, default: Date.now },
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ order: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const exchangeRateSchema = mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    },
+    rate: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => value > 0,
+        message: 'Rate must be greater than 0',
+      },
+    },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
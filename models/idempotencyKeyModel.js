@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    state: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,20 +1,105 @@
 import mongoose from 'mongoose';
 
+export const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'packed',
+  'partially_shipped',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'partially_shipped', 'shipped', 'cancelled'],
+  packed: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+const createStatusError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const deriveLegacyStatus = (order) => {
+  if (order.isCancelled) return 'cancelled';
+  if (order.isDelivered) return 'delivered';
+  if (order.isProcessing) return 'confirmed';
+  return 'pending';
+};
+
+const deriveFlags = (status, order) => ({
+  isProcessing: ['confirmed', 'packed', 'partially_shipped', 'shipped'].includes(status),
+  isDelivered:
+    status === 'delivered' || (status === 'refunded' && !!order.isDelivered),
+  isCancelled:
+    status === 'cancelled' || (status === 'refunded' && !order.isDelivered),
+});
+
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt',
+};
+
+const statusHistorySchema = mongoose.Schema(
+  {
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+const shipmentSchema = mongoose.Schema({
+  carrier: { type: String, required: true },
+  trackingNumber: { type: String, required: true },
+  trackingUrl: { type: String },
+  items: [
+    {
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      qty: { type: Number, required: true, min: 1 },
+      _id: false,
+    },
+  ],
+  shippedAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+});
+
 const orderSchema = mongoose.Schema(
   {
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true,
       ref: 'User',
     },
+    guest: {
+      email: { type: String, lowercase: true, trim: true },
+      name: { type: String, trim: true },
+    },
     orderItems: [
       {
         name: { type: String, required: true },
         qty: { type: Number, required: true },
         sizeSelected: { type: String, required: true },
         colorSelected: { type: String, required: true },
+        sku: { type: String },
+        variant: { type: mongoose.Schema.Types.ObjectId },
         images: [String],
+        price: { type: Number },
         priceSale: { type: Number, required: true },
+        taxRate: { type: Number },
+        taxPrice: { type: Number },
         product: {
           type: mongoose.Schema.Types.ObjectId,
           required: true,
@@ -39,21 +124,100 @@ const orderSchema = mongoose.Schema(
       update_time: { type: String },
       email_address: { type: String },
     },
+    paymentIntentId: {
+      type: String,
+      index: true,
+    },
+    paypalOrderId: {
+      type: String,
+      index: true,
+    },
+    paymentEvents: [
+      {
+        provider: { type: String, required: true },
+        eventId: { type: String, required: true },
+        type: { type: String },
+        receivedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    refunds: [
+      {
+        provider: { type: String, required: true },
+        reference: { type: String },
+        refundId: { type: String },
+        amount: { type: Number, required: true },
+        reason: { type: String },
+        refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+        createdAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    itemsPrice: {
+      type: Number,
+      default: 0.0,
+    },
+    discountPrice: {
+      type: Number,
+      default: 0.0,
+    },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      type: { type: String },
+      value: { type: Number },
+      redeemedAt: { type: Date },
+    },
+    couponDiscount: {
+      type: Number,
+      default: 0.0,
+    },
     taxPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    taxIncluded: {
+      type: Number,
+      default: 0.0,
+    },
+    taxBreakdown: [
+      {
+        rule: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRule' },
+        name: { type: String },
+        rate: { type: Number },
+        inclusive: { type: Boolean },
+        taxableAmount: { type: Number },
+        tax: { type: Number },
+        _id: false,
+      },
+    ],
     shippingPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    shippingMethod: {
+      code: { type: String },
+      name: { type: String },
+      zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+      minDeliveryDays: { type: Number },
+      maxDeliveryDays: { type: Number },
+    },
+    shippingWeight: {
+      type: Number,
+    },
     totalPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    currency: {
+      code: { type: String, uppercase: true },
+      rate: { type: Number },
+      decimals: { type: Number },
+    },
     isPaid: {
       type: Boolean,
       required: true,
@@ -84,12 +248,312 @@ const orderSchema = mongoose.Schema(
       type: Boolean, 
       default: false 
     }, // Đơn hàng outfit
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      index: true,
+    },
+    statusHistory: [statusHistorySchema],
+    shipments: [shipmentSchema],
+    stockReservations: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        qty: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+    stockReservedAt: { type: Date },
+    restock: {
+      restockedAt: { type: Date },
+      restockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String },
+    },
+    cancellationReason: { type: String },
+    expiryCheckedAt: { type: Date },
+    confirmedAt: { type: Date },
+    shippedAt: { type: Date },
+    cancelledAt: { type: Date },
+    refundedAt: { type: Date },
   },
   {
     timestamps: true,
   }
 );
 
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ isPaid: 1, status: 1, expiryCheckedAt: 1, createdAt: 1 });
+orderSchema.index({ 'guest.email': 1, createdAt: -1 });
+
+orderSchema.pre('validate', function (next) {
+  if (!this.user && !this.guest?.email) {
+    this.invalidate('user', 'Order requires a user or a guest email');
+  }
+  if (!this.status) {
+    this.status = this.isNew ? 'pending' : deriveLegacyStatus(this);
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  Object.assign(this, deriveFlags(this.status, this));
+  next();
+});
+
+orderSchema.methods.getStatus = function () {
+  return this.status || deriveLegacyStatus(this);
+};
+
+orderSchema.methods.getCustomer = function () {
+  if (this.user && this.user.email) {
+    return { name: this.user.name || '', email: this.user.email };
+  }
+  return { name: this.guest?.name || '', email: this.guest?.email || '' };
+};
+
+orderSchema.methods.canTransitionTo = function (nextStatus) {
+  return (ORDER_STATUS_TRANSITIONS[this.getStatus()] || []).includes(nextStatus);
+};
+
+orderSchema.methods.getShippedQuantities = function () {
+  const quantities = new Map();
+  (this.shipments || []).forEach((shipment) =>
+    shipment.items.forEach((item) => {
+      const key = String(item.orderItem);
+      quantities.set(key, (quantities.get(key) || 0) + item.qty);
+    })
+  );
+  return quantities;
+};
+
+orderSchema.methods.assertPayable = function () {
+  if (this.isPaid) {
+    throw createStatusError('Order is already paid');
+  }
+  const currentStatus = this.getStatus();
+  if (['cancelled', 'refunded'].includes(currentStatus)) {
+    throw createStatusError(`Order cannot be paid while ${currentStatus}`);
+  }
+};
+
+orderSchema.statics.transition = async function (
+  id,
+  nextStatus,
+  { changedBy, note, set = {} } = {}
+) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw createStatusError(`Unknown order status: ${nextStatus}`);
+  }
+
+  const order = await this.findById(id);
+  if (!order) {
+    throw createStatusError('Order not found', 404);
+  }
+
+  const currentStatus = order.getStatus();
+  if (!order.canTransitionTo(nextStatus)) {
+    throw createStatusError(
+      `Order cannot move from ${currentStatus} to ${nextStatus}`
+    );
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      ...set,
+      status: nextStatus,
+      ...deriveFlags(nextStatus, order),
+    },
+    $push: { statusHistory: { status: nextStatus, changedBy, changedAt: now, note } },
+  };
+  if (STATUS_TIMESTAMPS[nextStatus]) {
+    update.$set[STATUS_TIMESTAMPS[nextStatus]] = now;
+  }
+
+  const updatedOrder = await this.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status ? currentStatus : { $exists: false },
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw createStatusError('Order status was changed by another request, please retry', 409);
+  }
+  return updatedOrder;
+};
+
+orderSchema.statics.markPaid = async function (
+  id,
+  paymentResult,
+  { changedBy, note, set = {} } = {}
+) {
+  const order = await this.findById(id);
+  if (!order) {
+    throw createStatusError('Order not found', 404);
+  }
+
+  const currentStatus = order.getStatus();
+  if (['cancelled', 'refunded'].includes(currentStatus)) {
+    throw createStatusError(`Order cannot be paid while ${currentStatus}`);
+  }
+
+  const now = new Date();
+  const updatedOrder = await this.findOneAndUpdate(
+    { _id: order._id, isPaid: false },
+    {
+      $set: { ...set, isPaid: true, paidAt: now, paymentResult },
+      $push: {
+        statusHistory: {
+          status: currentStatus,
+          changedBy,
+          changedAt: now,
+          note: note || 'Payment received',
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw createStatusError('Order is already paid');
+  }
+  return updatedOrder;
+};
+
+orderSchema.statics.addShipment = async function (
+  id,
+  { carrier, trackingNumber, trackingUrl, items },
+  { changedBy, note } = {}
+) {
+  const order = await this.findById(id);
+  if (!order) {
+    throw createStatusError('Order not found', 404);
+  }
+
+  const currentStatus = order.getStatus();
+  if (!order.canTransitionTo('partially_shipped') && !order.canTransitionTo('shipped')) {
+    throw createStatusError(`Order cannot be shipped while ${currentStatus}`);
+  }
+  if (!carrier || !trackingNumber) {
+    throw createStatusError('Carrier and tracking number are required');
+  }
+
+  const shipped = order.getShippedQuantities();
+  const remaining = order.orderItems
+    .map((line) => ({
+      orderItem: line._id,
+      qty: line.qty - (shipped.get(String(line._id)) || 0),
+    }))
+    .filter((item) => item.qty > 0);
+  const requested = Array.isArray(items) && items.length > 0 ? items : remaining;
+
+  const shipmentItems = requested.map((item) => {
+    const line = order.orderItems.id(item.orderItem);
+    if (!line) {
+      throw createStatusError(`Order item not found: ${item.orderItem}`);
+    }
+    const qty = Number(item.qty);
+    const key = String(line._id);
+    const alreadyShipped = shipped.get(key) || 0;
+    if (!Number.isInteger(qty) || qty <= 0 || alreadyShipped + qty > line.qty) {
+      throw createStatusError(`Only ${line.qty - alreadyShipped} of ${line.name} left to ship`);
+    }
+    shipped.set(key, alreadyShipped + qty);
+    return { orderItem: line._id, qty };
+  });
+  if (shipmentItems.length === 0) {
+    throw createStatusError('All items of this order have already been shipped');
+  }
+
+  const fullyShipped = order.orderItems.every(
+    (line) => (shipped.get(String(line._id)) || 0) >= line.qty
+  );
+  const nextStatus = fullyShipped ? 'shipped' : 'partially_shipped';
+  const now = new Date();
+  const update = {
+    $push: {
+      shipments: {
+        carrier,
+        trackingNumber,
+        trackingUrl,
+        items: shipmentItems,
+        shippedAt: now,
+        createdBy: changedBy,
+      },
+      statusHistory: {
+        status: nextStatus,
+        changedBy,
+        changedAt: now,
+        note: note || `Shipped with ${carrier} (${trackingNumber})`,
+      },
+    },
+  };
+  if (nextStatus !== currentStatus) {
+    update.$set = { status: nextStatus, ...deriveFlags(nextStatus, order) };
+    if (STATUS_TIMESTAMPS[nextStatus]) {
+      update.$set[STATUS_TIMESTAMPS[nextStatus]] = now;
+    }
+  }
+
+  const updatedOrder = await this.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status ? currentStatus : { $exists: false },
+      shipments: { $size: order.shipments.length },
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw createStatusError('Order was changed by another request, please retry', 409);
+  }
+  return updatedOrder;
+};
+
+orderSchema.statics.markShipmentDelivered = async function (
+  id,
+  shipmentId,
+  { changedBy } = {}
+) {
+  const updatedOrder = await this.findOneAndUpdate(
+    {
+      _id: id,
+      shipments: { $elemMatch: { _id: shipmentId, deliveredAt: { $exists: false } } },
+    },
+    { $set: { 'shipments.$.deliveredAt': new Date() } },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    const order = await this.findById(id);
+    if (!order || !order.shipments.id(shipmentId)) {
+      throw createStatusError('Shipment not found', 404);
+    }
+    throw createStatusError('Shipment is already delivered');
+  }
+
+  const allDelivered = updatedOrder.shipments.every((shipment) => shipment.deliveredAt);
+  if (!allDelivered || !updatedOrder.canTransitionTo('delivered')) {
+    return updatedOrder;
+  }
+
+  try {
+    return await this.transition(updatedOrder._id, 'delivered', {
+      changedBy,
+      note: 'All shipments delivered',
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return this.findById(updatedOrder._id);
+    }
+    throw error;
+  }
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { foldDiacritics } from "../utils/searchText.js";
 
 const reviewSchema = mongoose.Schema(
   {
@@ -25,6 +26,41 @@ const reviewSchema = mongoose.Schema(
   }
 );
 
+const variantSchema = mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  color: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  size: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+});
+
+const toSkuPart = (value) =>
+  String(value ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "")
+    .slice(0, 12) || "X";
+
 const productSchema = mongoose.Schema(
   {
     _id: {
@@ -79,23 +115,15 @@ const productSchema = mongoose.Schema(
       required: true,
       default: 0,
     },
-    size: {
-      s: {
-        type: Number,
-        default: 0,
-      },
-      m: {
-        type: Number,
-        default: 0,
-      },
-      l: {
-        type: Number,
-        default: 0,
-      },
-      xl: {
-        type: Number,
-        default: 0,
-      },
+    weight: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    dimensions: {
+      length: { type: Number, min: 0 },
+      width: { type: Number, min: 0 },
+      height: { type: Number, min: 0 },
     },
     colors: [
       {
@@ -103,38 +131,119 @@ const productSchema = mongoose.Schema(
         hexCode: { type: String, required: true },
       },
     ],
-    variants: [
-      {
-        color: { type: String, required: true },
-        size: { type: String, required: true },
-        price: { type: Number, required: true },
-        stock: { type: Number, default: 0 },
-      },
-    ],
+    variants: [variantSchema],
     outfitTags: [String],
     compatibleProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
     featureVector: { type: [Number], default: [] },
     // Amazon identifiers for data mapping
     amazonAsin: { type: String, index: true },
     amazonParentAsin: { type: String, index: true },
+    // Folded copies of the text fields for the text index, set on validate
+    searchText: {
+      name: { type: String, select: false },
+      brand: { type: String, select: false },
+      category: { type: String, select: false },
+      outfitTags: { type: [String], select: false, default: undefined },
+      description: { type: String, select: false },
+    },
   },
   {
     timestamps: true,
   }
 );
 
-productSchema.pre("save", function (next) {
-  let totalCountInStock = 0;
-
-  if (this.variants && this.variants.length > 0) {
-    totalCountInStock = this.variants.reduce((sum, variant) => {
-      return sum + (variant.stock || 0);
-    }, 0);
-  } else if (this.size) {
-    totalCountInStock += this.size.s + this.size.m + this.size.l + this.size.xl;
+// No language: stemming and stop words would not match folded Vietnamese.
+productSchema.index(
+  {
+    "searchText.name": "text",
+    "searchText.brand": "text",
+    "searchText.category": "text",
+    "searchText.outfitTags": "text",
+    "searchText.description": "text",
+  },
+  {
+    name: "product_folded_text_search",
+    default_language: "none",
+    weights: {
+      "searchText.name": 10,
+      "searchText.brand": 5,
+      "searchText.category": 3,
+      "searchText.outfitTags": 3,
+      "searchText.description": 1,
+    },
   }
+);
+
+productSchema.index({ createdAt: -1 });
+productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ brand: 1, createdAt: -1 });
+productSchema.index({ rating: -1 });
+productSchema.index({ sale: -1 });
+
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $type: "string" } } }
+);
+
+productSchema.methods.buildVariantSku = function (variant) {
+  const color = (this.colors || []).find(
+    (entry) => String(entry.hexCode).toLowerCase() === String(variant.color).toLowerCase()
+  );
+  return [
+    String(this._id).slice(-8).toUpperCase(),
+    toSkuPart(color ? color.name : variant.color),
+    toSkuPart(variant.size),
+  ].join("-");
+};
 
-  this.countInStock = totalCountInStock;
+productSchema.methods.buildSearchText = function () {
+  return {
+    name: foldDiacritics(this.name),
+    brand: foldDiacritics(this.brand),
+    category: foldDiacritics(this.category),
+    outfitTags: (this.outfitTags || []).map(foldDiacritics),
+    description: foldDiacritics(this.description),
+  };
+};
+
+productSchema.pre("validate", function (next) {
+  this.searchText = this.buildSearchText();
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  (this.variants || []).forEach((variant, index) => {
+    if (variant.price === undefined || variant.price === null) {
+      variant.price = this.price;
+    }
+    if (!variant.sku) {
+      variant.sku = this.buildVariantSku(variant);
+    }
+
+    const combination = `${String(variant.color).trim().toLowerCase()}|${String(variant.size)
+      .trim()
+      .toLowerCase()}`;
+    if (combinations.has(combination)) {
+      this.invalidate(
+        `variants.${index}.size`,
+        `Duplicate variant for color ${variant.color} and size ${variant.size}`
+      );
+    }
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate variant SKU ${variant.sku}`);
+    }
+    combinations.add(combination);
+    skus.add(variant.sku);
+  });
+
+  next();
+});
+
+productSchema.pre("save", function (next) {
+  this.countInStock = (this.variants || []).reduce(
+    (sum, variant) => sum + (variant.stock || 0),
+    0
+  );
 
   next();
 });
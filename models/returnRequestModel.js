@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+export const RETURN_REASONS = [
+  'damaged',
+  'wrong_item',
+  'wrong_size',
+  'not_as_described',
+  'changed_mind',
+  'other',
+];
+
+const STATUS_TIMESTAMPS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  received: 'receivedAt',
+  refunded: 'refundedAt',
+};
+
+const createReturnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const returnRequestSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Order',
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+      index: true,
+    },
+    items: [
+      {
+        orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+        product: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'Product' },
+        name: { type: String, required: true },
+        qty: { type: Number, required: true, min: 1 },
+        sizeSelected: { type: String },
+        colorSelected: { type: String },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        priceSale: { type: Number, required: true },
+        _id: false,
+      },
+    ],
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    note: { type: String },
+    images: [String],
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: 'requested',
+      index: true,
+    },
+    statusHistory: [
+      {
+        status: { type: String, enum: RETURN_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String },
+        _id: false,
+      },
+    ],
+    refundAmount: { type: Number, default: 0 },
+    refund: {
+      provider: { type: String },
+      reference: { type: String },
+      refundId: { type: String },
+      amount: { type: Number },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    restockedAt: { type: Date },
+    approvedAt: { type: Date },
+    rejectedAt: { type: Date },
+    receivedAt: { type: Date },
+    refundedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+returnRequestSchema.pre('validate', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user, note: this.note });
+  }
+  next();
+});
+
+returnRequestSchema.methods.canTransitionTo = function (nextStatus) {
+  return (RETURN_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+returnRequestSchema.statics.transition = async function (
+  id,
+  nextStatus,
+  { changedBy, note, set = {} } = {}
+) {
+  const returnRequest = await this.findById(id);
+  if (!returnRequest) {
+    throw createReturnError('Return request not found', 404);
+  }
+  if (!returnRequest.canTransitionTo(nextStatus)) {
+    throw createReturnError(
+      `Return request cannot move from ${returnRequest.status} to ${nextStatus}`
+    );
+  }
+
+  const now = new Date();
+  const updatedReturn = await this.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    {
+      $set: { ...set, status: nextStatus, [STATUS_TIMESTAMPS[nextStatus]]: now },
+      $push: { statusHistory: { status: nextStatus, changedBy, changedAt: now, note } },
+    },
+    { new: true }
+  );
+
+  if (!updatedReturn) {
+    throw createReturnError(
+      'Return request was changed by another request, please retry',
+      409
+    );
+  }
+  return updatedReturn;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
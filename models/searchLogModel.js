@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const SEARCH_SOURCES = ['search', 'filter', 'listing'];
+
+const DEFAULT_RETENTION_DAYS = 180;
+
+const searchLogSchema = mongoose.Schema(
+  {
+    source: { type: String, enum: SEARCH_SOURCES, required: true },
+    query: { type: String, trim: true },
+    key: { type: String, default: '' },
+    correctedQuery: { type: String },
+    filters: {
+      categories: [String],
+      brands: [String],
+      sizes: [String],
+      colors: [String],
+      rating: { type: Number },
+      priceMin: { type: Number },
+      priceMax: { type: Number },
+      currency: { type: String },
+      sortBy: { type: String },
+    },
+    resultCount: { type: Number, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sessionId: { type: String },
+    clickCount: { type: Number, default: 0 },
+    clickedProduct: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    clickedPosition: { type: Number },
+    clickedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+searchLogSchema.index({ key: 1, createdAt: -1 });
+searchLogSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (parseFloat(process.env.SEARCH_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60,
+  }
+);
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+export default SearchLog;
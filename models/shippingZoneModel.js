@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const rateSchema = mongoose.Schema(
+  {
+    minWeight: { type: Number, default: 0, min: 0 },
+    maxWeight: { type: Number, min: 0 },
+    price: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const shippingMethodSchema = mongoose.Schema(
+  {
+    code: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    rates: {
+      type: [rateSchema],
+      validate: {
+        validator: (rates) => rates.length > 0,
+        message: 'A shipping method needs at least one weight band',
+      },
+    },
+    freeShippingThreshold: { type: Number, min: 0 },
+    minDeliveryDays: { type: Number, min: 0 },
+    maxDeliveryDays: { type: Number, min: 0 },
+    isActive: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+const shippingZoneSchema = mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    countries: {
+      type: [{ type: String, uppercase: true, trim: true }],
+      validate: {
+        validator: (countries) => countries.length > 0,
+        message: 'A shipping zone needs at least one country',
+      },
+    },
+    cities: [{ type: String, lowercase: true, trim: true }],
+    methods: {
+      type: [shippingMethodSchema],
+      validate: {
+        validator: (methods) => methods.length > 0,
+        message: 'A shipping zone needs at least one shipping method',
+      },
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingZoneSchema.index({ isActive: 1, countries: 1 });
+
+shippingZoneSchema.pre('validate', function (next) {
+  const codes = this.methods.map((method) => method.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('methods', 'Shipping method codes must be unique within a zone');
+  }
+  this.methods.forEach((method, index) => {
+    method.rates.forEach((rate, rateIndex) => {
+      if (rate.maxWeight !== undefined && rate.maxWeight !== null && rate.maxWeight < rate.minWeight) {
+        this.invalidate(
+          `methods.${index}.rates.${rateIndex}.maxWeight`,
+          'maxWeight must not be below minWeight'
+        );
+      }
+    });
+  });
+  next();
+});
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
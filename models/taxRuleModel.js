@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+export const TAX_ROUNDING_MODES = ['half_up', 'half_even', 'up', 'down'];
+
+const taxRuleSchema = mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    country: { type: String, required: true, uppercase: true, trim: true },
+    category: { type: String, trim: true },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+    inclusive: { type: Boolean, default: false },
+    rounding: {
+      type: String,
+      enum: TAX_ROUNDING_MODES,
+      default: 'half_up',
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taxRuleSchema.index({ country: 1, category: 1 }, { unique: true });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
@@ -3,6 +3,21 @@ import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import { type } from "os";
 
+const addressSchema = mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    address: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    postalCode: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true },
+    recipientPhoneNumber: { type: String, required: true, trim: true },
+    isDefault: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
 const userSchema = mongoose.Schema(
   {
     name: {
@@ -43,6 +58,11 @@ const userSchema = mongoose.Schema(
       min: 13,
       max: 100,
     },
+    cartReminderOptOut: {
+      type: Boolean,
+      default: false,
+    },
+    addresses: [addressSchema],
     resetPasswordToken: {
       type: String,
     },
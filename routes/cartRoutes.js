@@ -0,0 +1,311 @@
+import express from 'express';
+import {
+  getCart,
+  addItemToCart,
+  updateItemInCart,
+  removeItemFromCart,
+  emptyCart,
+  mergeCart,
+  checkoutFromCart,
+  getAbandonedCarts,
+  getAbandonedCartStats,
+  unsubscribeCartReminders,
+} from '../controllers/cartController.js';
+import { protect, checkAdmin, optionalAuth } from '../middlewares/authMiddleware.js';
+import { attachCurrency } from '../middlewares/currencyMiddleware.js';
+import { idempotency } from '../middlewares/idempotencyMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cart
+ *     description: Server-side shopping cart endpoints
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Lấy giỏ hàng hiện tại (kiểm tra lại giá và tồn kho)
+ *     description: Every line is revalidated against the product's variants. Line status is ok, price_changed, insufficient_stock, out_of_stock or unavailable. Prices are in the requested currency, which is also remembered for reminder emails.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cart:
+ *                   $ref: '#/components/schemas/Cart'
+ *   delete:
+ *     summary: Xóa toàn bộ giỏ hàng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Cart cleared successfully
+ */
+router
+  .route('/')
+  .get(optionalAuth, attachCurrency, getCart)
+  .delete(optionalAuth, attachCurrency, emptyCart);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Thêm sản phẩm vào giỏ hàng
+ *     description: Adds qty (default 1) to the line with the same product, color and size. Guests without a token get a new cart; keep cart.cartToken for later requests.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartLineInput'
+ *     responses:
+ *       200:
+ *         description: Item added to cart
+ *       400:
+ *         description: Invalid line, variant not available or not enough stock
+ *       404:
+ *         description: Product not found
+ *   put:
+ *     summary: Cập nhật số lượng sản phẩm trong giỏ hàng
+ *     description: Sets the quantity of the line with the same product, color and size. qty 0 removes the line.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartLineInput'
+ *     responses:
+ *       200:
+ *         description: Cart updated successfully
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Cart or item not found
+ *   delete:
+ *     summary: Xóa sản phẩm khỏi giỏ hàng
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartLineInput'
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ *       404:
+ *         description: Cart or item not found
+ */
+router
+  .route('/items')
+  .post(optionalAuth, attachCurrency, addItemToCart)
+  .put(optionalAuth, attachCurrency, updateItemInCart)
+  .delete(optionalAuth, attachCurrency, removeItemFromCart);
+
+/**
+ * @swagger
+ * /cart/merge:
+ *   post:
+ *     summary: Gộp giỏ hàng khách vào giỏ hàng của người dùng sau khi đăng nhập
+ *     description: Quantities of matching lines are added together and the guest cart is deleted.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cartToken:
+ *                 type: string
+ *                 description: Guest cart token. The X-Cart-Token header is used when omitted.
+ *     responses:
+ *       200:
+ *         description: Cart merged successfully
+ */
+router.post('/merge', protect, attachCurrency, mergeCart);
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Tạo đơn hàng từ giỏ hàng
+ *     description: Creates the order through the same validation as POST /api/orders and removes the ordered lines from the cart. Optional price fields are checked against the server pricing. Guests send X-Cart-Token and guestEmail and get orderToken back.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Replays the stored response when the same request is retried
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               shippingAddress:
+ *                 type: object
+ *                 description: Required unless addressId is sent
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address from /users/profile/addresses
+ *               shippingMethod:
+ *                 type: string
+ *                 description: Code of a method from POST /shipping/quote; defaults to the cheapest one
+ *               paymentMethod:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               totalPrice:
+ *                 type: number
+ *               guestEmail:
+ *                 type: string
+ *                 format: email
+ *                 description: Required without a bearer token
+ *               guestName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *       400:
+ *         description: Cart empty, items unavailable or prices changed
+ */
+router.post('/checkout', optionalAuth, idempotency(), attachCurrency, checkoutFromCart);
+
+/**
+ * @swagger
+ * /cart/abandoned:
+ *   get:
+ *     summary: Lấy danh sách giỏ hàng bị bỏ quên (chỉ Admin)
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, recovered, lost]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: perPage
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Abandoned carts retrieved successfully
+ */
+router.get('/abandoned', protect, checkAdmin, getAbandonedCarts);
+
+/**
+ * @swagger
+ * /cart/abandoned/report:
+ *   get:
+ *     summary: Báo cáo giỏ hàng được khôi phục và bị bỏ quên (chỉ Admin)
+ *     description: Counts carts by the date they were abandoned. A cart is recovered when its user places an order before it is closed as lost.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Abandoned cart report retrieved successfully
+ */
+router.get('/abandoned/report', protect, checkAdmin, getAbandonedCartStats);
+
+/**
+ * @swagger
+ * /cart/reminders/unsubscribe:
+ *   get:
+ *     summary: Hủy nhận email nhắc giỏ hàng
+ *     description: Target of the link in cart reminder emails. Sets cartReminderOptOut on the user.
+ *     tags: [Cart]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: You will no longer receive cart reminder emails
+ *       400:
+ *         description: Invalid or expired unsubscribe link
+ */
+router.get('/reminders/unsubscribe', unsubscribeCartReminders);
+
+export default router;
@@ -0,0 +1,179 @@
+import express from "express";
+const router = express.Router();
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import { protect, checkAdmin } from "../middlewares/authMiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Coupons
+ *     description: Coupon and discount code management endpoints
+ */
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: Lấy danh sách mã giảm giá (chỉ Admin)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: Search by coupon code
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active state
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: perPage
+ *         schema:
+ *           type: integer
+ *           default: 9
+ *         description: Number of coupons per page
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupons:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Coupon'
+ *                     page:
+ *                       type: number
+ *                     pages:
+ *                       type: number
+ *                     count:
+ *                       type: number
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Tạo mã giảm giá mới (chỉ Admin)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupon:
+ *                       $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon data or duplicate code
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route("/").get(protect, checkAdmin, getCoupons).post(protect, checkAdmin, createCoupon);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Lấy chi tiết mã giảm giá và lịch sử sử dụng (chỉ Admin)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Cập nhật mã giảm giá (chỉ Admin)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Invalid coupon data
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Xóa mã giảm giá chưa được sử dụng (chỉ Admin)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon removed successfully
+ *       400:
+ *         description: Coupon has already been used
+ *       404:
+ *         description: Coupon not found
+ */
+router
+  .route("/:id")
+  .get(protect, checkAdmin, getCouponById)
+  .put(protect, checkAdmin, updateCoupon)
+  .delete(protect, checkAdmin, deleteCoupon);
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import {
+  getCurrencies,
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+} from '../controllers/currencyController.js';
+import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Currencies
+ *     description: Store base currency and exchange rates
+ */
+
+/**
+ * @swagger
+ * /currencies:
+ *   get:
+ *     summary: Lấy tiền tệ cơ sở và các tiền tệ được hỗ trợ
+ *     description: The base currency is always listed first with rate 1. Any listed code can be sent as ?currency= to product and order endpoints.
+ *     tags: [Currencies]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Currencies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 baseCurrency:
+ *                   type: string
+ *                 currencies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ */
+router.route('/').get(getCurrencies);
+
+/**
+ * @swagger
+ * /currencies/rates:
+ *   get:
+ *     summary: Lấy toàn bộ tỷ giá, kể cả tỷ giá đã tắt (chỉ Admin)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/rates').get(protect, checkAdmin, getExchangeRates);
+
+/**
+ * @swagger
+ * /currencies/{code}:
+ *   put:
+ *     summary: Tạo hoặc cập nhật tỷ giá của một tiền tệ (chỉ Admin)
+ *     description: Existing orders keep the rate they were placed with.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ISO 4217 code, e.g. VND
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 description: Units of this currency per 1 unit of the base currency
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Exchange rate updated successfully
+ *       201:
+ *         description: Exchange rate created successfully
+ *       400:
+ *         description: Invalid code or rate, or the code is the base currency
+ *   delete:
+ *     summary: Xóa tỷ giá của một tiền tệ (chỉ Admin)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       404:
+ *         description: Exchange rate not found
+ */
+router
+  .route('/:code')
+  .put(protect, checkAdmin, setExchangeRate)
+  .delete(protect, checkAdmin, deleteExchangeRate);
+
+export default router;
@@ -2,15 +2,27 @@ import express from 'express';
 const router = express.Router();
 import {
   addOrderItems,
+  previewOrder,
   getOrderById,
+  getGuestOrder,
+  resendGuestOrderLink,
+  requestGuestOrderClaim,
+  claimGuestOrdersWithLink,
   updateOrderToPaid,
   getMyOrders,
   getOrders,
+  exportOrdersCsv,
+  getOrderInvoice,
   updateOrderToDelivered,
+  updateOrderStatus,
+  createShipment,
+  deliverShipment,
   cancelOrder,
   confirmOrder,
 } from '../controllers/orderControllers.js';
-import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
+import { protect, checkAdmin, optionalAuth } from '../middlewares/authMiddleware.js';
+import { idempotency } from '../middlewares/idempotencyMiddleware.js';
+import { attachCurrency } from '../middlewares/currencyMiddleware.js';
 
 /**
  * @swagger
@@ -28,6 +40,7 @@ import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: query
  *         name: pageNumber
  *         schema:
@@ -58,22 +71,100 @@ import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
  *         description: Unauthorized
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.route('/myorders').get(getMyOrders);
+router.route('/myorders').get(protect, attachCurrency, getMyOrders);
+
+/**
+ * @swagger
+ * /orders/preview:
+ *   post:
+ *     summary: Tính giá giỏ hàng phía server (không tạo đơn)
+ *     tags: [Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderItems
+ *             properties:
+ *               orderItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     qty:
+ *                       type: number
+ *                     sizeSelected:
+ *                       type: string
+ *                     colorSelected:
+ *                       type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional coupon code to apply
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/AddressInput'
+ *               addressId:
+ *                 type: string
+ *               shippingMethod:
+ *                 type: string
+ *                 description: Shipping method code; defaults to the cheapest method for the address
+ *     responses:
+ *       200:
+ *         description: Order pricing calculated successfully
+ *       400:
+ *         description: Invalid order items, coupon, address or shipping method
+ *       404:
+ *         description: Product not found
+ */
+router.route('/preview').post(optionalAuth, attachCurrency, previewOrder);
 
 /**
  * @swagger
  * /orders:
  *   post:
  *     summary: Tạo đơn hàng mới
+ *     description: Without a bearer token the order is placed as a guest and guestEmail is required. The guest gets an email with a link to the order, and the response contains orderToken for GET /orders/guest/{id} and the payment endpoints. Idempotency-Key is only applied to logged in users.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Replays the stored response when the same request is retried
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Order'
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 properties:
+ *                   couponCode:
+ *                     type: string
+ *                     description: Optional coupon code, its discount is stored in couponDiscount
+ *                   addressId:
+ *                     type: string
+ *                     description: ID of a saved address from /users/profile/addresses, used instead of shippingAddress
+ *                   shippingMethod:
+ *                     type: string
+ *                     description: Code of a method from POST /shipping/quote; defaults to the cheapest one
+ *                   guestEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Required when ordering without an account
+ *                   guestName:
+ *                     type: string
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -92,12 +183,15 @@ router.route('/myorders').get(getMyOrders);
  *       400:
  *         description: Bad request
  *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Idempotency-Key reused with a different body or still in progress
  *   get:
  *     summary: Lấy tất cả đơn hàng (chỉ Admin)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: query
  *         name: pageNumber
  *         schema:
@@ -114,10 +208,73 @@ router.route('/myorders').get(getMyOrders);
  *         name: keyword
  *         schema:
  *           type: string
- *         description: Search by order ID
+ *         description: Order ID, or text matched against customer name/email, recipient phone, city and product name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more comma separated statuses
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *         description: One or more comma separated payment methods
+ *       - in: query
+ *         name: isPaid
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without time covers the whole day (UTC)
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Customer name or email (partial match)
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Product name in the order lines (partial match)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, totalPrice, paidAt, deliveredAt, status]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
  *     responses:
  *       200:
- *         description: Orders retrieved successfully
+ *         description: Orders retrieved successfully, with statusCounts computed from every filter except status
  *         content:
  *           application/json:
  *             schema:
@@ -137,20 +294,169 @@ router.route('/myorders').get(getMyOrders);
  */
 router
   .route('/')
-  .post(protect, addOrderItems)
-  .get(getOrders);
+  .post(optionalAuth, idempotency(), attachCurrency, addOrderItems)
+  .get(protect, checkAdmin, attachCurrency, getOrders);
+
+/**
+ * @swagger
+ * /orders/guest/lookup:
+ *   post:
+ *     summary: Gửi lại liên kết xem đơn hàng cho khách
+ *     description: Emails a new order link when the order was placed as a guest with this email. The response is the same whether or not an order matches.
+ *     tags: [Orders]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - orderId
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: If a guest order matches this email, a link to it has been sent
+ *       400:
+ *         description: email and orderId are required
+ */
+router.route('/guest/lookup').post(resendGuestOrderLink);
+
+/**
+ * @swagger
+ * /orders/guest/claim-request:
+ *   post:
+ *     summary: Gửi email xác nhận để nhận các đơn hàng khách về tài khoản
+ *     description: Emails a link to the account email when guest orders were placed with it. The same email is sent after registering. The response is the same whether or not an order matches.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: If guest orders match your email, a link to add them has been sent
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/guest/claim-request').post(protect, requestGuestOrderClaim);
+
+/**
+ * @swagger
+ * /orders/guest/claim:
+ *   post:
+ *     summary: Nhận các đơn hàng khách về tài khoản bằng liên kết trong email
+ *     description: Attaches every guest order placed with the account email. The token comes from the link in the claim email and is valid for 7 days.
+ *     tags: [Orders]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guest orders added to your account
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.route('/guest/claim').post(claimGuestOrdersWithLink);
+
+/**
+ * @swagger
+ * /orders/guest/{id}:
+ *   get:
+ *     summary: Xem đơn hàng của khách bằng liên kết trong email
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Order token from the email or the create order response. The X-Order-Token header can be used instead.
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       404:
+ *         description: Order not found or token invalid
+ */
+router.route('/guest/:id').get(attachCurrency, getGuestOrder);
+/**
+ * @swagger
+ * /orders/export/csv:
+ *   get:
+ *     summary: Xuất đơn hàng ra file CSV (chỉ Admin)
+ *     description: Streams one row per order line. Accepts the same filters and sorting as GET /orders (status, customer, dateFrom, dateTo, ...), without pagination.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ */
+router.route('/export/csv').get(protect, checkAdmin, exportOrdersCsv);
+
 /**
  * @swagger
  * /orders/{id}:
  *   get:
  *     summary: Lấy chi tiết đơn hàng theo ID
+ *     description: Available to the order owner and admins. Guests send the order token from the create order response or the order email.
  *     tags: [Orders]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: orderToken
+ *         schema:
+ *           type: string
+ *         description: Order token for guest orders. The X-Order-Token header can be used instead.
  *     responses:
  *       200:
  *         description: Order retrieved successfully
@@ -158,10 +464,52 @@ router
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Not logged in and no valid order token
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Order not found
+ */
+router.route('/:id').get(optionalAuth, attachCurrency, getOrderById);
+
+/**
+ * @swagger
+ * /orders/{id}/invoice:
+ *   get:
+ *     summary: Tải hóa đơn của đơn hàng (HTML hoặc PDF)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Invoice document
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Order belongs to another user
  *       404:
  *         description: Order not found
  */
-router.route('/:id').get(getOrderById);
+router.route('/:id/invoice').get(protect, getOrderInvoice);
 
 /**
  * @swagger
@@ -177,6 +525,12 @@ router.route('/:id').get(getOrderById);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Replays the stored response when the same request is retried
  *     requestBody:
  *       required: false
  *       content:
@@ -197,7 +551,7 @@ router.route('/:id').get(getOrderById);
  *       404:
  *         description: Order not found
  */
-router.route('/:id/pay').put(protect, updateOrderToPaid);
+router.route('/:id/pay').put(protect, idempotency(), updateOrderToPaid);
 
 /**
  * @swagger
@@ -243,6 +597,12 @@ router.route('/:id/deliver').put(protect, checkAdmin, updateOrderToDelivered);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Replays the stored response when the same request is retried
  *     responses:
  *       200:
  *         description: Order cancelled successfully
@@ -252,10 +612,12 @@ router.route('/:id/deliver').put(protect, checkAdmin, updateOrderToDelivered);
  *               $ref: '#/components/schemas/Order'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not the owner of the order
  *       404:
  *         description: Order not found
  */
-router.route('/:id/cancel').put(protect, cancelOrder);
+router.route('/:id/cancel').put(protect, idempotency(), cancelOrder);
 
 /**
  * @swagger
@@ -287,4 +649,137 @@ router.route('/:id/cancel').put(protect, cancelOrder);
  */
 router.route('/:id/confirm').put(protect, checkAdmin, confirmOrder);
 
+/**
+ * @swagger
+ * /orders/{id}/status:
+ *   put:
+ *     summary: Cập nhật trạng thái xử lý đơn hàng (chỉ Admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [packed, shipped, delivered]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Illegal status transition
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order status was changed concurrently
+ */
+router.route('/:id/status').put(protect, checkAdmin, updateOrderStatus);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   post:
+ *     summary: Tạo kiện hàng giao cho đơn hàng (chỉ Admin)
+ *     description: Ships the given lines and quantities, or every remaining item when items is omitted. The order stays partially_shipped until every line is fulfilled, then moves to shipped. The customer receives an orderShipped socket event.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *               - trackingNumber
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: _id of the line in order.orderItems
+ *                     qty:
+ *                       type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment created successfully
+ *       400:
+ *         description: Order cannot be shipped or quantities exceed what is left to ship
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was changed concurrently
+ */
+router.route('/:id/shipments').post(protect, checkAdmin, createShipment);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments/{shipmentId}/deliver:
+ *   put:
+ *     summary: Xác nhận kiện hàng đã giao (chỉ Admin)
+ *     description: Once every shipment is delivered and all items are shipped, the order moves to delivered.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipment delivered successfully
+ *       400:
+ *         description: Shipment is already delivered
+ *       404:
+ *         description: Shipment not found
+ */
+router
+  .route('/:id/shipments/:shipmentId/deliver')
+  .put(protect, checkAdmin, deliverShipment);
+
 export default router;
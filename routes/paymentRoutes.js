@@ -0,0 +1,158 @@
+import express from 'express';
+import {
+  createPaymentIntent,
+  handleStripeWebhook,
+  createPayPalOrder,
+  capturePayPalOrder,
+} from '../controllers/paymentController.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payments
+ *     description: Payment provider endpoints
+ */
+
+/**
+ * @swagger
+ * /payments/stripe/intent:
+ *   post:
+ *     summary: Tạo Stripe PaymentIntent cho một đơn hàng
+ *     description: The amount is computed from the stored order total, not from the request body.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               orderToken:
+ *                 type: string
+ *                 description: Order token of a guest order, required without a bearer token. The X-Order-Token header can be used instead.
+ *     responses:
+ *       200:
+ *         description: Payment intent created successfully
+ *       400:
+ *         description: Order cannot be paid
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order not found
+ */
+router.post('/stripe/intent', optionalAuth, createPaymentIntent);
+
+/**
+ * @swagger
+ * /payments/stripe/webhook:
+ *   post:
+ *     summary: Nhận webhook từ Stripe
+ *     description: Verifies the Stripe-Signature header and applies payment_intent.succeeded, payment_intent.payment_failed and charge.refunded events to the order referenced in metadata. Each event is applied at most once.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature
+ *       500:
+ *         description: Event could not be processed, Stripe will retry
+ */
+router.post('/stripe/webhook', handleStripeWebhook);
+
+/**
+ * @swagger
+ * /payments/paypal/orders:
+ *   post:
+ *     summary: Tạo PayPal order từ đơn hàng
+ *     description: The PayPal amount and currency are taken from the stored order.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               orderToken:
+ *                 type: string
+ *                 description: Order token of a guest order, required without a bearer token. The X-Order-Token header can be used instead.
+ *     responses:
+ *       201:
+ *         description: PayPal order created successfully
+ *       400:
+ *         description: Order cannot be paid
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: PayPal request failed
+ */
+router.post('/paypal/orders', optionalAuth, createPayPalOrder);
+
+/**
+ * @swagger
+ * /payments/paypal/capture:
+ *   post:
+ *     summary: Capture PayPal order và xác nhận thanh toán
+ *     description: Captures the approved PayPal order on the server and marks the order paid only when the captured amount and currency match the order.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               orderToken:
+ *                 type: string
+ *                 description: Order token of a guest order, required without a bearer token. The X-Order-Token header can be used instead.
+ *               paypalOrderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PayPal payment captured successfully
+ *       400:
+ *         description: Capture does not match the order
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: PayPal request failed
+ */
+router.post('/paypal/capture', optionalAuth, capturePayPalOrder);
+
+export default router;
@@ -13,8 +13,11 @@ import {
   getSortByPriceProducts,
   recommendSizeForUser,
   filterProducts,
+  searchProducts,
+  suggestProducts,
 } from "../controllers/productController.js";
-import { protect, checkAdmin } from "../middlewares/authMiddleware.js";
+import { protect, checkAdmin, optionalAuth } from "../middlewares/authMiddleware.js";
+import { attachCurrency } from "../middlewares/currencyMiddleware.js";
 const router = express.Router();
 
 /**
@@ -29,8 +32,11 @@ const router = express.Router();
  * /products:
  *   get:
  *     summary: Lấy danh sách tất cả sản phẩm
+ *     description: The first page of a keyword search is logged for search analytics and returns searchId for click reporting.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/SessionId'
  *       - in: query
  *         name: keyword
  *         schema:
@@ -91,7 +97,7 @@ const router = express.Router();
  *       403:
  *         description: Forbidden
  */
-router.route("/").get(getProducts).post(protect, checkAdmin, createProduct);
+router.route("/").get(optionalAuth, attachCurrency, getProducts).post(protect, checkAdmin, createProduct);
 /**
  * @swagger
  * /products/{id}/reviews:
@@ -137,8 +143,11 @@ router.route("/:id/reviews").post(protect, createProductReview);
  * /products/filter:
  *   get:
  *     summary: Lọc sản phẩm theo nhiều tiêu chí
+ *     description: First-page requests with a keyword or any filter are logged for search analytics; the returned searchId is used to report clicks.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/SessionId'
  *       - in: query
  *         name: keyword
  *         schema:
@@ -155,10 +164,12 @@ router.route("/:id/reviews").post(protect, createProductReview);
  *         name: color
  *         schema:
  *           type: string
+ *         description: Comma-separated color names or hex codes; only matches variants with stock
  *       - in: query
  *         name: size
  *         schema:
  *           type: string
+ *         description: Comma-separated size labels (e.g. M,XL,42); combined with color, a single variant must match both
  *       - in: query
  *         name: minPrice
  *         schema:
@@ -188,7 +199,7 @@ router.route("/:id/reviews").post(protect, createProductReview);
  *           default: 20
  *     responses:
  *       200:
- *         description: Filtered products retrieved successfully
+ *         description: Filtered products retrieved successfully, with facet counts for the current filter
  *         content:
  *           application/json:
  *             schema:
@@ -197,17 +208,128 @@ router.route("/:id/reviews").post(protect, createProductReview);
  *                 message:
  *                   type: string
  *                 data:
+ *                   type: object
+ *                   properties:
+ *                     searchId:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Search log ID for click reporting; null on later pages or without filters
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Product'
+ *                     page:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                     count:
+ *                       type: integer
+ *                     facets:
+ *                       $ref: '#/components/schemas/ProductFacets'
+ */
+router.route("/filter").get(optionalAuth, attachCurrency, filterProducts);
+/**
+ * @swagger
+ * /products/search:
+ *   get:
+ *     summary: Tìm kiếm sản phẩm theo độ liên quan
+ *     description: Searches name, brand, category, outfit tags and description, ranked by relevance. Matching ignores case and diacritics. When nothing matches, close spellings are tried and returned in correctedQuery. First-page searches are logged for search analytics.
+ *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/SessionId'
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text; supports "quoted phrases" and -excluded words
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: perPage
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 searchId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Search log ID for click reporting; null on later pages
+ *                 query:
+ *                   type: string
+ *                 correctedQuery:
+ *                   type: string
+ *                   nullable: true
+ *                 products:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Missing search query
+ */
+router.get("/search", optionalAuth, attachCurrency, searchProducts);
+/**
+ * @swagger
+ * /products/suggest:
+ *   get:
+ *     summary: Gợi ý tìm kiếm khi đang gõ
+ *     description: Returns product names, brands, categories and popular past searches whose words start with the typed text. Matching ignores case and diacritics.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *         description: Maximum suggestions of each type
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchSuggestion'
  */
-router.route("/filter").get(filterProducts);
+router.get("/suggest", suggestProducts);
 /**
  * @swagger
  * /products/top:
  *   get:
  *     summary: Lấy danh sách sản phẩm nổi bật (đánh giá cao)
  *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *     responses:
  *       200:
  *         description: Top products retrieved successfully
@@ -218,13 +340,15 @@ router.route("/filter").get(filterProducts);
  *               items:
  *                 $ref: '#/components/schemas/Product'
  */
-router.get("/top", getTopProducts);
+router.get("/top", attachCurrency, getTopProducts);
 /**
  * @swagger
  * /products/latest:
  *   get:
  *     summary: Lấy danh sách sản phẩm mới nhất
  *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *     responses:
  *       200:
  *         description: Latest products retrieved successfully
@@ -235,13 +359,15 @@ router.get("/top", getTopProducts);
  *               items:
  *                 $ref: '#/components/schemas/Product'
  */
-router.get("/latest", getLatestProducts);
+router.get("/latest", attachCurrency, getLatestProducts);
 /**
  * @swagger
  * /products/sale:
  *   get:
  *     summary: Lấy danh sách sản phẩm đang giảm giá
  *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *     responses:
  *       200:
  *         description: Sale products retrieved successfully
@@ -252,7 +378,7 @@ router.get("/latest", getLatestProducts);
  *               items:
  *                 $ref: '#/components/schemas/Product'
  */
-router.get("/sale", getSaleProducts);
+router.get("/sale", attachCurrency, getSaleProducts);
 /**
  * @swagger
  * /products/related:
@@ -260,6 +386,7 @@ router.get("/sale", getSaleProducts);
  *     summary: Lấy danh sách sản phẩm liên quan
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: query
  *         name: productId
  *         schema:
@@ -280,7 +407,7 @@ router.get("/sale", getSaleProducts);
  *               items:
  *                 $ref: '#/components/schemas/Product'
  */
-router.get("/related", getRelatedProducts);
+router.get("/related", attachCurrency, getRelatedProducts);
 /**
  * @swagger
  * /products/price:
@@ -288,6 +415,7 @@ router.get("/related", getRelatedProducts);
  *     summary: Lấy danh sách sản phẩm sắp xếp theo giá
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: query
  *         name: order
  *         schema:
@@ -315,7 +443,7 @@ router.get("/related", getRelatedProducts);
  *               items:
  *                 $ref: '#/components/schemas/Product'
  */
-router.get("/price", getSortByPriceProducts);
+router.get("/price", attachCurrency, getSortByPriceProducts);
 /**
  * @swagger
  * /products/recommend-size/{userId}:
@@ -353,6 +481,7 @@ router.get("/recommend-size/:userId", recommendSizeForUser);
  *     summary: Lấy thông tin chi tiết sản phẩm theo ID
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
  *       - in: path
  *         name: id
  *         required: true
@@ -422,7 +551,7 @@ router.get("/recommend-size/:userId", recommendSizeForUser);
  */
 router
   .route("/:id")
-  .get(getProductById)
+  .get(attachCurrency, getProductById)
   .delete(protect, checkAdmin, deleteProduct)
   .put(protect, checkAdmin, updateProduct);
 
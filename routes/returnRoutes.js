@@ -0,0 +1,281 @@
+import express from 'express';
+import {
+  createReturn,
+  getMyReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+} from '../controllers/returnController.js';
+import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Returns
+ *     description: Return and refund (RMA) endpoints
+ */
+
+/**
+ * @swagger
+ * /returns:
+ *   post:
+ *     summary: Yêu cầu trả hàng cho đơn đã giao
+ *     description: Only the order owner can request a return, within RETURN_WINDOW_DAYS (default 30) of delivery. Images are URLs returned by POST /api/upload.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItem:
+ *                       type: string
+ *                       description: _id of the line in order.orderItems
+ *                     qty:
+ *                       type: number
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wrong_item, wrong_size, not_as_described, changed_mind, other]
+ *               note:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Return request created successfully
+ *       400:
+ *         description: Order not returnable, window closed or invalid items
+ *       403:
+ *         description: Order belongs to another user
+ *       404:
+ *         description: Order not found
+ *   get:
+ *     summary: Lấy tất cả yêu cầu trả hàng (chỉ Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: perPage
+ *         schema:
+ *           type: integer
+ *           default: 9
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ */
+router.route('/').post(protect, createReturn).get(protect, checkAdmin, getReturns);
+
+/**
+ * @swagger
+ * /returns/myreturns:
+ *   get:
+ *     summary: Lấy yêu cầu trả hàng của người dùng
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: perPage
+ *         schema:
+ *           type: integer
+ *           default: 9
+ *     responses:
+ *       200:
+ *         description: User returns retrieved successfully
+ */
+router.get('/myreturns', protect, getMyReturns);
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     summary: Lấy chi tiết yêu cầu trả hàng
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request retrieved successfully
+ *       403:
+ *         description: Return belongs to another user
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id', protect, getReturnById);
+
+/**
+ * @swagger
+ * /returns/{id}/approve:
+ *   put:
+ *     summary: Duyệt yêu cầu trả hàng (chỉ Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request approved successfully
+ *       400:
+ *         description: Illegal status transition
+ *       409:
+ *         description: Return request was changed concurrently
+ */
+router.put('/:id/approve', protect, checkAdmin, approveReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/reject:
+ *   put:
+ *     summary: Từ chối yêu cầu trả hàng (chỉ Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request rejected successfully
+ *       400:
+ *         description: Illegal status transition
+ */
+router.put('/:id/reject', protect, checkAdmin, rejectReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/receive:
+ *   put:
+ *     summary: Xác nhận đã nhận hàng trả, nhập lại kho và hoàn tiền (chỉ Admin)
+ *     description: Restocks the returned items and refunds the customer. Orders paid through Stripe are refunded through the Stripe API; other payments are recorded as refunds to be settled manually. If the refund fails the return stays received and can be retried with PUT /returns/{id}/refund.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Overrides the computed refund amount
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return received and refunded successfully
+ *       400:
+ *         description: Illegal status transition or nothing to refund
+ */
+router.put('/:id/receive', protect, checkAdmin, receiveReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/refund:
+ *   put:
+ *     summary: Thử lại hoàn tiền cho hàng trả đã nhận (chỉ Admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return refunded successfully
+ *       400:
+ *         description: Return is not received or nothing to refund
+ */
+router.put('/:id/refund', protect, checkAdmin, refundReturn);
+
+export default router;
@@ -0,0 +1,196 @@
+import express from 'express';
+import {
+  reportSearchClick,
+  getTopSearchQueries,
+  getZeroResultSearchQueries,
+  getLowCtrSearchQueries,
+  getSearchTrendReport,
+} from '../controllers/searchAnalyticsController.js';
+import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Search Analytics
+ *     description: Catalog search logging and search reports
+ */
+
+/**
+ * @swagger
+ * /search/analytics/top-queries:
+ *   get:
+ *     summary: Lấy các từ khóa được tìm kiếm nhiều nhất (chỉ Admin)
+ *     description: Groups logged searches by their normalized text (case and diacritics ignored).
+ *     tags: [Search Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *     responses:
+ *       200:
+ *         description: Top search queries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       type: object
+ *                       properties:
+ *                         dateFrom:
+ *                           type: string
+ *                           format: date-time
+ *                         dateTo:
+ *                           type: string
+ *                           format: date-time
+ *                         queries:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/SearchQueryStats'
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/analytics/top-queries', protect, checkAdmin, getTopSearchQueries);
+
+/**
+ * @swagger
+ * /search/analytics/zero-results:
+ *   get:
+ *     summary: Lấy các từ khóa không có kết quả (chỉ Admin)
+ *     description: Lists queries that returned no products, with the number of distinct sessions and the filters of the latest attempt.
+ *     tags: [Search Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *     responses:
+ *       200:
+ *         description: Zero-result search queries retrieved successfully
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/analytics/zero-results', protect, checkAdmin, getZeroResultSearchQueries);
+
+/**
+ * @swagger
+ * /search/analytics/low-ctr:
+ *   get:
+ *     summary: Lấy các từ khóa có tỷ lệ nhấp thấp (chỉ Admin)
+ *     description: Queries that returned products but whose results were rarely clicked, lowest click-through rate first.
+ *     tags: [Search Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *       - in: query
+ *         name: minSearches
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Ignore queries searched fewer times than this
+ *     responses:
+ *       200:
+ *         description: Low click-through search queries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       type: object
+ *                       properties:
+ *                         minSearches:
+ *                           type: integer
+ *                         queries:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/SearchQueryStats'
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/analytics/low-ctr', protect, checkAdmin, getLowCtrSearchQueries);
+
+/**
+ * @swagger
+ * /search/analytics/trend:
+ *   get:
+ *     summary: Xu hướng tìm kiếm theo thời gian (chỉ Admin)
+ *     description: Search volume, zero-result rate and click-through rate per day, ISO week or month (UTC).
+ *     tags: [Search Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Limit the trend to one query
+ *     responses:
+ *       200:
+ *         description: Search trend retrieved successfully
+ *       400:
+ *         description: Invalid date or interval
+ */
+router.get('/analytics/trend', protect, checkAdmin, getSearchTrendReport);
+
+/**
+ * @swagger
+ * /search/{searchId}/click:
+ *   post:
+ *     summary: Ghi nhận lượt nhấp vào sản phẩm từ kết quả tìm kiếm
+ *     description: Call when a shopper opens a product from a search or filter result list. searchId is returned by GET /products/search and GET /products/filter. Only the first click sets clickedProduct; later clicks increase clickCount.
+ *     tags: [Search Analytics]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId]
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 1-based position of the product in the result list
+ *     responses:
+ *       200:
+ *         description: Search click recorded successfully
+ *       400:
+ *         description: Invalid search ID, product ID or position
+ *       404:
+ *         description: Search not found
+ */
+router.post('/:searchId/click', reportSearchClick);
+
+export default router;
@@ -0,0 +1,168 @@
+import express from 'express';
+import {
+  getShippingZones,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  quoteShipping,
+} from '../controllers/shippingController.js';
+import { protect, checkAdmin, optionalAuth } from '../middlewares/authMiddleware.js';
+import { attachCurrency } from '../middlewares/currencyMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Shipping
+ *     description: Shipping zones, rates and quotes
+ */
+
+/**
+ * @swagger
+ * /shipping/quote:
+ *   post:
+ *     summary: Báo giá các phương thức vận chuyển cho giỏ hàng và địa chỉ
+ *     description: Uses orderItems when sent, otherwise the current cart. The billable weight is the larger of the product weights and their volumetric weight. Methods are sorted by price; the cheapest is charged when an order does not choose one.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderItems:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CartLineInput'
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/AddressInput'
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address, used instead of shippingAddress
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipping methods quoted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shippingWeight:
+ *                   type: number
+ *                 itemsPrice:
+ *                   type: number
+ *                 couponDiscount:
+ *                   type: number
+ *                 methods:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingQuote'
+ *       400:
+ *         description: Invalid address, empty cart or no shipping method for this address
+ */
+router.route('/quote').post(optionalAuth, attachCurrency, quoteShipping);
+
+/**
+ * @swagger
+ * /shipping/zones:
+ *   get:
+ *     summary: Lấy danh sách khu vực giao hàng (chỉ Admin)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 zones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingZone'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Tạo khu vực giao hàng (chỉ Admin)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router
+  .route('/zones')
+  .get(protect, checkAdmin, getShippingZones)
+  .post(protect, checkAdmin, createShippingZone);
+
+/**
+ * @swagger
+ * /shipping/zones/{id}:
+ *   put:
+ *     summary: Cập nhật khu vực giao hàng (chỉ Admin)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Shipping zone not found
+ *   delete:
+ *     summary: Xóa khu vực giao hàng (chỉ Admin)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted successfully
+ *       404:
+ *         description: Shipping zone not found
+ */
+router
+  .route('/zones/:id')
+  .put(protect, checkAdmin, updateShippingZone)
+  .delete(protect, checkAdmin, deleteShippingZone);
+
+export default router;
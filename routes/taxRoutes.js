@@ -0,0 +1,119 @@
+import express from 'express';
+import {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} from '../controllers/taxController.js';
+import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Tax
+ *     description: Tax rules by country and category
+ */
+
+/**
+ * @swagger
+ * /tax/rules:
+ *   get:
+ *     summary: Lấy danh sách quy tắc thuế (chỉ Admin)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Filter by country code or name
+ *     responses:
+ *       200:
+ *         description: Tax rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaxRule'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Tạo quy tắc thuế (chỉ Admin)
+ *     description: One rule per country and category; a rule without category covers the rest of the country.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       201:
+ *         description: Tax rule created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router
+  .route('/rules')
+  .get(protect, checkAdmin, getTaxRules)
+  .post(protect, checkAdmin, createTaxRule);
+
+/**
+ * @swagger
+ * /tax/rules/{id}:
+ *   put:
+ *     summary: Cập nhật quy tắc thuế (chỉ Admin)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Tax rule not found
+ *   delete:
+ *     summary: Xóa quy tắc thuế (chỉ Admin)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted successfully
+ *       404:
+ *         description: Tax rule not found
+ */
+router
+  .route('/rules/:id')
+  .put(protect, checkAdmin, updateTaxRule)
+  .delete(protect, checkAdmin, deleteTaxRule);
+
+export default router;
@@ -14,6 +14,12 @@ import {
   checkHasStylePreference,
   getUsersForTesting
 } from '../controllers/userController.js';
+import {
+  getAddresses,
+  createAddress,
+  editAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
 import { protect, checkAdmin } from '../middlewares/authMiddleware.js';
 import passport from 'passport';
 import generateToken from '../utils/generateToken.js';
@@ -427,6 +433,107 @@ router
   .get(getUserProfile)
   .put(protect, updateUserProfile);
 
+/**
+ * @swagger
+ * /users/profile/addresses:
+ *   get:
+ *     summary: Lấy sổ địa chỉ giao hàng của người dùng
+ *     description: The default address comes first.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Addresses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Thêm địa chỉ giao hàng mới
+ *     description: Postal code and phone number are validated for the country (VN and US have specific formats). The first address, or one sent with isDefault true, becomes the default. At most 10 addresses can be saved.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddressInput'
+ *     responses:
+ *       201:
+ *         description: Address saved successfully
+ *       400:
+ *         description: Invalid address or address book full
+ *       409:
+ *         description: An address with this label already exists
+ */
+router
+  .route('/profile/addresses')
+  .get(protect, getAddresses)
+  .post(protect, createAddress);
+
+/**
+ * @swagger
+ * /users/profile/addresses/{addressId}:
+ *   put:
+ *     summary: Cập nhật địa chỉ giao hàng
+ *     description: Only the fields sent are changed; the merged address is validated again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddressInput'
+ *     responses:
+ *       200:
+ *         description: Address updated successfully
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: An address with this label already exists
+ *   delete:
+ *     summary: Xóa địa chỉ giao hàng
+ *     description: Deleting the default address makes the oldest remaining address the default.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted successfully
+ *       404:
+ *         description: Address not found
+ */
+router
+  .route('/profile/addresses/:addressId')
+  .put(protect, editAddress)
+  .delete(protect, deleteAddress);
+
 /**
  * @swagger
  * /users/{id}:
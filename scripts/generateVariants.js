@@ -1,6 +1,11 @@
 import dotenv from 'dotenv';
 import { connectDB, disconnectDB } from '../config/db.js';
 import Product from '../models/productModel.js';
+import {
+  getBaseCurrency,
+  getCurrencyDecimals,
+  roundCurrency,
+} from '../services/currencyService.js';
 
 dotenv.config();
 
@@ -30,25 +35,17 @@ const FASHION_COLOR_HEXES = [
   '#F5F5DC', // beige
 ];
 
-function toVnd(basePrice) {
-  if (typeof basePrice !== 'number' || Number.isNaN(basePrice)) return 0;
-  // Nếu giá nhỏ, coi như USD và quy đổi sang VND ~23k; nếu đã lớn, giữ nguyên
-  const price = basePrice < 1000 ? basePrice * 23000 : basePrice;
-  return Math.round(price);
-}
-
 function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-function roundToNearest(price, step = 1000) {
-  return Math.max(step, Math.round(price / step) * step);
-}
-
-function generateVariantPrice(baseVnd) {
+function generateVariantPrice(basePrice) {
+  if (typeof basePrice !== 'number' || Number.isNaN(basePrice) || basePrice <= 0) return 0;
+  // Giá variant giữ cùng tiền tệ cơ sở với product.price, làm tròn theo số lẻ của tiền tệ
+  const decimals = getCurrencyDecimals(getBaseCurrency());
   // Dao động +-15%
   const delta = 0.85 + Math.random() * 0.30; // [0.85, 1.15]
-  return roundToNearest(baseVnd * delta, 1000);
+  return Math.max(10 ** -decimals, roundCurrency(basePrice * delta, decimals));
 }
 
 function distributeStock(totalTarget, count) {
@@ -141,7 +138,6 @@ async function upsertVariantsForProduct(product) {
   const targetTotal = randomInt(minTarget, maxTarget);
   const needs = Math.max(0, targetTotal - existingCount);
 
-  const baseVnd = toVnd(product.price || 0);
   const approxTotalStock = Math.max(product.countInStock || 0, targetTotal * 2);
   const newStocks = distributeStock(approxTotalStock, needs);
 
@@ -151,7 +147,7 @@ async function upsertVariantsForProduct(product) {
   const newVariants = combos.map((combo, idx) => ({
     color: combo.color,
     size: combo.size,
-    price: generateVariantPrice(baseVnd),
+    price: generateVariantPrice(product.price || 0),
     stock: newStocks[idx] ?? 0,
   }));
 
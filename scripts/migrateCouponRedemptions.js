@@ -0,0 +1,111 @@
+/*
+ Move coupon redemptions out of the coupon documents.
+ Usage:
+   node scripts/migrateCouponRedemptions.js [--dry-run]
+ Every entry of a coupon's legacy `redemptions` array becomes a CouponRedemption
+ document. Redemptions of coupons with usageLimitPerUser get a slot per user, in
+ the order they were redeemed. usedCount is set to the number of redemptions of
+ the coupon and the array is removed. Entries already copied are left as they are,
+ so running it again changes nothing.
+ */
+
+import dotenv from 'dotenv';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Coupon from '../models/couponModel.js';
+import CouponRedemption from '../models/couponRedemptionModel.js';
+
+dotenv.config();
+
+function parseArgs() {
+  return { dryRun: process.argv.slice(2).includes('--dry-run') };
+}
+
+function buildRedemptionWrites(raw) {
+  const slots = new Map();
+  return (raw.redemptions || [])
+    .filter((redemption) => redemption?.order)
+    .map((redemption) => {
+      const doc = {
+        coupon: raw._id,
+        user: redemption.user || null,
+        order: redemption.order,
+        redeemedAt: redemption.redeemedAt || raw.updatedAt || new Date(),
+      };
+      if (raw.usageLimitPerUser && redemption.user) {
+        const key = String(redemption.user);
+        doc.slot = slots.get(key) || 0;
+        slots.set(key, doc.slot + 1);
+      }
+      return {
+        updateOne: {
+          filter: { coupon: raw._id, order: redemption.order },
+          update: { $setOnInsert: doc },
+          upsert: true,
+        },
+      };
+    });
+}
+
+async function migrateCoupon(raw, { dryRun }) {
+  const writes = buildRedemptionWrites(raw);
+  if (dryRun) {
+    return { redemptions: writes.length, copied: 0 };
+  }
+
+  const result =
+    writes.length > 0
+      ? await CouponRedemption.collection.bulkWrite(writes, { ordered: true })
+      : { upsertedCount: 0 };
+  const usedCount = await CouponRedemption.countDocuments({ coupon: raw._id });
+  await Coupon.collection.updateOne(
+    { _id: raw._id },
+    { $set: { usedCount }, $unset: { redemptions: '' } }
+  );
+  return { redemptions: writes.length, copied: result.upsertedCount };
+}
+
+async function main() {
+  const options = parseArgs();
+  await connectDB();
+  try {
+    if (!options.dryRun) {
+      await CouponRedemption.createIndexes();
+    }
+    const cursor = Coupon.collection.find(
+      { redemptions: { $exists: true } },
+      { projection: { redemptions: 1, usageLimitPerUser: 1, updatedAt: 1, code: 1 } }
+    );
+    const summary = { coupons: 0, redemptions: 0, copied: 0, failed: 0 };
+
+    for await (const raw of cursor) {
+      try {
+        const result = await migrateCoupon(raw, options);
+        summary.coupons += 1;
+        summary.redemptions += result.redemptions;
+        summary.copied += result.copied;
+        console.log(`${raw.code || raw._id}: ${result.redemptions} redemptions`);
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`${raw.code || raw._id}: failed - ${err?.message || err}`);
+      }
+    }
+
+    console.log('==============================');
+    console.log(options.dryRun ? 'Dry run, nothing was written' : 'Coupon redemption migration finished');
+    console.log('==============================');
+    console.log(`Coupons migrated: ${summary.coupons}`);
+    console.log(`Redemptions found: ${summary.redemptions}`);
+    console.log(`Redemptions copied: ${summary.copied}`);
+    console.log(`Failed: ${summary.failed}`);
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('Coupon redemption migration failed:', err?.message || err);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main();
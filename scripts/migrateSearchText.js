@@ -0,0 +1,100 @@
+/*
+ Fill the folded search fields and switch products to the folded text index.
+ Usage:
+   node scripts/migrateSearchText.js [--dry-run]
+ Every product gets searchText: lowercase copies of name, brand, category,
+ outfit tags and description without tone marks or đ. The old language-based
+ text index (product_text_search) is dropped and the folded one is created,
+ because MongoDB allows only one text index per collection.
+ Run it again after importing products with scripts that bypass validation.
+ */
+
+import dotenv from 'dotenv';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Product from '../models/productModel.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const LEGACY_TEXT_INDEX = 'product_text_search';
+
+function parseArgs() {
+  return { dryRun: process.argv.slice(2).includes('--dry-run') };
+}
+
+async function writeBatch(batch, { dryRun }) {
+  if (dryRun || batch.length === 0) {
+    return;
+  }
+  await Product.collection.bulkWrite(batch, { ordered: false });
+}
+
+async function switchTextIndex({ dryRun }) {
+  const indexes = await Product.collection.indexes();
+  const hasLegacy = indexes.some((index) => index.name === LEGACY_TEXT_INDEX);
+  if (!dryRun) {
+    if (hasLegacy) {
+      await Product.collection.dropIndex(LEGACY_TEXT_INDEX);
+    }
+    await Product.createIndexes();
+  }
+  return hasLegacy;
+}
+
+async function main() {
+  const options = parseArgs();
+  await connectDB();
+  try {
+    const cursor = Product.collection.find(
+      {},
+      { projection: { name: 1, brand: 1, category: 1, outfitTags: 1, description: 1 } }
+    );
+    const summary = { products: 0, failed: 0 };
+    let batch = [];
+
+    for await (const raw of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: raw._id },
+          update: { $set: { searchText: Product.hydrate(raw).buildSearchText() } },
+        },
+      });
+      if (batch.length >= BATCH_SIZE) {
+        try {
+          await writeBatch(batch, options);
+          summary.products += batch.length;
+        } catch (err) {
+          summary.failed += batch.length;
+          console.error(`Batch ending at ${raw._id}: failed - ${err?.message || err}`);
+        }
+        batch = [];
+      }
+    }
+    try {
+      await writeBatch(batch, options);
+      summary.products += batch.length;
+    } catch (err) {
+      summary.failed += batch.length;
+      console.error(`Last batch: failed - ${err?.message || err}`);
+    }
+
+    const droppedLegacy = await switchTextIndex(options);
+
+    console.log('==============================');
+    console.log(options.dryRun ? 'Dry run, nothing was written' : 'Search text migration finished');
+    console.log('==============================');
+    console.log(`Products folded: ${summary.products}`);
+    console.log(`Failed: ${summary.failed}`);
+    console.log(`Legacy text index ${droppedLegacy ? 'dropped' : 'not found'}`);
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('Search text migration failed:', err?.message || err);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main();
@@ -0,0 +1,144 @@
+/*
+ Convert legacy product stock into variants.
+ Usage:
+   node scripts/migrateVariants.js [--dry-run]
+ For every product:
+   - without variants: one variant per legacy size (s, m, l, xl) with stock > 0,
+     in the product's first color (or "Default"), priced at product.price
+   - with variants: legacy size stock is dropped, variants already held the stock
+   - missing variant SKUs are generated
+ The legacy `size` field is removed and countInStock is recomputed from variants.
+ Confirmed and packed orders that took stock before reservations were recorded
+ get stockReservedAt, so cancelling them still restocks their lines.
+ */
+
+import dotenv from 'dotenv';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Product from '../models/productModel.js';
+import Order from '../models/orderModel.js';
+
+dotenv.config();
+
+const LEGACY_SIZE_KEYS = ['s', 'm', 'l', 'xl'];
+const DEFAULT_COLOR = 'Default';
+
+function parseArgs() {
+  return { dryRun: process.argv.slice(2).includes('--dry-run') };
+}
+
+function buildLegacyVariants(raw) {
+  const colors = Array.isArray(raw.colors) ? raw.colors : [];
+  const color = colors[0]?.name || colors[0]?.hexCode || DEFAULT_COLOR;
+  return LEGACY_SIZE_KEYS.filter((key) => (Number(raw.size?.[key]) || 0) > 0).map((key) => ({
+    color,
+    size: key.toUpperCase(),
+    price: raw.price || 0,
+    stock: Number(raw.size[key]),
+  }));
+}
+
+async function migrateProduct(raw, { dryRun }) {
+  const hasVariants = Array.isArray(raw.variants) && raw.variants.length > 0;
+  const product = Product.hydrate(raw);
+  const result = { action: 'skus', variants: 0, colorCount: (raw.colors || []).length };
+
+  if (!hasVariants) {
+    product.variants = buildLegacyVariants(raw);
+    result.action = product.variants.length > 0 ? 'converted' : 'empty';
+  } else if (raw.size) {
+    result.action = 'dropped-size';
+  }
+  result.variants = product.variants.length;
+  await product.validate(['variants']);
+
+  if (!dryRun) {
+    await Product.collection.updateOne(
+      { _id: product._id },
+      {
+        $set: {
+          variants: product.toObject().variants,
+          countInStock: product.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0),
+        },
+        $unset: { size: '' },
+      }
+    );
+  }
+  return result;
+}
+
+async function markLegacyReservations({ dryRun }) {
+  const filter = {
+    stockReservedAt: { $exists: false },
+    'restock.restockedAt': { $exists: false },
+    $or: [
+      { status: { $in: ['confirmed', 'packed'] } },
+      {
+        status: { $exists: false },
+        isProcessing: true,
+        isCancelled: { $ne: true },
+        isDelivered: { $ne: true },
+      },
+    ],
+  };
+  if (dryRun) {
+    return Order.collection.countDocuments(filter);
+  }
+  const result = await Order.collection.updateMany(filter, [
+    { $set: { stockReservedAt: { $ifNull: ['$confirmedAt', '$updatedAt'] } } },
+  ]);
+  return result.modifiedCount;
+}
+
+async function main() {
+  const options = parseArgs();
+  await connectDB();
+  try {
+    const cursor = Product.collection.find({
+      $or: [
+        { size: { $exists: true } },
+        { variants: { $elemMatch: { sku: { $exists: false } } } },
+      ],
+    });
+    const summary = { converted: 0, empty: 0, 'dropped-size': 0, skus: 0, failed: 0 };
+    const multiColor = [];
+
+    for await (const raw of cursor) {
+      try {
+        const result = await migrateProduct(raw, options);
+        summary[result.action] += 1;
+        if (result.action === 'converted' && result.colorCount > 1) {
+          multiColor.push(raw._id);
+        }
+        console.log(`${raw._id}: ${result.action} (${result.variants} variants)`);
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`${raw._id}: failed - ${err?.message || err}`);
+      }
+    }
+
+    console.log('==============================');
+    console.log(options.dryRun ? 'Dry run, nothing was written' : 'Variant migration finished');
+    console.log('==============================');
+    console.log(`Converted from legacy sizes: ${summary.converted}`);
+    console.log(`No legacy stock, left without variants: ${summary.empty}`);
+    console.log(`Legacy sizes dropped (variants kept): ${summary['dropped-size']}`);
+    console.log(`SKUs filled only: ${summary.skus}`);
+    console.log(`Failed: ${summary.failed}`);
+    console.log(`Legacy confirmed orders marked as holding stock: ${await markLegacyReservations(options)}`);
+    if (multiColor.length > 0) {
+      console.log(
+        `Stock assigned to the first color for ${multiColor.length} multi-color products, review: ${multiColor.join(', ')}`
+      );
+    }
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('Variant migration failed:', err?.message || err);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main();
@@ -0,0 +1,112 @@
+/*
+ Rescale variant prices generated in VND back into the store base currency.
+ Usage:
+   node scripts/rescaleVariantPrices.js [--dry-run] [--rate=23000]
+ Older versions of generateVariants.js priced variants at product.price * 23000 (VND)
+ when product.price was below 1000. A variant is rescaled when product.price is below
+ 1000 and the variant price is at least 1000 times product.price. Its new price is the
+ old price divided by the rate, rounded to the base currency's minor unit.
+ Running it again changes nothing, because rescaled prices are no longer 1000x too high.
+ */
+
+import dotenv from 'dotenv';
+import { connectDB, disconnectDB } from '../config/db.js';
+import Product from '../models/productModel.js';
+import {
+  getBaseCurrency,
+  getCurrencyDecimals,
+  roundCurrency,
+} from '../services/currencyService.js';
+
+dotenv.config();
+
+const GENERATED_VND_RATE = 23000;
+const GENERATED_MAX_BASE_PRICE = 1000;
+const SUSPECT_PRICE_RATIO = 1000;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const rateArg = args.find((arg) => arg.startsWith('--rate='));
+  const rate = rateArg ? Number(rateArg.split('=')[1]) : GENERATED_VND_RATE;
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error('--rate must be a positive number');
+  }
+  return { dryRun: args.includes('--dry-run'), rate };
+}
+
+function buildPriceUpdates(raw, { rate, decimals }) {
+  const basePrice = Number(raw.price) || 0;
+  if (basePrice <= 0 || basePrice >= GENERATED_MAX_BASE_PRICE) {
+    return [];
+  }
+  return (raw.variants || [])
+    .filter((variant) => variant && Number(variant.price) >= basePrice * SUSPECT_PRICE_RATIO)
+    .map((variant) => ({
+      variantId: variant._id,
+      sku: variant.sku,
+      from: variant.price,
+      to: Math.max(10 ** -decimals, roundCurrency(variant.price / rate, decimals)),
+    }));
+}
+
+async function main() {
+  await connectDB();
+  try {
+    const options = parseArgs();
+    const decimals = getCurrencyDecimals(getBaseCurrency());
+    const cursor = Product.collection.find(
+      { price: { $gt: 0, $lt: GENERATED_MAX_BASE_PRICE }, 'variants.0': { $exists: true } },
+      { projection: { price: 1, variants: 1 } }
+    );
+    const summary = { products: 0, variants: 0, failed: 0 };
+
+    for await (const raw of cursor) {
+      const updates = buildPriceUpdates(raw, { ...options, decimals });
+      if (updates.length === 0) continue;
+      try {
+        if (!options.dryRun) {
+          await Product.collection.bulkWrite(
+            updates.map((update) => ({
+              updateOne: {
+                filter: {
+                  _id: raw._id,
+                  variants: { $elemMatch: { _id: update.variantId, price: update.from } },
+                },
+                update: { $set: { 'variants.$.price': update.to } },
+              },
+            })),
+            { ordered: false }
+          );
+        }
+        summary.products += 1;
+        summary.variants += updates.length;
+        console.log(
+          `${raw._id}: ${updates
+            .map((update) => `${update.sku || update.variantId} ${update.from} -> ${update.to}`)
+            .join(', ')}`
+        );
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`${raw._id}: failed - ${err?.message || err}`);
+      }
+    }
+
+    console.log('==============================');
+    console.log(options.dryRun ? 'Dry run, nothing was written' : 'Variant price rescale finished');
+    console.log('==============================');
+    console.log(`Base currency: ${getBaseCurrency()}, rate: ${options.rate}`);
+    console.log(`Products updated: ${summary.products}`);
+    console.log(`Variants rescaled: ${summary.variants}`);
+    console.log(`Failed: ${summary.failed}`);
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('Variant price rescale failed:', err?.message || err);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main();
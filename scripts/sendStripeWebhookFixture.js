@@ -0,0 +1,109 @@
+/*
+ Send a signed Stripe webhook fixture to a running server.
+ Usage:
+   node scripts/sendStripeWebhookFixture.js --order <orderId> --type payment_intent.succeeded --amount 12.5
+ Options:
+   --type     payment_intent.succeeded | payment_intent.payment_failed | charge.refunded
+   --amount   amount in major units of the order currency (default: 0)
+   --currency order currency (default: STORE_CURRENCY)
+   --intent   PaymentIntent id (default: pi_fixture_<orderId>)
+   --url      webhook url (default: http://localhost:$PORT/api/payments/stripe/webhook)
+ Requires STRIPE_WEBHOOK_SECRET to match the server.
+ */
+
+import dotenv from 'dotenv';
+import Stripe from 'stripe';
+import { toStripeAmount } from '../config/stripe.js';
+import { getBaseCurrency, getCurrencyDecimals } from '../services/currencyService.js';
+
+dotenv.config();
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const out = {
+    type: 'payment_intent.succeeded',
+    amount: 0,
+    currency: getBaseCurrency(),
+    url: `http://localhost:${process.env.PORT || 5000}/api/payments/stripe/webhook`,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--order' && args[i + 1]) out.order = args[++i];
+    else if (a === '--type' && args[i + 1]) out.type = args[++i];
+    else if (a === '--amount' && args[i + 1]) out.amount = parseFloat(args[++i]) || 0;
+    else if (a === '--currency' && args[i + 1]) out.currency = args[++i].toUpperCase();
+    else if (a === '--intent' && args[i + 1]) out.intent = args[++i];
+    else if (a === '--url' && args[i + 1]) out.url = args[++i];
+  }
+  out.intent = out.intent || `pi_fixture_${out.order}`;
+  return out;
+}
+
+function buildObject({ type, order, amount, currency, intent }) {
+  const stripeAmount = toStripeAmount(amount, getCurrencyDecimals(currency));
+  const metadata = { orderId: order };
+
+  if (type === 'charge.refunded') {
+    return {
+      id: `ch_fixture_${order}`,
+      object: 'charge',
+      amount: stripeAmount,
+      amount_refunded: stripeAmount,
+      refunded: true,
+      currency: currency.toLowerCase(),
+      payment_intent: intent,
+      metadata,
+    };
+  }
+
+  const succeeded = type === 'payment_intent.succeeded';
+  return {
+    id: intent,
+    object: 'payment_intent',
+    amount: stripeAmount,
+    amount_received: succeeded ? stripeAmount : 0,
+    currency: currency.toLowerCase(),
+    status: succeeded ? 'succeeded' : 'requires_payment_method',
+    last_payment_error: succeeded ? null : { message: 'Your card was declined.' },
+    metadata,
+  };
+}
+
+async function main() {
+  const options = parseArgs();
+  if (!options.order) {
+    console.error('Missing --order <orderId>');
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const event = {
+    id: `evt_fixture_${Date.now()}`,
+    object: 'event',
+    type: options.type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: buildObject(options) },
+  };
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+  console.log(`${response.status} ${await response.text()}`);
+}
+
+main().catch((err) => {
+  console.error('Failed to send webhook fixture:', err?.message || err);
+  process.exitCode = 1;
+});
@@ -23,13 +23,27 @@ import contentSectionRoutes from "./routes/contentSectionRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
 import recommendRoutes from "./routes/recommendRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import returnRoutes from "./routes/returnRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import taxRoutes from "./routes/taxRoutes.js";
+import currencyRoutes from "./routes/currencyRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
 import gnnRecommender from "./services/gnnRecommender.js";
-import stripe from "stripe";
+import { startOrderExpirySweeper } from "./services/orderExpiryService.js";
+import { startAbandonedCartSweeper } from "./services/abandonedCartService.js";
+import { warmSearchVocabulary } from "./services/productSearchService.js";
+import { protect } from "./middlewares/authMiddleware.js";
+import { createPaymentIntent } from "./controllers/paymentController.js";
 import { setupSwagger } from "./config/swagger.js";
 
 dotenv.config();
 
 let memoryCheckInterval = null;
+let orderExpiryInterval = null;
+let abandonedCartInterval = null;
 
 const setupMemoryMonitoring = () => {
   memoryCheckInterval = setInterval(() => {
@@ -49,16 +63,26 @@ process.on('SIGTERM', () => {
   if (memoryCheckInterval) {
     clearInterval(memoryCheckInterval);
   }
+  if (orderExpiryInterval) {
+    clearInterval(orderExpiryInterval);
+  }
+  if (abandonedCartInterval) {
+    clearInterval(abandonedCartInterval);
+  }
 });
 
 process.on('SIGINT', () => {
   if (memoryCheckInterval) {
     clearInterval(memoryCheckInterval);
   }
+  if (orderExpiryInterval) {
+    clearInterval(orderExpiryInterval);
+  }
+  if (abandonedCartInterval) {
+    clearInterval(abandonedCartInterval);
+  }
 });
 
-const stripeInstance = stripe(process.env.STRIPE_SECRET_KEY);
-
 const PORT = process.env.PORT || 5000;
 const app = express();
 const server = createServer(app);
@@ -83,10 +107,17 @@ const startServer = async () => {
         ],
         credentials: true,
         methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-        allowedHeaders: ["Content-Type", "Authorization", "Accept"],
+        allowedHeaders: ["Content-Type", "Authorization", "Accept", "Idempotency-Key", "X-Cart-Token", "X-Order-Token"],
+        exposedHeaders: ["Idempotent-Replayed"],
+      })
+    );
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
       })
     );
-    app.use(express.json());
     app.use(
       session({
         secret: "your-session-secret",
@@ -145,6 +176,14 @@ const startServer = async () => {
     app.use("/api/content-sections", contentSectionRoutes);
     app.use("/api/recommend", recommendRoutes);
     app.use("/api/report", reportRoutes);
+    app.use("/api/payments", paymentRoutes);
+    app.use("/api/coupons", couponRoutes);
+    app.use("/api/returns", returnRoutes);
+    app.use("/api/cart", cartRoutes);
+    app.use("/api/shipping", shippingRoutes);
+    app.use("/api/tax", taxRoutes);
+    app.use("/api/currencies", currencyRoutes);
+    app.use("/api/search", searchRoutes);
 
     // Setup Swagger documentation
     setupSwagger(app);
@@ -153,25 +192,7 @@ const startServer = async () => {
       res.send(process.env.PAYPAL_CLIENT_ID);
     });
 
-    app.post("/api/create-payment-intent", async (req, res) => {
-      const { totalPrice } = req.body;
-
-      try {
-        const paymentIntent = await stripeInstance.paymentIntents.create({
-          amount: Math.round(totalPrice * 100),
-          currency: "usd",
-          automatic_payment_methods: {
-            enabled: true,
-          },
-        });
-
-        res.json({
-          clientSecret: paymentIntent.client_secret,
-        });
-      } catch (error) {
-        res.status(500).json({ error: "Failed to create payment intent" });
-      }
-    });
+    app.post("/api/create-payment-intent", protect, createPaymentIntent);
 
     app.get("/healthcheck", async (req, res) => {
       try {
@@ -228,6 +249,9 @@ const startServer = async () => {
         console.log(`📚 Swagger documentation running at: http://localhost:${PORT}/api-docs`);
         console.log(`📖 Documentation files available at: http://localhost:${PORT}/docs`);
         setupMemoryMonitoring();
+        orderExpiryInterval = startOrderExpirySweeper();
+        abandonedCartInterval = startAbandonedCartSweeper();
+        warmSearchVocabulary();
 
         (async () => {
           try {
@@ -0,0 +1,347 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Cart from "../models/cartModel.js";
+import AbandonedCart, { ABANDONED_CART_STATUSES } from "../models/abandonedCartModel.js";
+import User from "../models/userModel.js";
+import sendEmail from "../utils/sendEmail.js";
+import { revalidateCart, isPurchasable } from "./cartService.js";
+import { roundPrice } from "./pricingService.js";
+import { formatMoney, convertAmount, resolveCurrency } from "./currencyService.js";
+
+const DEFAULT_DELAY_HOURS = 24;
+const DEFAULT_MAX_REMINDERS = 2;
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 30;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_RECOVERY_WINDOW_DAYS = 14;
+const OPT_OUT_TOKEN_PURPOSE = "cart-reminder-opt-out";
+
+const createAbandonedCartError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getAbandonedCartConfig = () => ({
+  enabled: process.env.ABANDONED_CART_ENABLED !== "false",
+  delayHours: parseFloat(process.env.ABANDONED_CART_DELAY_HOURS) || DEFAULT_DELAY_HOURS,
+  maxReminders: parseInt(process.env.ABANDONED_CART_MAX_REMINDERS) || DEFAULT_MAX_REMINDERS,
+  intervalMinutes:
+    parseFloat(process.env.ABANDONED_CART_SWEEP_INTERVAL_MINUTES) ||
+    DEFAULT_SWEEP_INTERVAL_MINUTES,
+  batchSize: parseInt(process.env.ABANDONED_CART_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+  recoveryWindowDays:
+    parseFloat(process.env.ABANDONED_CART_RECOVERY_WINDOW_DAYS) ||
+    DEFAULT_RECOVERY_WINDOW_DAYS,
+  frontendUrl: (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, ""),
+  apiUrl: (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(
+    /\/+$/,
+    ""
+  ),
+});
+
+const getOptOutSecret = () => `${process.env.JWT_SECRET}:${OPT_OUT_TOKEN_PURPOSE}`;
+
+const createOptOutToken = (userId) =>
+  jwt.sign({ id: String(userId), purpose: OPT_OUT_TOKEN_PURPOSE }, getOptOutSecret(), {
+    expiresIn: "90d",
+  });
+
+const optOutOfCartReminders = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), getOptOutSecret());
+  } catch (error) {
+    throw createAbandonedCartError("Invalid or expired unsubscribe link");
+  }
+  if (decoded.purpose !== OPT_OUT_TOKEN_PURPOSE) {
+    throw createAbandonedCartError("Invalid or expired unsubscribe link");
+  }
+
+  const result = await User.updateOne(
+    { _id: decoded.id },
+    { $set: { cartReminderOptOut: true } }
+  );
+  if (result.matchedCount === 0) {
+    throw createAbandonedCartError("User not found", 404);
+  }
+};
+
+const resolveCartCurrency = async (cart) => {
+  try {
+    return await resolveCurrency(cart.currency);
+  } catch (error) {
+    // The currency may have been disabled since the cart was last viewed.
+    return resolveCurrency();
+  }
+};
+
+const buildReminderMessage = (user, lines, itemsPrice, config, currency) => {
+  const formatPrice = (amount) => formatMoney(convertAmount(amount, currency), currency.code);
+  const itemLines = lines
+    .map(
+      (line) =>
+        `- ${line.name} (${line.colorSelected} / ${line.sizeSelected}) x ${line.qty}: ` +
+        `${formatPrice(line.lineTotal)}` +
+        (line.status === "price_changed"
+          ? ` (price changed from ${formatPrice(line.previousPriceSale)} to ${formatPrice(
+              line.priceSale
+            )} each)`
+          : "")
+    )
+    .join("\n");
+
+  return (
+    `Hi ${user.name || ""},\n\n` +
+    `You left these items in your cart:\n\n${itemLines}\n\n` +
+    `Total: ${formatPrice(itemsPrice)}\n\n` +
+    `Complete your order here: ${config.frontendUrl}/cart\n\n` +
+    `Prices and stock may change until you place your order.\n\n` +
+    `To stop receiving cart reminders, open ${config.apiUrl}/api/cart/reminders/unsubscribe?token=` +
+    createOptOutToken(user._id)
+  );
+};
+
+const closeStaleAbandonedCarts = async (now, config) => {
+  const cutoff = new Date(now.getTime() - config.recoveryWindowDays * 24 * 60 * 60 * 1000);
+  const stale = await AbandonedCart.find({ status: "open", abandonedAt: { $lte: cutoff } })
+    .select("_id")
+    .lean();
+  if (stale.length === 0) {
+    return 0;
+  }
+
+  const ids = stale.map((abandonedCart) => abandonedCart._id);
+  await AbandonedCart.updateMany(
+    { _id: { $in: ids }, status: "open" },
+    { $set: { status: "lost", closedAt: now } }
+  );
+  // remindersSent is kept: it caps reminders over the cart's lifetime and is
+  // only cleared when the cart is recovered.
+  await Cart.updateMany(
+    { "recovery.abandonedCart": { $in: ids } },
+    { $unset: { "recovery.abandonedCart": 1 } }
+  );
+  return ids.length;
+};
+
+const buildAbandonedCartSnapshot = (cart, lines, view) => ({
+  items: lines.map((line) => ({
+    product: line.product,
+    name: line.name,
+    colorSelected: line.colorSelected,
+    sizeSelected: line.sizeSelected,
+    qty: line.qty,
+    priceSale: line.priceSale,
+  })),
+  cartValue: view.itemsPrice,
+  abandonedAt: cart.lastActivityAt,
+});
+
+const remindCart = async (cart, config, now) => {
+  const user = cart.user;
+  const view = await revalidateCart(cart, { updateSnapshots: false });
+  const lines = view.items.filter(isPurchasable);
+
+  let abandonedCart = cart.recovery?.abandonedCart
+    ? await AbandonedCart.findOne({ _id: cart.recovery.abandonedCart, status: "open" })
+    : null;
+  const remindersSent = cart.recovery?.remindersSent || 0;
+
+  if (!abandonedCart && lines.length > 0) {
+    abandonedCart = await AbandonedCart.create({
+      cart: cart._id,
+      user: user._id,
+      ...buildAbandonedCartSnapshot(cart, lines, view),
+    });
+  } else if (abandonedCart && lines.length > 0 && abandonedCart.abandonedAt < cart.lastActivityAt) {
+    // The shopper came back and edited the cart after the last reminder.
+    abandonedCart = await AbandonedCart.findOneAndUpdate(
+      { _id: abandonedCart._id, status: "open" },
+      { $set: buildAbandonedCartSnapshot(cart, lines, view) },
+      { new: true }
+    );
+  }
+
+  const shouldEmail = abandonedCart && lines.length > 0 && user.email && !user.cartReminderOptOut;
+  if (shouldEmail) {
+    await sendEmail({
+      email: user.email,
+      subject: "You left something in your cart",
+      message: buildReminderMessage(
+        user,
+        lines,
+        view.itemsPrice,
+        config,
+        await resolveCartCurrency(cart)
+      ),
+    });
+    await AbandonedCart.updateOne(
+      { _id: abandonedCart._id },
+      { $inc: { remindersSent: 1 }, $set: { lastReminderAt: now } }
+    );
+  }
+
+  const recovery = {
+    "recovery.remindersSent": remindersSent + (shouldEmail ? 1 : 0),
+    "recovery.lastReminderAt": now,
+  };
+  if (abandonedCart) {
+    recovery["recovery.abandonedCart"] = abandonedCart._id;
+  }
+  await Cart.updateOne({ _id: cart._id }, { $set: recovery });
+  return shouldEmail;
+};
+
+const remindAbandonedCarts = async ({ now = new Date() } = {}) => {
+  const config = getAbandonedCartConfig();
+  const cutoff = new Date(now.getTime() - config.delayHours * 60 * 60 * 1000);
+  const summary = { reminded: 0, skipped: 0, failed: 0, closed: 0 };
+
+  summary.closed = await closeStaleAbandonedCarts(now, config);
+
+  const carts = await Cart.find({
+    user: { $exists: true },
+    "items.0": { $exists: true },
+    lastActivityAt: { $lte: cutoff },
+    "recovery.remindersSent": { $not: { $gte: config.maxReminders } },
+    $or: [
+      { "recovery.lastReminderAt": { $exists: false } },
+      { "recovery.lastReminderAt": { $lte: cutoff } },
+    ],
+  })
+    .sort({ lastActivityAt: 1 })
+    .limit(config.batchSize)
+    .populate("user", "name email cartReminderOptOut");
+
+  for (const cart of carts) {
+    if (!cart.user) {
+      summary.skipped += 1;
+      continue;
+    }
+    try {
+      if (await remindCart(cart, config, now)) {
+        summary.reminded += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Failed to send cart reminder for cart ${cart._id}:`, error.message);
+    }
+  }
+  return summary;
+};
+
+const startAbandonedCartSweeper = () => {
+  const config = getAbandonedCartConfig();
+  if (!config.enabled) {
+    return null;
+  }
+
+  let running = false;
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await remindAbandonedCarts();
+      if (summary.reminded > 0 || summary.failed > 0) {
+        console.log(
+          `Abandoned cart sweep: ${summary.reminded} reminded, ${summary.skipped} skipped, ${summary.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error("Abandoned cart sweep failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(sweep, config.intervalMinutes * 60 * 1000);
+};
+
+const parseReportDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createAbandonedCartError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const buildAbandonedCartFilter = ({ status, dateFrom, dateTo, user } = {}) => {
+  const filter = {};
+  if (status) {
+    if (!ABANDONED_CART_STATUSES.includes(status)) {
+      throw createAbandonedCartError(
+        `Status must be one of: ${ABANDONED_CART_STATUSES.join(", ")}`
+      );
+    }
+    filter.status = status;
+  }
+  if (dateFrom || dateTo) {
+    filter.abandonedAt = {};
+    if (dateFrom) filter.abandonedAt.$gte = parseReportDate(dateFrom, "dateFrom");
+    if (dateTo) filter.abandonedAt.$lte = parseReportDate(dateTo, "dateTo");
+  }
+  if (user && mongoose.Types.ObjectId.isValid(user)) {
+    filter.user = new mongoose.Types.ObjectId(String(user));
+  }
+  return filter;
+};
+
+const getAbandonedCartReport = async (query = {}) => {
+  const filter = buildAbandonedCartFilter({ dateFrom: query.dateFrom, dateTo: query.dateTo });
+  const groups = await AbandonedCart.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 },
+        cartValue: { $sum: "$cartValue" },
+        orderTotal: { $sum: { $ifNull: ["$orderTotal", 0] } },
+        remindersSent: { $sum: "$remindersSent" },
+        reminded: { $sum: { $cond: [{ $gt: ["$remindersSent", 0] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const byStatus = Object.fromEntries(
+    ABANDONED_CART_STATUSES.map((status) => [
+      status,
+      { count: 0, cartValue: 0, orderTotal: 0, remindersSent: 0, reminded: 0 },
+    ])
+  );
+  groups.forEach((group) => {
+    byStatus[group._id] = group;
+  });
+
+  const abandoned = ABANDONED_CART_STATUSES.reduce(
+    (sum, status) => sum + byStatus[status].count,
+    0
+  );
+  const recovered = byStatus.recovered.count;
+  return {
+    abandoned,
+    open: byStatus.open.count,
+    recovered,
+    lost: byStatus.lost.count,
+    recoveryRate: abandoned > 0 ? Math.round((recovered / abandoned) * 10000) / 100 : 0,
+    recoveredAfterReminder: byStatus.recovered.reminded,
+    remindersSent: ABANDONED_CART_STATUSES.reduce(
+      (sum, status) => sum + byStatus[status].remindersSent,
+      0
+    ),
+    abandonedValue: roundPrice(
+      ABANDONED_CART_STATUSES.reduce((sum, status) => sum + byStatus[status].cartValue, 0)
+    ),
+    lostValue: roundPrice(byStatus.lost.cartValue),
+    recoveredRevenue: roundPrice(byStatus.recovered.orderTotal),
+  };
+};
+
+export {
+  remindAbandonedCarts,
+  startAbandonedCartSweeper,
+  optOutOfCartReminders,
+  buildAbandonedCartFilter,
+  getAbandonedCartReport,
+};
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+
+const MAX_ADDRESSES = 10;
+const ADDRESS_FIELDS = ["address", "city", "postalCode", "country", "recipientPhoneNumber"];
+
+const COUNTRY_ALIASES = {
+  VN: ["vn", "vnm", "vietnam", "viet nam", "việt nam"],
+  US: ["us", "usa", "united states", "united states of america"],
+};
+
+const COUNTRY_RULES = {
+  VN: {
+    postalCode: /^\d{5}(?:\d)?$/,
+    postalCodeFormat: "5 digits, e.g. 70000 (or the older 6-digit form)",
+    phone: /^(?:\+84|0)[1-9]\d{8,9}$/,
+    phoneFormat: "0912345678 or +84912345678",
+  },
+  US: {
+    postalCode: /^\d{5}(?:-\d{4})?$/,
+    postalCodeFormat: "ZIP code, e.g. 94105 or 94105-1234",
+    phone: /^(?:\+?1)?[2-9]\d{2}[2-9]\d{6}$/,
+    phoneFormat: "10 digits, e.g. 4155552671 or +14155552671",
+  },
+};
+
+const DEFAULT_RULES = {
+  postalCode: /^[A-Za-z0-9][A-Za-z0-9 -]{1,11}$/,
+  postalCodeFormat: "2-12 letters, digits, spaces or dashes",
+  phone: /^\+?\d{6,15}$/,
+  phoneFormat: "6-15 digits, optionally starting with +",
+};
+
+const createAddressError = (message, statusCode = 400, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const normalizeCountry = (country) => {
+  const value = String(country || "").trim();
+  const alias = value.toLowerCase();
+  const code = Object.keys(COUNTRY_ALIASES).find((key) => COUNTRY_ALIASES[key].includes(alias));
+  return code || value;
+};
+
+const normalizePhone = (phone) => String(phone || "").replace(/[\s.()-]/g, "");
+
+const validateAddress = (input = {}) => {
+  const address = {};
+  const errors = {};
+
+  ADDRESS_FIELDS.forEach((field) => {
+    const value = String(input[field] ?? "").trim();
+    if (!value) {
+      errors[field] = `${field} is required`;
+    }
+    address[field] = value;
+  });
+
+  address.country = normalizeCountry(address.country);
+  address.postalCode = address.postalCode.toUpperCase();
+  address.recipientPhoneNumber = normalizePhone(address.recipientPhoneNumber);
+
+  const rules = COUNTRY_RULES[address.country] || DEFAULT_RULES;
+  if (!errors.postalCode && !rules.postalCode.test(address.postalCode)) {
+    errors.postalCode = `postalCode must be ${rules.postalCodeFormat}`;
+  }
+  if (!errors.recipientPhoneNumber && !rules.phone.test(address.recipientPhoneNumber)) {
+    errors.recipientPhoneNumber = `recipientPhoneNumber must be ${rules.phoneFormat}`;
+  }
+
+  const fields = Object.keys(errors);
+  if (fields.length > 0) {
+    throw createAddressError(
+      `Invalid address: ${fields.map((field) => errors[field]).join(", ")}`,
+      400,
+      { errors: fields }
+    );
+  }
+  return address;
+};
+
+const toShippingAddress = (address) =>
+  Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, address[field]]));
+
+const sortAddresses = (addresses) =>
+  [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+const loadAddresses = async (userId) => {
+  const user = await User.findById(userId).select("addresses").lean();
+  if (!user) {
+    throw createAddressError("User not found", 404);
+  }
+  return user.addresses || [];
+};
+
+const findAddress = (addresses, addressId) => {
+  const address = mongoose.Types.ObjectId.isValid(addressId)
+    ? addresses.find((entry) => String(entry._id) === String(addressId))
+    : undefined;
+  if (!address) {
+    throw createAddressError("Address not found", 404);
+  }
+  return address;
+};
+
+const parseLabel = (label, addresses, addressId) => {
+  const value = String(label || "").trim();
+  if (!value) {
+    throw createAddressError("label is required", 400, { errors: ["label"] });
+  }
+  const duplicate = addresses.some(
+    (entry) =>
+      String(entry._id) !== String(addressId) && entry.label.toLowerCase() === value.toLowerCase()
+  );
+  if (duplicate) {
+    throw createAddressError(`An address named "${value}" already exists`, 409);
+  }
+  return value;
+};
+
+const isDefaultFlag = (value) => value === true || value === "true";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const labelTaken = (label, addressId) => ({
+  $elemMatch: {
+    label: new RegExp(`^${escapeRegex(label)}$`, "i"),
+    ...(addressId && { _id: { $ne: addressId } }),
+  },
+});
+
+const assertUpdated = (result) => {
+  if (result.matchedCount === 0) {
+    throw createAddressError("Addresses were changed by another request, please retry", 409);
+  }
+};
+
+const makeDefault = (userId, addressId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "addresses.$[other].isDefault": false,
+        "addresses.$[self].isDefault": true,
+      },
+    },
+    { arrayFilters: [{ "other._id": { $ne: addressId } }, { "self._id": addressId }] }
+  );
+
+const ensureDefault = (userId) =>
+  User.updateOne(
+    { _id: userId, "addresses.0": { $exists: true }, "addresses.isDefault": { $ne: true } },
+    { $set: { "addresses.0.isDefault": true } }
+  );
+
+const findSavedAddress = async (userId, addressId) =>
+  findAddress(sortAddresses(await loadAddresses(userId)), addressId);
+
+const listAddresses = async (userId) => sortAddresses(await loadAddresses(userId));
+
+const addAddress = async (userId, input = {}) => {
+  const addresses = await loadAddresses(userId);
+  if (addresses.length >= MAX_ADDRESSES) {
+    throw createAddressError(`At most ${MAX_ADDRESSES} addresses can be saved`);
+  }
+
+  const now = new Date();
+  const address = {
+    _id: new mongoose.Types.ObjectId(),
+    label: parseLabel(input.label, addresses),
+    ...validateAddress(input),
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  assertUpdated(
+    await User.updateOne(
+      {
+        _id: userId,
+        [`addresses.${MAX_ADDRESSES - 1}`]: { $exists: false },
+        addresses: { $not: labelTaken(address.label) },
+      },
+      { $push: { addresses: address } }
+    )
+  );
+  if (isDefaultFlag(input.isDefault)) {
+    await makeDefault(userId, address._id);
+  } else {
+    await ensureDefault(userId);
+  }
+  return findSavedAddress(userId, address._id);
+};
+
+const updateAddress = async (userId, addressId, input = {}) => {
+  const addresses = await loadAddresses(userId);
+  const current = findAddress(addresses, addressId);
+
+  const fields = { ...toShippingAddress(current) };
+  ADDRESS_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) {
+      fields[field] = input[field];
+    }
+  });
+  const label =
+    input.label !== undefined ? parseLabel(input.label, addresses, current._id) : current.label;
+  const changes = { label, ...validateAddress(fields), updatedAt: new Date() };
+
+  assertUpdated(
+    await User.updateOne(
+      {
+        _id: userId,
+        "addresses._id": current._id,
+        addresses: { $not: labelTaken(label, current._id) },
+      },
+      {
+        $set: Object.fromEntries(
+          Object.entries(changes).map(([field, value]) => [`addresses.$[self].${field}`, value])
+        ),
+      },
+      { arrayFilters: [{ "self._id": current._id }] }
+    )
+  );
+  if (input.isDefault !== undefined) {
+    if (isDefaultFlag(input.isDefault)) {
+      await makeDefault(userId, current._id);
+    } else {
+      await User.updateOne(
+        { _id: userId, "addresses._id": current._id },
+        { $set: { "addresses.$.isDefault": false } }
+      );
+      await ensureDefault(userId);
+    }
+  }
+  return findSavedAddress(userId, current._id);
+};
+
+const removeAddress = async (userId, addressId) => {
+  if (!mongoose.Types.ObjectId.isValid(addressId)) {
+    throw createAddressError("Address not found", 404);
+  }
+  const result = await User.updateOne(
+    { _id: userId, "addresses._id": addressId },
+    { $pull: { addresses: { _id: addressId } } }
+  );
+  if (result.matchedCount === 0) {
+    throw createAddressError("Address not found", 404);
+  }
+  await ensureDefault(userId);
+  return listAddresses(userId);
+};
+
+const resolveShippingAddress = async ({ userId, addressId, shippingAddress }) => {
+  if (addressId) {
+    if (!userId) {
+      throw createAddressError("Log in to use a saved address");
+    }
+    return toShippingAddress(findAddress(await loadAddresses(userId), addressId));
+  }
+  if (!shippingAddress) {
+    throw createAddressError("shippingAddress or addressId is required", 400, {
+      errors: ["shippingAddress"],
+    });
+  }
+  return validateAddress(shippingAddress);
+};
+
+export {
+  normalizeCountry,
+  validateAddress,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  resolveShippingAddress,
+};
@@ -0,0 +1,422 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Cart from "../models/cartModel.js";
+import Product from "../models/productModel.js";
+import User from "../models/userModel.js";
+import { findVariant, getAvailableStock, normalizeSize } from "./inventoryService.js";
+import { priceLine, roundPrice } from "./pricingService.js";
+import { createOrderFromItems } from "./orderCreationService.js";
+
+const DEFAULT_GUEST_CART_TTL_DAYS = 30;
+const PRICE_TOLERANCE = 0.01;
+const PURCHASABLE_STATUSES = ["ok", "price_changed"];
+
+const isPurchasable = (line) => PURCHASABLE_STATUSES.includes(line.status);
+const CART_PRODUCT_FIELDS =
+  "name images price sale colors variants countInStock category brand";
+
+const createCartError = (message, statusCode = 400, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const getGuestCartExpiry = () => {
+  const days = parseFloat(process.env.GUEST_CART_TTL_DAYS) || DEFAULT_GUEST_CART_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const normalizeText = (value) => String(value ?? "").trim().toLowerCase();
+
+const getLineKey = (product, item) => {
+  const variant = product ? findVariant(product, item.colorSelected, item.sizeSelected) : null;
+  return variant
+    ? `${item.product}|${variant._id}`
+    : `${item.product}|${normalizeText(item.colorSelected)}|${normalizeSize(item.sizeSelected)}`;
+};
+
+const findLine = (cart, product, line) => {
+  const key = getLineKey(product, line);
+  return cart.items.find((item) => getLineKey(product, item) === key) || null;
+};
+
+const parseLine = ({ product, colorSelected, sizeSelected, qty }, { allowZero = false } = {}) => {
+  if (!product || !mongoose.Types.ObjectId.isValid(product)) {
+    throw createCartError("A valid product is required");
+  }
+  if (!colorSelected || !sizeSelected) {
+    throw createCartError("colorSelected and sizeSelected are required");
+  }
+  const quantity = qty === undefined ? 1 : Number(qty);
+  if (!Number.isInteger(quantity) || quantity < (allowZero ? 0 : 1)) {
+    throw createCartError("qty must be a positive integer");
+  }
+  return { product: String(product), colorSelected, sizeSelected, qty: quantity };
+};
+
+const loadProduct = async (productId) => {
+  const product = await Product.findById(productId).select(CART_PRODUCT_FIELDS).lean();
+  if (!product) {
+    throw createCartError("Product not found", 404);
+  }
+  return product;
+};
+
+const loadProductMap = async (items) => {
+  const ids = [...new Set(items.map((item) => String(item.product)))];
+  const products = await Product.find({ _id: { $in: ids } })
+    .select(CART_PRODUCT_FIELDS)
+    .lean();
+  return new Map(products.map((product) => [String(product._id), product]));
+};
+
+const assertStock = (product, line) => {
+  const available = getAvailableStock(product, line);
+  if (line.qty > available) {
+    throw createCartError(
+      available > 0
+        ? `Only ${available} left in stock for product: ${product.name}`
+        : `Product is out of stock: ${product.name}`,
+      400,
+      { available }
+    );
+  }
+};
+
+const recordCartInteraction = async (userId, productIds) => {
+  if (!userId || productIds.length === 0) {
+    return;
+  }
+  const timestamp = new Date();
+  try {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $push: {
+          interactionHistory: {
+            $each: productIds.map((productId) => ({
+              productId,
+              interactionType: "cart",
+              timestamp,
+            })),
+          },
+        },
+      }
+    );
+  } catch (error) {
+    console.error("Failed to record cart interaction:", error.message);
+  }
+};
+
+const touchCart = (cart) => {
+  cart.lastActivityAt = new Date();
+  if (!cart.user) {
+    cart.expiresAt = getGuestCartExpiry();
+  }
+};
+
+const rememberCartCurrency = async (cart, currency) => {
+  if (!cart || !currency || cart.currency === currency.code) {
+    return;
+  }
+  cart.currency = currency.code;
+  await Cart.updateOne({ _id: cart._id }, { $set: { currency: currency.code } });
+};
+
+const findCart = async ({ userId, guestToken }) => {
+  if (userId) {
+    return Cart.findOne({ user: userId });
+  }
+  if (guestToken) {
+    return Cart.findOne({ guestToken: String(guestToken) });
+  }
+  return null;
+};
+
+const getOrCreateCart = async ({ userId, guestToken }) => {
+  if (userId) {
+    return Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, items: [], lastActivityAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  }
+
+  const existing = await findCart({ guestToken });
+  if (existing) {
+    return existing;
+  }
+  return Cart.create({
+    guestToken: crypto.randomBytes(24).toString("hex"),
+    items: [],
+    expiresAt: getGuestCartExpiry(),
+  });
+};
+
+const addCartItem = async (cart, input, { userId } = {}) => {
+  const line = parseLine(input);
+  const product = await loadProduct(line.product);
+  const existing = findLine(cart, product, line);
+  const qty = (existing ? existing.qty : 0) + line.qty;
+
+  assertStock(product, { ...line, qty });
+  const { priceSale } = priceLine(product, { ...line, qty });
+
+  if (existing) {
+    existing.qty = qty;
+    existing.priceSale = priceSale;
+  } else {
+    cart.items.push({ ...line, qty, priceSale });
+  }
+  touchCart(cart);
+  await cart.save();
+  await recordCartInteraction(userId, [product._id]);
+  return cart;
+};
+
+const updateCartItem = async (cart, input) => {
+  const line = parseLine(input, { allowZero: true });
+  const product = await Product.findById(line.product).select(CART_PRODUCT_FIELDS).lean();
+  const existing = findLine(cart, product, line);
+  if (!existing) {
+    throw createCartError("Item not found in cart", 404);
+  }
+
+  if (line.qty === 0) {
+    cart.items.pull(existing._id);
+  } else {
+    if (!product) {
+      throw createCartError("Product not found", 404);
+    }
+    assertStock(product, line);
+    existing.qty = line.qty;
+    existing.priceSale = priceLine(product, line).priceSale;
+  }
+  touchCart(cart);
+  return cart.save();
+};
+
+const removeCartItem = async (cart, input) =>
+  updateCartItem(cart, { ...input, qty: 0 });
+
+const clearCart = async (cart) => {
+  cart.items = [];
+  touchCart(cart);
+  return cart.save();
+};
+
+const describeLine = (product, item) => {
+  if (!product) {
+    return { status: "unavailable", available: 0, message: "Product is no longer available" };
+  }
+
+  let available;
+  let priced;
+  try {
+    available = getAvailableStock(product, item);
+    priced = priceLine(product, item);
+  } catch (error) {
+    return { status: "unavailable", available: 0, message: error.message };
+  }
+
+  const line = {
+    name: priced.name,
+    sku: priced.sku,
+    image: priced.images[0],
+    price: priced.price,
+    priceSale: priced.priceSale,
+    previousPriceSale: item.priceSale,
+    lineTotal: roundPrice(priced.priceSale * item.qty),
+    available,
+  };
+  if (available === 0) {
+    return { ...line, status: "out_of_stock", message: "Out of stock" };
+  }
+  if (available < item.qty) {
+    return {
+      ...line,
+      status: "insufficient_stock",
+      message: `Only ${available} left in stock`,
+    };
+  }
+  if (
+    item.priceSale !== undefined &&
+    item.priceSale !== null &&
+    Math.abs(item.priceSale - priced.priceSale) > PRICE_TOLERANCE
+  ) {
+    return { ...line, status: "price_changed", message: "Price has changed" };
+  }
+  return { ...line, status: "ok" };
+};
+
+const revalidateCart = async (cart, { updateSnapshots = true } = {}) => {
+  if (!cart) {
+    return {
+      cartToken: null,
+      items: [],
+      itemsCount: 0,
+      subtotal: 0,
+      itemsPrice: 0,
+      hasIssues: false,
+    };
+  }
+
+  const productMap = await loadProductMap(cart.items);
+  const items = cart.items.map((item) => ({
+    _id: item._id,
+    product: item.product,
+    colorSelected: item.colorSelected,
+    sizeSelected: item.sizeSelected,
+    qty: item.qty,
+    addedAt: item.addedAt,
+    ...describeLine(productMap.get(String(item.product)), item),
+  }));
+
+  const repriced = updateSnapshots
+    ? items.filter(
+        (item) => item.priceSale !== undefined && item.previousPriceSale !== item.priceSale
+      )
+    : [];
+  await Promise.all(
+    repriced.map((item) => {
+      cart.items.id(item._id).priceSale = item.priceSale;
+      return Cart.updateOne(
+        { _id: cart._id, "items._id": item._id },
+        { $set: { "items.$.priceSale": item.priceSale } }
+      );
+    })
+  );
+
+  const purchasable = items.filter(isPurchasable);
+  return {
+    _id: cart._id,
+    cartToken: cart.user ? null : cart.guestToken,
+    items,
+    itemsCount: items.reduce((sum, item) => sum + item.qty, 0),
+    subtotal: roundPrice(purchasable.reduce((sum, item) => sum + item.price * item.qty, 0)),
+    itemsPrice: roundPrice(purchasable.reduce((sum, item) => sum + item.lineTotal, 0)),
+    hasIssues: items.some((item) => item.status !== "ok"),
+    lastActivityAt: cart.lastActivityAt,
+  };
+};
+
+const mergeGuestCart = async (userId, guestToken) => {
+  const userCart = await getOrCreateCart({ userId });
+  const guestCart = guestToken ? await Cart.findOne({ guestToken: String(guestToken) }) : null;
+  if (!guestCart || guestCart._id.equals(userCart._id)) {
+    return userCart;
+  }
+
+  const productMap = await loadProductMap([...userCart.items, ...guestCart.items]);
+  const merged = [];
+  guestCart.items.forEach((item) => {
+    const product = productMap.get(String(item.product));
+    if (!product || !findVariant(product, item.colorSelected, item.sizeSelected)) {
+      return;
+    }
+    // Like addCartItem, merged quantities never exceed the variant stock. Lines
+    // that cannot be added at all are left out instead of failing the merge.
+    const available = getAvailableStock(product, item);
+    const existing = findLine(userCart, product, item);
+    if (existing) {
+      const qty = Math.min(existing.qty + item.qty, available);
+      if (qty <= existing.qty) {
+        return;
+      }
+      existing.qty = qty;
+      existing.priceSale = priceLine(product, {
+        colorSelected: item.colorSelected,
+        sizeSelected: item.sizeSelected,
+        qty,
+      }).priceSale;
+    } else {
+      const qty = Math.min(item.qty, available);
+      if (qty < 1) {
+        return;
+      }
+      userCart.items.push({
+        product: item.product,
+        colorSelected: item.colorSelected,
+        sizeSelected: item.sizeSelected,
+        qty,
+        priceSale: item.priceSale,
+        addedAt: item.addedAt,
+      });
+    }
+    merged.push(product._id);
+  });
+
+  touchCart(userCart);
+  await userCart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+  await recordCartInteraction(userId, merged);
+  return userCart;
+};
+
+const checkoutCart = async (
+  cart,
+  {
+    userId,
+    guest,
+    shippingAddress,
+    addressId,
+    shippingMethod,
+    paymentMethod,
+    couponCode,
+    currency,
+    clientPricing,
+  }
+) => {
+  if (!cart || cart.items.length === 0) {
+    throw createCartError("Cart is empty");
+  }
+
+  const view = await revalidateCart(cart);
+  if (view.items.some((item) => !isPurchasable(item))) {
+    throw createCartError("Some items in your cart are no longer available", 400, {
+      cart: view,
+    });
+  }
+
+  const order = await createOrderFromItems({
+    userId,
+    guest,
+    orderItems: cart.items.map((item) => ({
+      product: item.product,
+      colorSelected: item.colorSelected,
+      sizeSelected: item.sizeSelected,
+      qty: item.qty,
+    })),
+    shippingAddress,
+    addressId,
+    shippingMethod,
+    paymentMethod,
+    couponCode,
+    currency,
+    clientPricing,
+  });
+
+  await Cart.updateOne(
+    { _id: cart._id },
+    {
+      $pull: { items: { _id: { $in: cart.items.map((item) => item._id) } } },
+      $set: { lastActivityAt: new Date() },
+    }
+  );
+  return order;
+};
+
+export {
+  findCart,
+  rememberCartCurrency,
+  getOrCreateCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  revalidateCart,
+  mergeGuestCart,
+  checkoutCart,
+  isPurchasable,
+};
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import Coupon from "../models/couponModel.js";
+import CouponRedemption from "../models/couponRedemptionModel.js";
+import Order from "../models/orderModel.js";
+
+const createCouponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+const matchesScope = (values, value) =>
+  !values || values.length === 0 || values.includes(value);
+
+const findCouponByCode = async (code) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) {
+    throw createCouponError("Coupon code is required");
+  }
+  const coupon = await Coupon.findOne({ code: normalized });
+  if (!coupon) {
+    throw createCouponError(`Coupon ${normalized} not found`, 404);
+  }
+  return coupon;
+};
+
+const assertCouponUsable = async (coupon, { userId, now = new Date() } = {}) => {
+  if (!coupon.isActive) {
+    throw createCouponError(`Coupon ${coupon.code} is not active`);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw createCouponError(`Coupon ${coupon.code} is not valid yet`);
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw createCouponError(`Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw createCouponError(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+  if (!userId && coupon.usageLimitPerUser) {
+    throw createCouponError(`Log in to use coupon ${coupon.code}`);
+  }
+  if (
+    userId &&
+    coupon.usageLimitPerUser &&
+    (await coupon.countUserRedemptions(userId)) >= coupon.usageLimitPerUser
+  ) {
+    throw createCouponError(`You have already used coupon ${coupon.code}`);
+  }
+};
+
+const isCouponEligible = (coupon, line) =>
+  matchesScope(coupon.categories, line.category) && matchesScope(coupon.brands, line.brand);
+
+const calculateCouponDiscount = (coupon, lines, orderValue) => {
+  if (orderValue < (coupon.minOrderValue || 0)) {
+    throw createCouponError(
+      `Coupon ${coupon.code} requires a minimum order value of ${coupon.minOrderValue}`
+    );
+  }
+
+  const eligibleAmount = lines
+    .filter((line) => isCouponEligible(coupon, line))
+    .reduce((sum, line) => sum + line.amount, 0);
+  if (eligibleAmount <= 0) {
+    throw createCouponError(`Coupon ${coupon.code} does not apply to any item in this order`);
+  }
+
+  let discount =
+    coupon.type === "percentage"
+      ? (eligibleAmount * coupon.value) / 100
+      : coupon.value;
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.min(discount, eligibleAmount);
+};
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// The lowest place not taken by the user's other redemptions of the coupon.
+const findFreeSlot = async (couponId, user) => {
+  const taken = await CouponRedemption.find({ coupon: couponId, user, slot: { $exists: true } })
+    .distinct("slot");
+  let slot = 0;
+  while (taken.includes(slot)) {
+    slot += 1;
+  }
+  return slot;
+};
+
+// Redemptions live in their own collection. The (coupon, order) unique index
+// makes a redeem idempotent per order and the slot index enforces
+// usageLimitPerUser; usedCount is only incremented while under usageLimit.
+const redeemCoupon = async (couponId, { userId, orderId }) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw createCouponError("Coupon applied to this order no longer exists", 409);
+  }
+  if (await CouponRedemption.exists({ coupon: couponId, order: orderId })) {
+    return false;
+  }
+
+  const user = userId ? new mongoose.Types.ObjectId(String(userId)) : null;
+  const redemption = { coupon: couponId, user, order: orderId, redeemedAt: new Date() };
+  if (coupon.usageLimitPerUser) {
+    if (!user || (await coupon.countUserRedemptions(user)) >= coupon.usageLimitPerUser) {
+      throw createCouponError(`You have already used coupon ${coupon.code}`, 409);
+    }
+    redemption.slot = await findFreeSlot(couponId, user);
+  }
+
+  let created;
+  try {
+    created = await CouponRedemption.create(redemption);
+  } catch (error) {
+    if (!isDuplicateKey(error)) {
+      throw error;
+    }
+    if (error.keyPattern?.slot) {
+      throw createCouponError(`You have already used coupon ${coupon.code}`, 409);
+    }
+    return false;
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount === 0) {
+    await CouponRedemption.deleteOne({ _id: created._id });
+    throw createCouponError(`Coupon ${coupon.code} has reached its usage limit`, 409);
+  }
+  return true;
+};
+
+const releaseCoupon = async (couponId, orderId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ coupon: couponId, order: orderId });
+  if (redemption) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+  }
+};
+
+const redeemOrderCoupon = async (order) => {
+  if (!order.coupon?.couponId) {
+    return order;
+  }
+  await redeemCoupon(order.coupon.couponId, { userId: order.user, orderId: order._id });
+  return Order.findByIdAndUpdate(
+    order._id,
+    { $set: { "coupon.redeemedAt": new Date() } },
+    { new: true }
+  );
+};
+
+const releaseOrderCoupon = async (order) => {
+  if (!order.coupon?.redeemedAt) {
+    return order;
+  }
+  await releaseCoupon(order.coupon.couponId, order._id);
+  return Order.findByIdAndUpdate(
+    order._id,
+    { $unset: { "coupon.redeemedAt": 1 } },
+    { new: true }
+  );
+};
+
+export {
+  normalizeCouponCode,
+  findCouponByCode,
+  assertCouponUsable,
+  isCouponEligible,
+  calculateCouponDiscount,
+  redeemOrderCoupon,
+  releaseOrderCoupon,
+};
@@ -0,0 +1,233 @@
+import ExchangeRate from "../models/exchangeRateModel.js";
+
+const DEFAULT_BASE_CURRENCY = "USD";
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+const ORDER_PRICE_FIELDS = [
+  "itemsPrice",
+  "discountPrice",
+  "couponDiscount",
+  "taxPrice",
+  "taxIncluded",
+  "shippingPrice",
+  "totalPrice",
+];
+
+const createCurrencyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCurrencyCode = (code) => String(code || "").trim().toUpperCase();
+
+const getBaseCurrency = () =>
+  normalizeCurrencyCode(process.env.STORE_CURRENCY) || DEFAULT_BASE_CURRENCY;
+
+const getCurrencyDecimals = (code) => {
+  const currency = normalizeCurrencyCode(code);
+  if (!CURRENCY_CODE_PATTERN.test(currency)) {
+    throw createCurrencyError(`${code} is not a valid ISO 4217 currency code`);
+  }
+  return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions()
+    .maximumFractionDigits;
+};
+
+const roundCurrency = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+};
+
+const formatMoney = (value, code = getBaseCurrency()) =>
+  new Intl.NumberFormat("en", { style: "currency", currency: code }).format(Number(value) || 0);
+
+const getBaseCurrencyContext = () => {
+  const code = getBaseCurrency();
+  return { code, rate: 1, decimals: getCurrencyDecimals(code), isBase: true };
+};
+
+const resolveCurrency = async (code) => {
+  const currency = normalizeCurrencyCode(code);
+  const base = getBaseCurrencyContext();
+  if (!currency || currency === base.code) {
+    return base;
+  }
+
+  const decimals = getCurrencyDecimals(currency);
+  const exchangeRate = await ExchangeRate.findOne({ currency, isActive: true }).lean();
+  if (!exchangeRate) {
+    throw createCurrencyError(`Currency ${currency} is not supported`);
+  }
+  return { code: currency, rate: exchangeRate.rate, decimals, isBase: false };
+};
+
+const listCurrencies = async () => {
+  const base = getBaseCurrencyContext();
+  const rates = await ExchangeRate.find({ isActive: true }).sort({ currency: 1 }).lean();
+  return [
+    { code: base.code, rate: 1, decimals: base.decimals, isBase: true },
+    ...rates
+      .filter((rate) => rate.currency !== base.code)
+      .map((rate) => ({
+        code: rate.currency,
+        rate: rate.rate,
+        decimals: getCurrencyDecimals(rate.currency),
+        isBase: false,
+        updatedAt: rate.updatedAt,
+      })),
+  ];
+};
+
+const convertAmount = (amount, currency) =>
+  amount === undefined || amount === null
+    ? amount
+    : roundCurrency(Number(amount) * currency.rate, currency.decimals);
+
+const toBaseAmount = (amount, currency) => Number(amount) / currency.rate;
+
+const toPlainObject = (doc) =>
+  typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+
+const convertProductPrices = (product, currency) => {
+  if (!product || !currency || currency.isBase) {
+    return product;
+  }
+  const plain = toPlainObject(product);
+  return {
+    ...plain,
+    price: convertAmount(plain.price, currency),
+    ...(plain.priceSale !== undefined && {
+      priceSale: convertAmount(plain.priceSale, currency),
+    }),
+    ...(Array.isArray(plain.variants) && {
+      variants: plain.variants.map((variant) => ({
+        ...variant,
+        price: convertAmount(variant.price, currency),
+      })),
+    }),
+    currency: currency.code,
+  };
+};
+
+const getOrderCurrency = (order) =>
+  order.currency?.code
+    ? {
+        code: order.currency.code,
+        rate: order.currency.rate,
+        decimals: order.currency.decimals,
+        isBase: order.currency.code === getBaseCurrency() && order.currency.rate === 1,
+      }
+    : getBaseCurrencyContext();
+
+const toOrderCurrency = (order, amount) => convertAmount(amount, getOrderCurrency(order));
+
+const fromOrderCurrency = (order, amount) => toBaseAmount(amount, getOrderCurrency(order));
+
+const getOrderCharge = (order) => {
+  const currency = getOrderCurrency(order);
+  return {
+    currency: currency.code,
+    decimals: currency.decimals,
+    amount: convertAmount(order.totalPrice, currency),
+  };
+};
+
+const convertOrderPrices = (order, currency) => {
+  if (!order) {
+    return order;
+  }
+  const orderCurrency = getOrderCurrency(order);
+  const target = !currency || currency.code === orderCurrency.code ? orderCurrency : currency;
+  if (target.isBase) {
+    return order;
+  }
+
+  const plain = toPlainObject(order);
+  const converted = { ...plain, displayCurrency: { code: target.code, rate: target.rate } };
+  ORDER_PRICE_FIELDS.forEach((field) => {
+    converted[field] = convertAmount(plain[field], target);
+  });
+  converted.orderItems = (plain.orderItems || []).map((item) => ({
+    ...item,
+    price: convertAmount(item.price, target),
+    priceSale: convertAmount(item.priceSale, target),
+    taxPrice: convertAmount(item.taxPrice, target),
+  }));
+  converted.taxBreakdown = (plain.taxBreakdown || []).map((entry) => ({
+    ...entry,
+    taxableAmount: convertAmount(entry.taxableAmount, target),
+    tax: convertAmount(entry.tax, target),
+  }));
+  return converted;
+};
+
+const convertPricing = (pricing, currency) => {
+  if (!currency || currency.isBase) {
+    return pricing;
+  }
+  const converted = { ...pricing, currency: currency.code };
+  [...ORDER_PRICE_FIELDS, "subtotal"].forEach((field) => {
+    converted[field] = convertAmount(pricing[field], currency);
+  });
+  converted.orderItems = pricing.orderItems.map((item) => ({
+    ...item,
+    price: convertAmount(item.price, currency),
+    priceSale: convertAmount(item.priceSale, currency),
+    taxPrice: convertAmount(item.taxPrice, currency),
+  }));
+  converted.taxBreakdown = (pricing.taxBreakdown || []).map((entry) => ({
+    ...entry,
+    taxableAmount: convertAmount(entry.taxableAmount, currency),
+    tax: convertAmount(entry.tax, currency),
+  }));
+  converted.shippingMethods = (pricing.shippingMethods || []).map((method) => ({
+    ...method,
+    price: convertAmount(method.price, currency),
+  }));
+  if (pricing.shippingMethod) {
+    converted.shippingMethod = {
+      ...pricing.shippingMethod,
+      price: convertAmount(pricing.shippingMethod.price, currency),
+    };
+  }
+  return converted;
+};
+
+const convertCartPrices = (cart, currency) => {
+  if (!cart || !currency || currency.isBase) {
+    return cart;
+  }
+  return {
+    ...cart,
+    items: cart.items.map((item) => ({
+      ...item,
+      price: convertAmount(item.price, currency),
+      priceSale: convertAmount(item.priceSale, currency),
+      previousPriceSale: convertAmount(item.previousPriceSale, currency),
+      lineTotal: convertAmount(item.lineTotal, currency),
+    })),
+    subtotal: convertAmount(cart.subtotal, currency),
+    itemsPrice: convertAmount(cart.itemsPrice, currency),
+    currency: currency.code,
+  };
+};
+
+export {
+  normalizeCurrencyCode,
+  getBaseCurrency,
+  getCurrencyDecimals,
+  roundCurrency,
+  formatMoney,
+  resolveCurrency,
+  listCurrencies,
+  convertAmount,
+  toBaseAmount,
+  convertProductPrices,
+  convertOrderPrices,
+  convertPricing,
+  convertCartPrices,
+  getOrderCurrency,
+  toOrderCurrency,
+  fromOrderCurrency,
+  getOrderCharge,
+};
@@ -0,0 +1,186 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Order from "../models/orderModel.js";
+import CouponRedemption from "../models/couponRedemptionModel.js";
+import User from "../models/userModel.js";
+import sendEmail from "../utils/sendEmail.js";
+import { formatMoney, getOrderCharge } from "./currencyService.js";
+
+const ORDER_LOOKUP_TOKEN_PURPOSE = "order-lookup";
+const ORDER_LOOKUP_TOKEN_TTL = "180d";
+const ORDER_CLAIM_TOKEN_PURPOSE = "guest-order-claim";
+const ORDER_CLAIM_TOKEN_TTL = "7d";
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const createGuestOrderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const getLookupSecret = () => `${process.env.JWT_SECRET}:${ORDER_LOOKUP_TOKEN_PURPOSE}`;
+
+const getClaimSecret = () => `${process.env.JWT_SECRET}:${ORDER_CLAIM_TOKEN_PURPOSE}`;
+
+const getFrontendUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+const parseGuest = ({ guestEmail, guestName } = {}) => {
+  const email = normalizeEmail(guestEmail);
+  if (!EMAIL_PATTERN.test(email)) {
+    throw createGuestOrderError("A valid guestEmail is required to order without an account");
+  }
+  return { email, name: guestName ? String(guestName).trim() : undefined };
+};
+
+const createOrderLookupToken = (order) =>
+  jwt.sign(
+    {
+      orderId: String(order._id),
+      email: order.guest.email,
+      purpose: ORDER_LOOKUP_TOKEN_PURPOSE,
+    },
+    getLookupSecret(),
+    { expiresIn: ORDER_LOOKUP_TOKEN_TTL }
+  );
+
+const isValidOrderLookupToken = (token, order) => {
+  if (!token || !order.guest?.email) {
+    return false;
+  }
+  try {
+    const decoded = jwt.verify(String(token), getLookupSecret());
+    return (
+      decoded.purpose === ORDER_LOOKUP_TOKEN_PURPOSE &&
+      decoded.orderId === String(order._id) &&
+      decoded.email === order.guest.email
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+const findGuestOrderByToken = async (orderId, token) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw createGuestOrderError("Order not found", 404);
+  }
+  const order = await Order.findById(orderId);
+  if (!order || !isValidOrderLookupToken(token, order)) {
+    throw createGuestOrderError("Order not found", 404);
+  }
+  return order;
+};
+
+const sendOrderLookupEmail = async (order) => {
+  const token = createOrderLookupToken(order);
+  const charge = getOrderCharge(order);
+  await sendEmail({
+    email: order.guest.email,
+    subject: `Your order ${order._id}`,
+    message:
+      `Hi ${order.guest.name || ""},\n\n` +
+      `Thank you for your order. Total: ${formatMoney(charge.amount, charge.currency)}.\n\n` +
+      `You can check the status of your order at any time here:\n` +
+      `${getFrontendUrl()}/orders/guest/${order._id}?token=${token}\n\n` +
+      `Create an account with ${order.guest.email} to see all your orders in one place.`,
+  });
+};
+
+const issueGuestOrderAccess = async (order) => {
+  try {
+    await sendOrderLookupEmail(order);
+  } catch (error) {
+    console.error(`Failed to send order lookup email for order ${order._id}:`, error.message);
+  }
+  return createOrderLookupToken(order);
+};
+
+const resendOrderLookupEmail = async ({ email, orderId }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return;
+  }
+  const order = await Order.findOne({
+    _id: orderId,
+    "guest.email": normalizeEmail(email),
+    user: null,
+  });
+  if (order) {
+    await sendOrderLookupEmail(order);
+  }
+};
+
+const attachGuestOrders = async (user) => {
+  const email = normalizeEmail(user.email);
+  if (!email) {
+    return 0;
+  }
+
+  const orders = await Order.find({ "guest.email": email, user: null }).select("_id").lean();
+  if (orders.length === 0) {
+    return 0;
+  }
+
+  const orderIds = orders.map((order) => order._id);
+  await Order.updateMany({ _id: { $in: orderIds }, user: null }, { $set: { user: user._id } });
+  await CouponRedemption.updateMany({ order: { $in: orderIds } }, { $set: { user: user._id } });
+  return orderIds.length;
+};
+
+const sendGuestOrderClaimEmail = async (user) => {
+  const email = normalizeEmail(user.email);
+  if (!email) {
+    return 0;
+  }
+  const count = await Order.countDocuments({ "guest.email": email, user: null });
+  if (count === 0) {
+    return 0;
+  }
+
+  const token = jwt.sign(
+    { id: String(user._id), email, purpose: ORDER_CLAIM_TOKEN_PURPOSE },
+    getClaimSecret(),
+    { expiresIn: ORDER_CLAIM_TOKEN_TTL }
+  );
+  await sendEmail({
+    email,
+    subject: "Add your earlier orders to your account",
+    message:
+      `Hi ${user.name || ""},\n\n` +
+      `We found ${count} order(s) placed without an account using ${email}.\n\n` +
+      `Open this link to add them to your account:\n` +
+      `${getFrontendUrl()}/orders/claim?token=${token}\n\n` +
+      `If you did not create an account with us, you can ignore this email.`,
+  });
+  return count;
+};
+
+const claimGuestOrders = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), getClaimSecret());
+  } catch (error) {
+    throw createGuestOrderError("Invalid or expired link");
+  }
+  if (decoded.purpose !== ORDER_CLAIM_TOKEN_PURPOSE) {
+    throw createGuestOrderError("Invalid or expired link");
+  }
+
+  const user = await User.findById(decoded.id).select("_id email");
+  if (!user || normalizeEmail(user.email) !== decoded.email) {
+    throw createGuestOrderError("Invalid or expired link");
+  }
+  return attachGuestOrders(user);
+};
+
+export {
+  parseGuest,
+  createOrderLookupToken,
+  isValidOrderLookupToken,
+  findGuestOrderByToken,
+  issueGuestOrderAccess,
+  resendOrderLookupEmail,
+  sendGuestOrderClaimEmail,
+  claimGuestOrders,
+};
@@ -0,0 +1,301 @@
+import Product from "../models/productModel.js";
+import Order from "../models/orderModel.js";
+
+const createStockError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeSize = (size) => String(size ?? "").trim().toLowerCase();
+
+const normalizeColor = (color) => String(color ?? "").trim().toLowerCase();
+
+const resolveColorCandidates = (product, colorSelected) => {
+  const selected = normalizeColor(colorSelected);
+  const candidates = new Set([selected]);
+  (product.colors || []).forEach((color) => {
+    const name = normalizeColor(color.name);
+    const hexCode = normalizeColor(color.hexCode);
+    if (name === selected || hexCode === selected) {
+      candidates.add(name);
+      candidates.add(hexCode);
+    }
+  });
+  return candidates;
+};
+
+const findVariant = (product, colorSelected, sizeSelected) => {
+  if (!product.variants || product.variants.length === 0) {
+    return null;
+  }
+  const size = normalizeSize(sizeSelected);
+  const colors = resolveColorCandidates(product, colorSelected);
+  return (
+    product.variants.find(
+      (variant) =>
+        normalizeSize(variant.size) === size &&
+        colors.has(normalizeColor(variant.color))
+    ) || null
+  );
+};
+
+const describeItem = (product, item) =>
+  `${product.name} (Color ${item.colorSelected}, Size ${normalizeSize(
+    item.sizeSelected
+  ).toUpperCase()})`;
+
+const resolveStockTarget = (product, item) => {
+  const qty = Number(item.qty);
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw createStockError(`Invalid quantity for product: ${product.name}`);
+  }
+
+  const variant = findVariant(product, item.colorSelected, item.sizeSelected);
+  if (!variant) {
+    throw createStockError(
+      `Variant not available for product: ${describeItem(product, item)}`
+    );
+  }
+  return {
+    product: product._id,
+    variant: variant._id,
+    qty,
+    available: variant.stock || 0,
+  };
+};
+
+const getAvailableStock = (product, item) =>
+  resolveStockTarget(product, {
+    colorSelected: item.colorSelected,
+    sizeSelected: item.sizeSelected,
+    qty: 1,
+  }).available;
+
+const hasVariantStock = (product, { colors = [], sizes = [] } = {}) => {
+  const sizeSet = new Set(sizes.map(normalizeSize));
+  const colorSet = new Set(
+    colors.flatMap((color) => [...resolveColorCandidates(product, color)])
+  );
+  return (product.variants || []).some(
+    (variant) =>
+      (variant.stock || 0) > 0 &&
+      (sizeSet.size === 0 || sizeSet.has(normalizeSize(variant.size))) &&
+      (colorSet.size === 0 || colorSet.has(normalizeColor(variant.color)))
+  );
+};
+
+const buildVariantConditions = ({ colors = [], sizes = [] } = {}, variant = "$$variant") => {
+  const sizeKeys = sizes.map(normalizeSize).filter(Boolean);
+  const colorKeys = colors.map(normalizeColor).filter(Boolean);
+  const paletteMatches = (field, output) => ({
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$colors", []] },
+          as: "color",
+          cond: { $in: [{ $toLower: `$$color.${field}` }, colorKeys] },
+        },
+      },
+      as: "color",
+      in: { $toLower: `$$color.${output}` },
+    },
+  });
+
+  const conditions = [{ $gt: [`${variant}.stock`, 0] }];
+  if (sizeKeys.length > 0) {
+    conditions.push({ $in: [{ $toLower: `${variant}.size` }, sizeKeys] });
+  }
+  if (colorKeys.length > 0) {
+    conditions.push({
+      $in: [
+        { $toLower: `${variant}.color` },
+        {
+          $concatArrays: [
+            colorKeys,
+            paletteMatches("name", "hexCode"),
+            paletteMatches("hexCode", "name"),
+          ],
+        },
+      ],
+    });
+  }
+  return conditions;
+};
+
+const buildVariantStockMatch = (selection) => ({
+  $expr: {
+    $gt: [
+      {
+        $size: {
+          $filter: {
+            input: { $ifNull: ["$variants", []] },
+            as: "variant",
+            cond: { $and: buildVariantConditions(selection) },
+          },
+        },
+      },
+      0,
+    ],
+  },
+});
+
+const loadProducts = async (orderItems) => {
+  const ids = [...new Set(orderItems.map((item) => String(item.product)))];
+  const products = await Product.find({ _id: { $in: ids } })
+    .select("name colors variants countInStock")
+    .lean();
+  const productMap = new Map(products.map((product) => [String(product._id), product]));
+
+  return orderItems.map((item) => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw createStockError(`Product not found: ${item.product}`, 404);
+    }
+    return { item, product };
+  });
+};
+
+const buildDecrement = (target) => ({
+  filter: {
+    _id: target.product,
+    variants: {
+      $elemMatch: { _id: target.variant, stock: { $gte: target.qty } },
+    },
+  },
+  update: {
+    $inc: { "variants.$.stock": -target.qty, countInStock: -target.qty },
+  },
+});
+
+const buildIncrement = (reservation) => ({
+  filter: { _id: reservation.product, "variants._id": reservation.variant },
+  update: {
+    $inc: { "variants.$.stock": reservation.qty, countInStock: reservation.qty },
+  },
+});
+
+const checkStockAvailability = async (orderItems) => {
+  const entries = await loadProducts(orderItems);
+  const requested = new Map();
+
+  for (const { item, product } of entries) {
+    const target = resolveStockTarget(product, item);
+    const key = `${target.product}|${target.variant}`;
+    const total = (requested.get(key) || 0) + target.qty;
+    requested.set(key, total);
+
+    if (target.available < total) {
+      throw createStockError(
+        `Not enough stock for product: ${describeItem(product, item)}`
+      );
+    }
+  }
+};
+
+const releaseStock = async (reservations) => {
+  for (const reservation of [...reservations].reverse()) {
+    const { filter, update } = buildIncrement(reservation);
+    await Product.updateOne(filter, update);
+  }
+};
+
+const reserveStock = async (orderItems) => {
+  const entries = await loadProducts(orderItems);
+  const reservations = [];
+
+  try {
+    for (const { item, product } of entries) {
+      const target = resolveStockTarget(product, item);
+      const { filter, update } = buildDecrement(target);
+      const result = await Product.updateOne(filter, update);
+
+      if (result.modifiedCount === 0) {
+        throw createStockError(
+          `Not enough stock for product: ${describeItem(product, item)}`
+        );
+      }
+
+      reservations.push({
+        product: target.product,
+        variant: target.variant,
+        qty: target.qty,
+      });
+    }
+  } catch (error) {
+    try {
+      await releaseStock(reservations);
+    } catch (rollbackError) {
+      console.error("Failed to roll back stock reservation:", rollbackError);
+    }
+    throw error;
+  }
+
+  return reservations;
+};
+
+const resolveReservations = async (orderItems) => {
+  const entries = await loadProducts(orderItems);
+  const reservations = [];
+
+  for (const { item, product } of entries) {
+    try {
+      const recorded =
+        item.variant &&
+        (product.variants || []).find((variant) => variant._id.equals(item.variant));
+      const target = recorded
+        ? { product: product._id, variant: recorded._id, qty: Number(item.qty) }
+        : resolveStockTarget(product, item);
+      reservations.push({
+        product: target.product,
+        variant: target.variant,
+        qty: target.qty,
+      });
+    } catch (error) {
+      console.error(`Skipping restock for order line ${item.name}:`, error.message);
+    }
+  }
+  return reservations;
+};
+
+const restockOrder = async (orderId, { restockedBy, reason } = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, "restock.restockedAt": { $exists: false } },
+    { $set: { restock: { restockedAt: new Date(), restockedBy, reason } } },
+    { new: true }
+  );
+
+  if (!order) {
+    return null;
+  }
+
+  const reservations =
+    order.stockReservations &&
+    order.stockReservations.length > 0 &&
+    order.stockReservations.every((reservation) => reservation.variant)
+      ? order.stockReservations
+      : await resolveReservations(order.orderItems);
+
+  await releaseStock(reservations);
+  return order;
+};
+
+const restockItems = async (items) => {
+  const reservations = await resolveReservations(items);
+  await releaseStock(reservations);
+  return reservations;
+};
+
+export {
+  checkStockAvailability,
+  reserveStock,
+  releaseStock,
+  restockOrder,
+  restockItems,
+  getAvailableStock,
+  findVariant,
+  hasVariantStock,
+  buildVariantConditions,
+  buildVariantStockMatch,
+  normalizeSize,
+};
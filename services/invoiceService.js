@@ -0,0 +1,229 @@
+import PDFDocument from "pdfkit";
+import {
+  formatMoney,
+  roundCurrency,
+  getOrderCurrency,
+  toOrderCurrency,
+} from "./currencyService.js";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+const getSeller = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || "Novaware",
+  address: process.env.INVOICE_COMPANY_ADDRESS || "",
+  email: process.env.INVOICE_COMPANY_EMAIL || process.env.FROM_EMAIL || "",
+});
+
+const formatRate = (rate) => `${Number(rate) || 0}%`;
+
+const buildTaxTotals = (order) => {
+  if (!order.taxBreakdown || order.taxBreakdown.length === 0) {
+    return [["Tax", toOrderCurrency(order, order.taxPrice)]];
+  }
+  return order.taxBreakdown.map((entry) => [
+    `${entry.name} ${formatRate(entry.rate)}${entry.inclusive ? " (included)" : ""}`,
+    toOrderCurrency(order, entry.tax),
+  ]);
+};
+
+const buildInvoice = (order) => {
+  const issuedAt = order.paidAt || order.createdAt;
+  const currency = getOrderCurrency(order);
+  const toCurrency = (amount) => toOrderCurrency(order, amount);
+  return {
+    number: `INV-${formatDate(order.createdAt).replace(/-/g, "")}-${String(order._id)
+      .slice(-8)
+      .toUpperCase()}`,
+    issuedAt,
+    seller: getSeller(),
+    orderId: String(order._id),
+    currency: currency.code,
+    status: order.getStatus(),
+    customer: order.getCustomer(),
+    shippingAddress: order.shippingAddress || {},
+    items: order.orderItems.map((item) => ({
+      name: item.name,
+      variant: [item.sizeSelected, item.colorSelected].filter(Boolean).join(" / "),
+      qty: item.qty,
+      unitPrice: toCurrency(item.priceSale),
+      total: roundCurrency(toCurrency(item.priceSale) * item.qty, currency.decimals),
+      tax: item.taxRate
+        ? `Tax ${formatRate(item.taxRate)}: ${formatMoney(toCurrency(item.taxPrice), currency.code)}`
+        : "",
+    })),
+    totals: [
+      ["Items", toCurrency(order.itemsPrice)],
+      ...(order.couponDiscount > 0
+        ? [[`Coupon ${order.coupon?.code || ""}`.trim(), -toCurrency(order.couponDiscount)]]
+        : []),
+      ...buildTaxTotals(order),
+      ["Shipping", toCurrency(order.shippingPrice)],
+    ],
+    totalPrice: toCurrency(order.totalPrice),
+    payment: {
+      method: order.paymentMethod,
+      isPaid: order.isPaid,
+      paidAt: order.paidAt,
+      reference: order.paymentResult?.id || "",
+    },
+  };
+};
+
+const renderInvoiceHtml = (invoice) => {
+  const address = invoice.shippingAddress;
+  const rows = invoice.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}<br /><small>${escapeHtml(
+            [item.variant, item.tax].filter(Boolean).join(" · ")
+          )}</small></td>
+          <td class="num">${item.qty}</td>
+          <td class="num">${formatMoney(item.unitPrice, invoice.currency)}</td>
+          <td class="num">${formatMoney(item.total, invoice.currency)}</td>
+        </tr>`
+    )
+    .join("");
+  const totals = invoice.totals
+    .map(
+      ([label, value]) => `
+        <tr><td colspan="3">${escapeHtml(label)}</td><td class="num">${formatMoney(value, invoice.currency)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 32px auto; }
+    header { display: flex; justify-content: space-between; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(invoice.seller.name)}</h1>
+      <div>${escapeHtml(invoice.seller.address)}</div>
+      <div>${escapeHtml(invoice.seller.email)}</div>
+    </div>
+    <div>
+      <h2>Invoice ${escapeHtml(invoice.number)}</h2>
+      <div>Date: ${formatDate(invoice.issuedAt)}</div>
+      <div>Order: ${escapeHtml(invoice.orderId)}</div>
+      <div>Status: ${escapeHtml(invoice.status)}</div>
+    </div>
+  </header>
+  <section>
+    <h3>Bill to</h3>
+    <div>${escapeHtml(invoice.customer.name)} (${escapeHtml(invoice.customer.email)})</div>
+    <div>${escapeHtml(address.address)}, ${escapeHtml(address.city)} ${escapeHtml(address.postalCode)}</div>
+    <div>${escapeHtml(address.country)}</div>
+    <div>${escapeHtml(address.recipientPhoneNumber)}</div>
+  </section>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}${totals}
+      <tr class="total"><td colspan="3">Total</td><td class="num">${formatMoney(invoice.totalPrice, invoice.currency)}</td></tr>
+    </tbody>
+  </table>
+  <section>
+    <h3>Payment</h3>
+    <div>Method: ${escapeHtml(invoice.payment.method)}</div>
+    <div>${invoice.payment.isPaid ? `Paid on ${formatDate(invoice.payment.paidAt)}` : "Unpaid"}</div>
+    ${invoice.payment.reference ? `<div>Reference: ${escapeHtml(invoice.payment.reference)}</div>` : ""}
+  </section>
+</body>
+</html>`;
+};
+
+const getPdfFonts = () => ({
+  regular: process.env.INVOICE_PDF_FONT || "Helvetica",
+  bold: process.env.INVOICE_PDF_BOLD_FONT || process.env.INVOICE_PDF_FONT || "Helvetica-Bold",
+});
+
+const writeInvoicePdf = (invoice, stream) => {
+  const fonts = getPdfFonts();
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+  doc.font(fonts.regular);
+
+  const address = invoice.shippingAddress;
+  doc.fontSize(20).text(invoice.seller.name);
+  doc.fontSize(10).text(invoice.seller.address).text(invoice.seller.email);
+  doc.moveDown();
+  doc.fontSize(14).text(`Invoice ${invoice.number}`);
+  doc
+    .fontSize(10)
+    .text(`Date: ${formatDate(invoice.issuedAt)}`)
+    .text(`Order: ${invoice.orderId}`)
+    .text(`Status: ${invoice.status}`);
+  doc.moveDown();
+  doc.fontSize(12).text("Bill to");
+  doc
+    .fontSize(10)
+    .text(`${invoice.customer.name} (${invoice.customer.email})`)
+    .text(`${address.address || ""}, ${address.city || ""} ${address.postalCode || ""}`)
+    .text(address.country || "")
+    .text(address.recipientPhoneNumber || "");
+  doc.moveDown();
+
+  const columns = [50, 330, 400, 480];
+  const writeRow = (values, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? fonts.bold : fonts.regular);
+    doc.text(values[0], columns[0], y, { width: 270 });
+    const rowBottom = doc.y;
+    [values[1], values[2], values[3]].forEach((value, index) => {
+      doc.text(value, columns[index + 1], y, { width: 70, align: "right" });
+    });
+    doc.y = Math.max(rowBottom, doc.y) + 4;
+  };
+
+  writeRow(["Item", "Qty", "Unit price", "Amount"], { bold: true });
+  invoice.items.forEach((item) =>
+    writeRow([
+      [item.variant ? `${item.name} (${item.variant})` : item.name, item.tax]
+        .filter(Boolean)
+        .join("\n"),
+      String(item.qty),
+      formatMoney(item.unitPrice, invoice.currency),
+      formatMoney(item.total, invoice.currency),
+    ])
+  );
+  doc.moveDown(0.5);
+  invoice.totals.forEach(([label, value]) =>
+    writeRow([label, "", "", formatMoney(value, invoice.currency)])
+  );
+  writeRow(["Total", "", "", formatMoney(invoice.totalPrice, invoice.currency)], { bold: true });
+
+  doc.moveDown();
+  doc.font(fonts.regular).fontSize(12).text("Payment", columns[0]);
+  doc
+    .fontSize(10)
+    .text(`Method: ${invoice.payment.method}`)
+    .text(invoice.payment.isPaid ? `Paid on ${formatDate(invoice.payment.paidAt)}` : "Unpaid");
+  if (invoice.payment.reference) {
+    doc.text(`Reference: ${invoice.payment.reference}`);
+  }
+
+  doc.end();
+};
+
+export { buildInvoice, renderInvoiceHtml, writeInvoicePdf };
@@ -0,0 +1,24 @@
+import Order from "../models/orderModel.js";
+import { restockOrder } from "./inventoryService.js";
+import { releaseOrderCoupon } from "./couponService.js";
+
+const cancelOrderAndRelease = async (
+  order,
+  { changedBy, note, reason = "Order cancelled", set } = {}
+) => {
+  let updatedOrder = await Order.transition(order._id, "cancelled", {
+    changedBy,
+    note,
+    set,
+  });
+
+  // Only orders that recorded a reservation hold stock; the cancelled copy is
+  // read in the same update as the status, so it cannot be stale.
+  if (updatedOrder.stockReservedAt) {
+    updatedOrder =
+      (await restockOrder(order._id, { restockedBy: changedBy, reason })) || updatedOrder;
+  }
+  return releaseOrderCoupon(updatedOrder);
+};
+
+export { cancelOrderAndRelease };
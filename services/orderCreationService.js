@@ -0,0 +1,98 @@
+import Order from "../models/orderModel.js";
+import AbandonedCart from "../models/abandonedCartModel.js";
+import { checkStockAvailability } from "./inventoryService.js";
+import { calculateOrderPricing, assertClientPricing } from "./pricingService.js";
+import { resolveShippingAddress } from "./addressService.js";
+import { resolveCurrency, convertPricing } from "./currencyService.js";
+
+const createOrderError = (message, statusCode = 400, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const createOrderFromItems = async ({
+  userId,
+  guest,
+  orderItems,
+  shippingAddress,
+  addressId,
+  shippingMethod,
+  paymentMethod,
+  couponCode,
+  currency,
+  clientPricing,
+}) => {
+  if (!orderItems || orderItems.length === 0) {
+    throw createOrderError("No order items");
+  }
+
+  const resolvedAddress = await resolveShippingAddress({ userId, addressId, shippingAddress });
+  const orderCurrency = currency?.code ? currency : await resolveCurrency(currency);
+  await checkStockAvailability(orderItems);
+  const pricing = await calculateOrderPricing(orderItems, {
+    couponCode,
+    userId,
+    shippingAddress: resolvedAddress,
+    shippingMethod,
+  });
+  if (clientPricing) {
+    assertClientPricing({ orderItems, ...clientPricing }, convertPricing(pricing, orderCurrency));
+  }
+
+  const order = new Order({
+    orderItems: pricing.orderItems,
+    user: userId,
+    guest: userId ? undefined : guest,
+    shippingAddress: resolvedAddress,
+    paymentMethod,
+    itemsPrice: pricing.itemsPrice,
+    discountPrice: pricing.discountPrice,
+    coupon: pricing.coupon || undefined,
+    couponDiscount: pricing.couponDiscount,
+    taxPrice: pricing.taxPrice,
+    taxIncluded: pricing.taxIncluded,
+    taxBreakdown: pricing.taxBreakdown,
+    shippingPrice: pricing.shippingPrice,
+    shippingMethod: pricing.shippingMethod
+      ? {
+          code: pricing.shippingMethod.code,
+          name: pricing.shippingMethod.name,
+          zone: pricing.shippingMethod.zone?._id,
+          minDeliveryDays: pricing.shippingMethod.minDeliveryDays,
+          maxDeliveryDays: pricing.shippingMethod.maxDeliveryDays,
+        }
+      : undefined,
+    shippingWeight: pricing.shippingWeight,
+    totalPrice: pricing.totalPrice,
+    currency: {
+      code: orderCurrency.code,
+      rate: orderCurrency.rate,
+      decimals: orderCurrency.decimals,
+    },
+  });
+
+  let createdOrder;
+  try {
+    createdOrder = await order.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      throw createOrderError(error.message, 400, {
+        errors: Object.keys(error.errors),
+      });
+    }
+    throw error;
+  }
+
+  if (userId) {
+    try {
+      await AbandonedCart.markRecovered(userId, createdOrder);
+    } catch (error) {
+      console.error("Failed to record cart recovery:", error.message);
+    }
+  }
+  return createdOrder;
+};
+
+export { createOrderFromItems };
@@ -0,0 +1,140 @@
+import Order from "../models/orderModel.js";
+import sendEmail from "../utils/sendEmail.js";
+import { cancelOrderAndRelease } from "./orderCancellationService.js";
+import { cancelPaymentIntentForOrder } from "./stripePaymentService.js";
+import { isPayPalOrderApproved } from "./paypalPaymentService.js";
+
+const DEFAULT_TIMEOUT_MINUTES = 60;
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 5;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_COD_PAYMENT_METHODS = ["COD", "Cash on Delivery", "Cash"];
+const EXPIRABLE_STATUSES = ["pending", "confirmed"];
+
+const getExpiryConfig = () => ({
+  enabled: process.env.ORDER_EXPIRY_ENABLED !== "false",
+  timeoutMinutes:
+    parseFloat(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES) || DEFAULT_TIMEOUT_MINUTES,
+  intervalMinutes:
+    parseFloat(process.env.ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES) ||
+    DEFAULT_SWEEP_INTERVAL_MINUTES,
+  batchSize: parseInt(process.env.ORDER_EXPIRY_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+  codPaymentMethods: process.env.COD_PAYMENT_METHODS
+    ? process.env.COD_PAYMENT_METHODS.split(",").map((method) => method.trim()).filter(Boolean)
+    : DEFAULT_COD_PAYMENT_METHODS,
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const buildCodPattern = (methods) =>
+  new RegExp(`^\\s*(${methods.map(escapeRegex).join("|")})\\s*$`, "i");
+
+const isPaymentInFlight = async (order) => {
+  if (order.paymentIntentId) {
+    return !(await cancelPaymentIntentForOrder(order));
+  }
+  if (order.paypalOrderId) {
+    return isPayPalOrderApproved(order);
+  }
+  return false;
+};
+
+const notifyCustomer = async (order, timeoutMinutes) => {
+  const customer = order.getCustomer();
+  if (!customer.email) {
+    return;
+  }
+  try {
+    await sendEmail({
+      email: customer.email,
+      subject: `Your order ${order._id} has been cancelled`,
+      message:
+        `Hi ${customer.name},\n\n` +
+        `We did not receive the payment for order ${order._id} within ${timeoutMinutes} minutes, ` +
+        `so the order has been cancelled and the items have been released.\n\n` +
+        `You are welcome to place a new order at any time.`,
+    });
+  } catch (error) {
+    console.error(`Failed to send expiry email for order ${order._id}:`, error.message);
+  }
+};
+
+const expireUnpaidOrders = async ({ now = new Date() } = {}) => {
+  const config = getExpiryConfig();
+  const cutoff = new Date(now.getTime() - config.timeoutMinutes * 60 * 1000);
+  const reason = `Payment not received within ${config.timeoutMinutes} minutes`;
+
+  // Orders that could not be expired are stamped with expiryCheckedAt and only
+  // looked at again after another timeout, so they cannot fill every batch.
+  const orders = await Order.find({
+    isPaid: false,
+    status: { $in: EXPIRABLE_STATUSES },
+    createdAt: { $lte: cutoff },
+    paymentMethod: { $not: buildCodPattern(config.codPaymentMethods) },
+    $or: [{ expiryCheckedAt: { $exists: false } }, { expiryCheckedAt: { $lte: cutoff } }],
+  })
+    .sort({ expiryCheckedAt: 1, createdAt: 1 })
+    .limit(config.batchSize)
+    .populate("user", "name email");
+
+  const summary = { expired: 0, skipped: 0, failed: 0 };
+  const checked = [];
+  for (const order of orders) {
+    try {
+      if (await isPaymentInFlight(order)) {
+        summary.skipped += 1;
+        checked.push(order._id);
+        continue;
+      }
+
+      await cancelOrderAndRelease(order, {
+        note: reason,
+        reason,
+        set: { cancellationReason: reason },
+      });
+      summary.expired += 1;
+      await notifyCustomer(order, config.timeoutMinutes);
+    } catch (error) {
+      checked.push(order._id);
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        summary.skipped += 1;
+      } else {
+        summary.failed += 1;
+        console.error(`Failed to expire order ${order._id}:`, error.message);
+      }
+    }
+  }
+
+  if (checked.length > 0) {
+    await Order.updateMany({ _id: { $in: checked } }, { $set: { expiryCheckedAt: now } });
+  }
+  return summary;
+};
+
+const startOrderExpirySweeper = () => {
+  const config = getExpiryConfig();
+  if (!config.enabled) {
+    return null;
+  }
+
+  let running = false;
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await expireUnpaidOrders();
+      if (summary.expired > 0 || summary.failed > 0) {
+        console.log(
+          `Order expiry sweep: ${summary.expired} expired, ${summary.skipped} skipped, ${summary.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error("Order expiry sweep failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(sweep, config.intervalMinutes * 60 * 1000);
+};
+
+export { expireUnpaidOrders, startOrderExpirySweeper };
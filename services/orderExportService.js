@@ -0,0 +1,80 @@
+import Order from "../models/orderModel.js";
+
+const CSV_COLUMNS = [
+  ["orderId", (order) => order._id],
+  ["createdAt", (order) => order.createdAt?.toISOString()],
+  ["status", (order) => order.getStatus()],
+  ["customerName", (order) => order.getCustomer().name],
+  ["customerEmail", (order) => order.getCustomer().email],
+  ["recipientPhone", (order) => order.shippingAddress?.recipientPhoneNumber],
+  ["city", (order) => order.shippingAddress?.city],
+  ["country", (order) => order.shippingAddress?.country],
+  ["paymentMethod", (order) => order.paymentMethod],
+  ["isPaid", (order) => order.isPaid],
+  ["paidAt", (order) => order.paidAt?.toISOString()],
+  ["productId", (order, item) => item.product],
+  ["productName", (order, item) => item.name],
+  ["sku", (order, item) => item.sku],
+  ["size", (order, item) => item.sizeSelected],
+  ["color", (order, item) => item.colorSelected],
+  ["qty", (order, item) => item.qty],
+  ["unitPrice", (order, item) => item.priceSale],
+  ["lineTotal", (order, item) => Math.round(item.priceSale * item.qty * 100) / 100],
+  ["itemsPrice", (order) => order.itemsPrice],
+  ["couponCode", (order) => order.coupon?.code],
+  ["couponDiscount", (order) => order.couponDiscount],
+  ["taxPrice", (order) => order.taxPrice],
+  ["shippingPrice", (order) => order.shippingPrice],
+  ["totalPrice", (order) => order.totalPrice],
+  ["orderCurrency", (order) => order.currency?.code],
+  ["exchangeRate", (order) => order.currency?.rate],
+];
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvCell).join(",")}\r\n`;
+
+const writeChunk = (stream, chunk) => {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+};
+
+const streamOrdersCsv = async (filter, sort, stream) => {
+  await writeChunk(stream, `\uFEFF${toCsvRow(CSV_COLUMNS.map(([name]) => name))}`);
+
+  const cursor = Order.find(filter).sort(sort).populate("user", "name email").cursor();
+  let count = 0;
+  for await (const order of cursor) {
+    if (stream.destroyed) {
+      await cursor.close();
+      break;
+    }
+    for (const item of order.orderItems) {
+      const values = CSV_COLUMNS.map(([, getValue]) => getValue(order, item));
+      await writeChunk(stream, toCsvRow(values));
+    }
+    count += 1;
+  }
+  return count;
+};
+
+export { streamOrdersCsv };
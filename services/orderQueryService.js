@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Order, { ORDER_STATUSES } from "../models/orderModel.js";
+
+const ORDER_SORT_FIELDS = ["createdAt", "totalPrice", "paidAt", "deliveredAt", "status"];
+
+const LEGACY_STATUS_FILTERS = {
+  cancelled: { isCancelled: true },
+  delivered: { isCancelled: { $ne: true }, isDelivered: true },
+  confirmed: { isCancelled: { $ne: true }, isDelivered: { $ne: true }, isProcessing: true },
+  pending: {
+    isCancelled: { $ne: true },
+    isDelivered: { $ne: true },
+    isProcessing: { $ne: true },
+  },
+};
+
+const LEGACY_STATUS_EXPRESSION = {
+  $switch: {
+    branches: [
+      { case: { $eq: ["$isCancelled", true] }, then: "cancelled" },
+      { case: { $eq: ["$isDelivered", true] }, then: "delivered" },
+      { case: { $eq: ["$isProcessing", true] }, then: "confirmed" },
+    ],
+    default: "pending",
+  },
+};
+
+const createQueryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const containsFilter = (value) => ({ $regex: escapeRegex(value.trim()), $options: "i" });
+
+const parseList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createQueryError(`${name} must be a valid date`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === "" || Number.isNaN(number)) {
+    throw createQueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const buildStatusFilter = (statuses) => {
+  const invalid = statuses.filter((status) => !ORDER_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw createQueryError(`Status must be one of: ${ORDER_STATUSES.join(", ")}`);
+  }
+
+  const legacyFilters = statuses
+    .filter((status) => LEGACY_STATUS_FILTERS[status])
+    .map((status) => LEGACY_STATUS_FILTERS[status]);
+
+  if (legacyFilters.length === 0) {
+    return { status: { $in: statuses } };
+  }
+  return {
+    $or: [
+      { status: { $in: statuses } },
+      { status: { $exists: false }, $or: legacyFilters },
+    ],
+  };
+};
+
+const findCustomerIds = async (customer) => {
+  const pattern = containsFilter(customer);
+  const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] })
+    .select("_id")
+    .lean();
+  return users.map((user) => user._id);
+};
+
+const buildKeywordFilter = async (keyword) => {
+  if (
+    (keyword.length === 12 || keyword.length === 24) &&
+    mongoose.Types.ObjectId.isValid(keyword)
+  ) {
+    return { _id: new mongoose.Types.ObjectId(keyword) };
+  }
+
+  const pattern = containsFilter(keyword);
+  return {
+    $or: [
+      { user: { $in: await findCustomerIds(keyword) } },
+      { "guest.email": pattern },
+      { "shippingAddress.recipientPhoneNumber": pattern },
+      { "shippingAddress.city": pattern },
+      { "orderItems.name": pattern },
+    ],
+  };
+};
+
+const buildOrderFilter = async (query) => {
+  const conditions = [];
+
+  if (query.keyword) {
+    conditions.push(await buildKeywordFilter(String(query.keyword)));
+  }
+  if (query.paymentMethod) {
+    conditions.push({ paymentMethod: { $in: parseList(query.paymentMethod) } });
+  }
+  if (query.isPaid === "true" || query.isPaid === "false") {
+    conditions.push({ isPaid: query.isPaid === "true" });
+  }
+
+  const createdAt = {};
+  if (query.dateFrom) createdAt.$gte = parseDate(query.dateFrom, "dateFrom");
+  if (query.dateTo) createdAt.$lte = parseDate(query.dateTo, "dateTo", { endOfDay: true });
+  if (Object.keys(createdAt).length > 0) conditions.push({ createdAt });
+
+  const totalPrice = {};
+  if (query.minTotal !== undefined) totalPrice.$gte = parseNumber(query.minTotal, "minTotal");
+  if (query.maxTotal !== undefined) totalPrice.$lte = parseNumber(query.maxTotal, "maxTotal");
+  if (Object.keys(totalPrice).length > 0) conditions.push({ totalPrice });
+
+  if (query.user && mongoose.Types.ObjectId.isValid(query.user)) {
+    conditions.push({ user: new mongoose.Types.ObjectId(String(query.user)) });
+  }
+  if (query.customer) {
+    const customer = String(query.customer);
+    conditions.push({
+      $or: [
+        { user: { $in: await findCustomerIds(customer) } },
+        { "guest.email": containsFilter(customer) },
+        { "guest.name": containsFilter(customer) },
+      ],
+    });
+  }
+  if (query.phone) {
+    conditions.push({
+      "shippingAddress.recipientPhoneNumber": containsFilter(String(query.phone)),
+    });
+  }
+  if (query.city) {
+    conditions.push({ "shippingAddress.city": containsFilter(String(query.city)) });
+  }
+  if (query.product) {
+    conditions.push({ "orderItems.name": containsFilter(String(query.product)) });
+  }
+
+  const baseFilter = conditions.length > 0 ? { $and: conditions } : {};
+  const filter = query.status
+    ? { $and: [...conditions, buildStatusFilter(parseList(query.status))] }
+    : baseFilter;
+
+  return { filter, baseFilter };
+};
+
+const buildOrderSort = ({ sortBy = "createdAt", sortOrder = "desc" }) => {
+  if (!ORDER_SORT_FIELDS.includes(sortBy)) {
+    throw createQueryError(`sortBy must be one of: ${ORDER_SORT_FIELDS.join(", ")}`);
+  }
+  const direction = sortOrder === "asc" ? 1 : -1;
+  return sortBy === "createdAt"
+    ? { createdAt: direction }
+    : { [sortBy]: direction, createdAt: -1 };
+};
+
+const countOrdersByStatus = async (filter) => {
+  const groups = await Order.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { $ifNull: ["$status", LEGACY_STATUS_EXPRESSION] },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = Object.fromEntries(ORDER_STATUSES.map((status) => [status, 0]));
+  groups.forEach((group) => {
+    counts[group._id] = group.count;
+  });
+  return counts;
+};
+
+export { buildOrderFilter, buildOrderSort, countOrdersByStatus };
@@ -0,0 +1,178 @@
+import axios from "axios";
+import crypto from "crypto";
+
+const createPayPalError = (message, { statusCode = 502, issue, details } = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.issue = issue;
+  error.details = details;
+  return error;
+};
+
+const toPayPalError = (error) => {
+  const data = error.response?.data || {};
+  const issue = data.details?.[0]?.issue || data.name;
+  return createPayPalError(
+    `PayPal request failed: ${data.message || error.message}`,
+    { issue, details: data.details }
+  );
+};
+
+export const createPayPalHttpClient = ({
+  baseUrl,
+  clientId,
+  clientSecret,
+  http = axios,
+}) => {
+  let cachedToken = null;
+
+  const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+    try {
+      const { data } = await http.post(
+        `${baseUrl}/v1/oauth2/token`,
+        "grant_type=client_credentials",
+        {
+          auth: { username: clientId, password: clientSecret },
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        }
+      );
+      cachedToken = {
+        value: data.access_token,
+        expiresAt: Date.now() + Math.max((data.expires_in || 0) - 60, 0) * 1000,
+      };
+      return cachedToken.value;
+    } catch (error) {
+      throw toPayPalError(error);
+    }
+  };
+
+  const request = async (method, path, { body, requestId } = {}) => {
+    const token = await getAccessToken();
+    try {
+      const { data } = await http.request({
+        method,
+        url: `${baseUrl}${path}`,
+        data: body,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          ...(requestId && { "PayPal-Request-Id": requestId }),
+        },
+      });
+      return data;
+    } catch (error) {
+      throw toPayPalError(error);
+    }
+  };
+
+  return {
+    createOrder: (body, { requestId } = {}) =>
+      request("post", "/v2/checkout/orders", { body, requestId }),
+    captureOrder: (paypalOrderId, { requestId } = {}) =>
+      request("post", `/v2/checkout/orders/${paypalOrderId}/capture`, { body: {}, requestId }),
+    getOrder: (paypalOrderId) => request("get", `/v2/checkout/orders/${paypalOrderId}`),
+    refundCapture: (captureId, body, { requestId } = {}) =>
+      request("post", `/v2/payments/captures/${captureId}/refund`, { body, requestId }),
+  };
+};
+
+export const createFakePayPalClient = ({
+  payerEmail = "buyer@example.com",
+  autoApprove = true,
+} = {}) => {
+  const orders = new Map();
+  const requests = new Map();
+  const captures = new Map();
+  const refunds = new Map();
+
+  const findOrder = (paypalOrderId) => {
+    const order = orders.get(paypalOrderId);
+    if (!order) {
+      throw createPayPalError("PayPal request failed: order not found", {
+        statusCode: 404,
+        issue: "INVALID_RESOURCE_ID",
+      });
+    }
+    return order;
+  };
+
+  return {
+    orders,
+    captures,
+    createOrder: async (body, { requestId } = {}) => {
+      if (requestId && requests.has(requestId)) {
+        return structuredClone(orders.get(requests.get(requestId)));
+      }
+      const id = `FAKE-${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+      const order = {
+        id,
+        intent: body.intent,
+        status: autoApprove ? "APPROVED" : "CREATED",
+        purchase_units: structuredClone(body.purchase_units),
+      };
+      orders.set(id, order);
+      if (requestId) requests.set(requestId, id);
+      return structuredClone(order);
+    },
+    captureOrder: async (paypalOrderId) => {
+      const order = findOrder(paypalOrderId);
+      if (order.status === "COMPLETED") {
+        throw createPayPalError("PayPal request failed: order already captured", {
+          statusCode: 422,
+          issue: "ORDER_ALREADY_CAPTURED",
+        });
+      }
+      order.status = "COMPLETED";
+      order.payer = { email_address: payerEmail };
+      order.purchase_units = order.purchase_units.map((unit) => {
+        const capture = {
+          id: `FAKE-CAPTURE-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+          status: "COMPLETED",
+          amount: unit.amount,
+          custom_id: unit.custom_id,
+          update_time: new Date().toISOString(),
+        };
+        captures.set(capture.id, { amount: unit.amount, refunded: 0 });
+        return { ...unit, payments: { captures: [capture] } };
+      });
+      return structuredClone(order);
+    },
+    getOrder: async (paypalOrderId) => structuredClone(findOrder(paypalOrderId)),
+    refundCapture: async (captureId, body, { requestId } = {}) => {
+      if (requestId && refunds.has(requestId)) {
+        return structuredClone(refunds.get(requestId));
+      }
+      const capture = captures.get(captureId);
+      if (!capture) {
+        throw createPayPalError("PayPal request failed: capture not found", {
+          statusCode: 404,
+          issue: "INVALID_RESOURCE_ID",
+        });
+      }
+      const amount = body?.amount || capture.amount;
+      if (amount.currency_code !== capture.amount.currency_code) {
+        throw createPayPalError("PayPal request failed: refund currency mismatch", {
+          statusCode: 422,
+          issue: "CURRENCY_MISMATCH",
+        });
+      }
+      if (capture.refunded + Number(amount.value) > Number(capture.amount.value) + 1e-9) {
+        throw createPayPalError("PayPal request failed: refund exceeds the captured amount", {
+          statusCode: 422,
+          issue: "REFUND_AMOUNT_EXCEEDED",
+        });
+      }
+      capture.refunded += Number(amount.value);
+      const refund = {
+        id: `FAKE-REFUND-${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+        status: "COMPLETED",
+        amount,
+      };
+      if (requestId) refunds.set(requestId, refund);
+      return structuredClone(refund);
+    },
+  };
+};
@@ -0,0 +1,160 @@
+import Order from "../models/orderModel.js";
+import { getPayPalClient } from "../config/paypal.js";
+import { getOrderCharge, getOrderCurrency, toOrderCurrency } from "./currencyService.js";
+
+const AMOUNT_TOLERANCE = 0.005;
+
+const createPaymentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getPayPalCharge = (order) => {
+  const charge = getOrderCharge(order);
+  return {
+    currency: charge.currency,
+    amount: charge.amount,
+    value: charge.amount.toFixed(charge.decimals),
+  };
+};
+
+const createPayPalOrderForOrder = async (order) => {
+  order.assertPayable();
+
+  const { currency, value } = getPayPalCharge(order);
+  const paypalOrder = await getPayPalClient().createOrder(
+    {
+      intent: "CAPTURE",
+      purchase_units: [
+        {
+          reference_id: String(order._id),
+          custom_id: String(order._id),
+          amount: { currency_code: currency, value },
+        },
+      ],
+    },
+    { requestId: `order-${order._id}-${value}-${currency}` }
+  );
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { paypalOrderId: paypalOrder.id } }
+  );
+  return paypalOrder;
+};
+
+const verifyCapturedPayPalOrder = async (order, paypalOrder) => {
+  if (paypalOrder.status !== "COMPLETED") {
+    throw createPaymentError(`PayPal order is not completed (${paypalOrder.status})`);
+  }
+
+  const unit = paypalOrder.purchase_units?.[0];
+  const capture = unit?.payments?.captures?.find(
+    (item) => item.status === "COMPLETED"
+  );
+  if (!capture) {
+    throw createPaymentError("PayPal order has no completed capture");
+  }
+
+  const customId = capture.custom_id || unit.custom_id;
+  if (customId && customId !== String(order._id)) {
+    throw createPaymentError("PayPal payment belongs to a different order");
+  }
+
+  const expected = getPayPalCharge(order);
+  const { currency_code: currency, value } = capture.amount || {};
+  if (
+    currency !== expected.currency ||
+    Math.abs(Number(value) - expected.amount) > AMOUNT_TOLERANCE
+  ) {
+    throw createPaymentError(
+      `PayPal captured ${value} ${currency}, expected ${expected.value} ${expected.currency}`
+    );
+  }
+
+  const reused = await Order.exists({
+    _id: { $ne: order._id },
+    "paymentResult.id": capture.id,
+  });
+  if (reused) {
+    throw createPaymentError("PayPal payment was already used for another order");
+  }
+
+  return capture;
+};
+
+const settlePayPalOrder = async (
+  order,
+  paypalOrderId = order.paypalOrderId,
+  { changedBy } = {}
+) => {
+  if (!paypalOrderId) {
+    throw createPaymentError("PayPal order id is required");
+  }
+  if (order.paypalOrderId && order.paypalOrderId !== paypalOrderId) {
+    throw createPaymentError("PayPal order does not match this order");
+  }
+  order.assertPayable();
+
+  const client = getPayPalClient();
+  let paypalOrder = await client.getOrder(paypalOrderId);
+
+  if (paypalOrder.status === "APPROVED") {
+    try {
+      paypalOrder = await client.captureOrder(paypalOrderId, {
+        requestId: `capture-${order._id}-${paypalOrderId}`,
+      });
+    } catch (error) {
+      if (error.issue !== "ORDER_ALREADY_CAPTURED") {
+        throw error;
+      }
+      paypalOrder = await client.getOrder(paypalOrderId);
+    }
+  }
+
+  const capture = await verifyCapturedPayPalOrder(order, paypalOrder);
+
+  return Order.markPaid(
+    order._id,
+    {
+      id: capture.id,
+      status: capture.status,
+      update_time: capture.update_time,
+      email_address: paypalOrder.payer?.email_address,
+    },
+    { changedBy, note: "PayPal payment captured", set: { paypalOrderId } }
+  );
+};
+
+const refundPayPalPayment = async (order, amount, { requestId, reason } = {}) => {
+  const captureId = order.paymentResult?.id;
+  if (!order.paypalOrderId || !captureId) {
+    throw createPaymentError("Order was not paid through PayPal");
+  }
+
+  const currency = getOrderCurrency(order);
+  return getPayPalClient().refundCapture(
+    captureId,
+    {
+      amount: {
+        currency_code: currency.code,
+        value: toOrderCurrency(order, amount).toFixed(currency.decimals),
+      },
+      ...(reason && { note_to_payer: reason }),
+    },
+    { requestId }
+  );
+};
+
+const isPayPalOrderApproved = async (order) => {
+  const paypalOrder = await getPayPalClient().getOrder(order.paypalOrderId);
+  return ["APPROVED", "COMPLETED"].includes(paypalOrder.status);
+};
+
+export {
+  createPayPalOrderForOrder,
+  settlePayPalOrder,
+  refundPayPalPayment,
+  isPayPalOrderApproved,
+};
@@ -0,0 +1,247 @@
+import Product from "../models/productModel.js";
+import { findVariant } from "./inventoryService.js";
+import {
+  findCouponByCode,
+  assertCouponUsable,
+  isCouponEligible,
+  calculateCouponDiscount,
+} from "./couponService.js";
+import { calculateShippingWeight, getShippingMethods } from "./shippingService.js";
+import { calculateTaxes } from "./taxService.js";
+
+const PRICE_TOLERANCE = 0.01;
+
+const createPricingError = (message, statusCode = 400, data = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const roundPrice = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const priceLine = (product, item) => {
+  const qty = Number(item.qty);
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw createPricingError(`Invalid quantity for product: ${product.name}`);
+  }
+
+  const variant = findVariant(product, item.colorSelected, item.sizeSelected);
+  if (!variant) {
+    throw createPricingError(
+      `Variant not available for product: ${product.name} (Color ${item.colorSelected}, Size ${item.sizeSelected})`
+    );
+  }
+  const unitPrice = roundPrice(variant.price);
+  const sale = Math.min(Math.max(Number(product.sale) || 0, 0), 100);
+  const priceSale = roundPrice(unitPrice * (1 - sale / 100));
+
+  return {
+    name: product.name,
+    qty,
+    sizeSelected: item.sizeSelected,
+    colorSelected: item.colorSelected,
+    sku: variant.sku,
+    variant: variant._id,
+    images:
+      item.images && item.images.length > 0
+        ? item.images
+        : (product.images || []).slice(0, 1),
+    price: unitPrice,
+    priceSale,
+    product: product._id,
+  };
+};
+
+const calculateShipping = async (
+  items,
+  productMap,
+  { shippingAddress, shippingMethod, itemsPrice }
+) => {
+  const weight = calculateShippingWeight(
+    items.map((item) => ({ product: productMap.get(String(item.product)), qty: item.qty }))
+  );
+  const methods = (await getShippingMethods({ shippingAddress, weight, itemsPrice })).map(
+    (method) => ({ ...method, price: roundPrice(method.price) })
+  );
+
+  let selected = methods[0] || null;
+  if (shippingMethod) {
+    const code = String(shippingMethod).trim().toLowerCase();
+    selected = methods.find((method) => method.code === code);
+    if (!selected) {
+      throw createPricingError(
+        `Shipping method ${shippingMethod} is not available for this address`,
+        400,
+        { shippingMethods: methods }
+      );
+    }
+  } else if (!selected && shippingAddress) {
+    throw createPricingError("No shipping method is available for this address", 400, {
+      shippingWeight: weight,
+    });
+  }
+
+  return { shippingWeight: weight, shippingMethods: methods, shippingMethod: selected };
+};
+
+const applyCoupon = async (couponCode, { userId, items, productMap, itemsPrice }) => {
+  const coupon = await findCouponByCode(couponCode);
+  await assertCouponUsable(coupon, { userId });
+
+  const lines = items.map((item) => {
+    const product = productMap.get(String(item.product));
+    return {
+      category: product.category,
+      brand: product.brand,
+      amount: item.priceSale * item.qty,
+    };
+  });
+
+  return {
+    coupon: {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+    },
+    couponDiscount: roundPrice(calculateCouponDiscount(coupon, lines, itemsPrice)),
+    couponEligible: lines.map((line) => isCouponEligible(coupon, line)),
+  };
+};
+
+const allocateCouponDiscount = (items, couponDiscount, couponEligible) => {
+  const amounts = items.map((item) => roundPrice(item.priceSale * item.qty));
+  if (!couponDiscount) {
+    return amounts;
+  }
+
+  const eligible = amounts.map((amount, index) => couponEligible[index] && amount > 0);
+  const eligibleTotal = amounts.reduce(
+    (sum, amount, index) => (eligible[index] ? sum + amount : sum),
+    0
+  );
+  const lastEligible = eligible.lastIndexOf(true);
+  let remaining = couponDiscount;
+  return amounts.map((amount, index) => {
+    if (!eligible[index]) {
+      return amount;
+    }
+    const share =
+      index === lastEligible
+        ? remaining
+        : roundPrice((couponDiscount * amount) / eligibleTotal);
+    remaining = roundPrice(remaining - share);
+    return roundPrice(amount - share);
+  });
+};
+
+const calculateOrderPricing = async (
+  orderItems,
+  { couponCode, userId, shippingAddress, shippingMethod } = {}
+) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw createPricingError("No order items");
+  }
+
+  const ids = [...new Set(orderItems.map((item) => String(item.product)))];
+  const products = await Product.find({ _id: { $in: ids } })
+    .select("name images price sale colors variants category brand weight dimensions")
+    .lean();
+  const productMap = new Map(products.map((product) => [String(product._id), product]));
+
+  const items = orderItems.map((item) => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw createPricingError(`Product not found: ${item.product}`, 404);
+    }
+    return priceLine(product, item);
+  });
+
+  const subtotal = roundPrice(
+    items.reduce((sum, item) => sum + item.price * item.qty, 0)
+  );
+  const itemsPrice = roundPrice(
+    items.reduce((sum, item) => sum + item.priceSale * item.qty, 0)
+  );
+  const discountPrice = roundPrice(subtotal - itemsPrice);
+  const { coupon = null, couponDiscount = 0, couponEligible = [] } = couponCode
+    ? await applyCoupon(couponCode, { userId, items, productMap, itemsPrice })
+    : {};
+  const discountedItemsPrice = roundPrice(itemsPrice - couponDiscount);
+
+  const lineAmounts = allocateCouponDiscount(items, couponDiscount, couponEligible);
+  const taxes = await calculateTaxes(
+    items.map((item, index) => ({
+      amount: lineAmounts[index],
+      category: productMap.get(String(item.product)).category,
+    })),
+    { country: shippingAddress?.country }
+  );
+  taxes.lines.forEach((line, index) => {
+    items[index].taxRate = line.taxRate;
+    items[index].taxPrice = line.taxPrice;
+  });
+  const { taxPrice, taxIncluded, taxBreakdown } = taxes;
+
+  const shipping = await calculateShipping(items, productMap, {
+    shippingAddress,
+    shippingMethod,
+    itemsPrice: discountedItemsPrice,
+  });
+  const shippingPrice = shipping.shippingMethod ? shipping.shippingMethod.price : 0;
+  const totalPrice = roundPrice(discountedItemsPrice + taxPrice - taxIncluded + shippingPrice);
+
+  return {
+    orderItems: items,
+    subtotal,
+    discountPrice,
+    itemsPrice,
+    coupon,
+    couponDiscount,
+    taxPrice,
+    taxIncluded,
+    taxBreakdown,
+    shippingPrice,
+    ...shipping,
+    totalPrice,
+  };
+};
+
+const PRICE_FIELDS = [
+  "itemsPrice",
+  "couponDiscount",
+  "taxPrice",
+  "shippingPrice",
+  "totalPrice",
+];
+
+const assertClientPricing = (clientPricing, pricing) => {
+  const mismatches = PRICE_FIELDS.filter((field) => {
+    const clientValue = clientPricing[field];
+    if (clientValue === undefined || clientValue === null || clientValue === "") {
+      return false;
+    }
+    return Math.abs(Number(clientValue) - pricing[field]) > PRICE_TOLERANCE;
+  });
+
+  (clientPricing.orderItems || []).forEach((item, index) => {
+    const line = pricing.orderItems[index];
+    if (
+      line &&
+      item.priceSale !== undefined &&
+      Math.abs(Number(item.priceSale) - line.priceSale) > PRICE_TOLERANCE
+    ) {
+      mismatches.push(`orderItems[${index}].priceSale`);
+    }
+  });
+
+  if (mismatches.length > 0) {
+    throw createPricingError("Order prices do not match current prices", 400, {
+      mismatches,
+      pricing,
+    });
+  }
+};
+
+export { calculateOrderPricing, assertClientPricing, priceLine, roundPrice };
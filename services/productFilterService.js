@@ -0,0 +1,289 @@
+import Product from "../models/productModel.js";
+import { buildVariantConditions, buildVariantStockMatch } from "./inventoryService.js";
+import { buildTextFilter } from "./productSearchService.js";
+
+const MAX_FACET_VALUES = 100;
+const PRICE_BUCKETS = 5;
+const RATING_BOUNDARIES = [1, 2, 3, 4, 5, 6];
+const FILTER_TIMEOUT_MS = 30000;
+const DEFAULT_FACET_CACHE_TTL_MINUTES = 10;
+
+const SORT_OPTIONS = {
+  latest: { createdAt: -1 },
+  rating: { rating: -1 },
+  sale: { sale: -1 },
+  priceAsc: { priceSale: 1 },
+  priceDesc: { priceSale: -1 },
+};
+
+const PRODUCT_PROJECTION = {
+  _id: 1,
+  name: 1,
+  price: 1,
+  sale: 1,
+  images: { $slice: ["$images", 3] },
+  brand: 1,
+  category: 1,
+  description: 1,
+  rating: 1,
+  numReviews: 1,
+  countInStock: 1,
+  colors: 1,
+  variants: 1,
+  user: 1,
+  reviews: 1,
+  outfitTags: 1,
+  compatibleProducts: 1,
+  createdAt: 1,
+  updatedAt: 1,
+  priceSale: 1,
+  score: 1,
+};
+
+const EMPTY_FILTERS = { categories: [], brands: [], sizes: [], colors: [] };
+
+const priceSaleExpression = {
+  $multiply: ["$price", { $subtract: [1, { $divide: ["$sale", 100] }] }],
+};
+
+let unfilteredFacets = null;
+let unfilteredFacetsPromise = null;
+
+const getRatingRange = (rating) => {
+  if (rating === 5) {
+    return [5, 6];
+  }
+  if (rating >= 1 && rating < 5) {
+    return [rating, rating + 1];
+  }
+  return [0, 0];
+};
+
+const buildMatch = (filters, exclude) => {
+  const clauses = [];
+  if (filters.categories.length > 0 && exclude !== "category") {
+    clauses.push({ category: { $in: filters.categories } });
+  }
+  if (filters.brands.length > 0 && exclude !== "brand") {
+    clauses.push({ brand: { $in: filters.brands } });
+  }
+
+  const sizes = exclude === "size" ? [] : filters.sizes;
+  const colors = exclude === "color" ? [] : filters.colors;
+  if (sizes.length > 0 || colors.length > 0) {
+    clauses.push(buildVariantStockMatch({ sizes, colors }));
+  }
+
+  if (filters.rating !== undefined && exclude !== "rating") {
+    const [minRating, maxRating] = getRatingRange(filters.rating);
+    clauses.push({ rating: { $gte: minRating, $lt: maxRating } });
+  }
+  if (exclude !== "price") {
+    if (filters.priceMin !== undefined) {
+      clauses.push({ $expr: { $gte: [priceSaleExpression, filters.priceMin] } });
+    }
+    if (filters.priceMax !== undefined) {
+      clauses.push({ $expr: { $lte: [priceSaleExpression, filters.priceMax] } });
+    }
+  }
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+const buildValueFacet = (filters, field) => [
+  { $match: buildMatch(filters, field) },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+const colorNameExpression = {
+  $ifNull: [
+    {
+      $arrayElemAt: [
+        {
+          $map: {
+            input: {
+              $filter: {
+                input: { $ifNull: ["$colors", []] },
+                as: "color",
+                cond: {
+                  $eq: [{ $toLower: "$$color.hexCode" }, { $toLower: "$variants.color" }],
+                },
+              },
+            },
+            as: "color",
+            in: "$$color.name",
+          },
+        },
+        0,
+      ],
+    },
+    "$variants.color",
+  ],
+};
+
+const buildVariantFacet = (filters, field) => {
+  const selection = field === "size" ? { colors: filters.colors } : { sizes: filters.sizes };
+  return [
+    { $match: buildMatch(filters, field) },
+    { $unwind: "$variants" },
+    { $match: { $expr: { $and: buildVariantConditions(selection, "$variants") } } },
+    ...(field === "color" ? [{ $addFields: { "variants.color": colorNameExpression } }] : []),
+    {
+      $group: {
+        _id: { product: "$_id", key: { $toLower: `$variants.${field}` } },
+        label: { $first: `$variants.${field}` },
+      },
+    },
+    { $group: { _id: "$_id.key", value: { $first: "$label" }, count: { $sum: 1 } } },
+    { $sort: { count: -1, value: 1 } },
+    { $limit: MAX_FACET_VALUES },
+    { $project: { _id: 0, value: 1, count: 1 } },
+  ];
+};
+
+const buildRatingFacet = (filters) => [
+  { $match: buildMatch(filters, "rating") },
+  {
+    $match: {
+      rating: {
+        $gte: RATING_BOUNDARIES[0],
+        $lt: RATING_BOUNDARIES[RATING_BOUNDARIES.length - 1],
+      },
+    },
+  },
+  { $bucket: { groupBy: "$rating", boundaries: RATING_BOUNDARIES } },
+  { $sort: { _id: -1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+const buildPriceFacet = (filters) => [
+  { $match: buildMatch(filters, "price") },
+  { $bucketAuto: { groupBy: priceSaleExpression, buckets: PRICE_BUCKETS } },
+  { $project: { _id: 0, min: "$_id.min", max: "$_id.max", count: 1 } },
+];
+
+const FACETS = {
+  brands: { dimension: "brand", build: (filters) => buildValueFacet(filters, "brand") },
+  categories: {
+    dimension: "category",
+    build: (filters) => buildValueFacet(filters, "category"),
+  },
+  sizes: { dimension: "size", build: (filters) => buildVariantFacet(filters, "size") },
+  colors: { dimension: "color", build: (filters) => buildVariantFacet(filters, "color") },
+  ratings: { dimension: "rating", build: buildRatingFacet },
+  priceRanges: { dimension: "price", build: buildPriceFacet },
+};
+
+const runFacets = async (filters, names, prefilter = []) => {
+  if (names.length === 0) {
+    return {};
+  }
+  const [result] = await Product.aggregate([
+    ...prefilter,
+    {
+      $facet: Object.fromEntries(names.map((name) => [name, FACETS[name].build(filters)])),
+    },
+  ])
+    .allowDiskUse(true)
+    .option({ maxTimeMS: FILTER_TIMEOUT_MS });
+  return result;
+};
+
+// Facets that ignore every selection (the unfiltered catalog page, or the
+// facet of the only selected dimension) are the same for every request, so
+// they are computed once and reused until FACET_CACHE_TTL_MINUTES pass.
+const getUnfilteredFacets = async () => {
+  const ttl =
+    (parseFloat(process.env.FACET_CACHE_TTL_MINUTES) || DEFAULT_FACET_CACHE_TTL_MINUTES) *
+    60 *
+    1000;
+  if (unfilteredFacets && Date.now() - unfilteredFacets.builtAt < ttl) {
+    return unfilteredFacets.facets;
+  }
+  if (!unfilteredFacetsPromise) {
+    unfilteredFacetsPromise = runFacets(EMPTY_FILTERS, Object.keys(FACETS))
+      .then((facets) => {
+        unfilteredFacets = { builtAt: Date.now(), facets };
+        return facets;
+      })
+      .finally(() => {
+        unfilteredFacetsPromise = null;
+      });
+  }
+  if (unfilteredFacets) {
+    unfilteredFacetsPromise.catch((error) => {
+      console.error("Facet cache refresh failed:", error.message);
+    });
+    return unfilteredFacets.facets;
+  }
+  return unfilteredFacetsPromise;
+};
+
+// Only the facets narrowed by a keyword or by another selection are computed
+// per request, over the products that match at least one of them.
+const getFacets = async (filters) => {
+  const textMatch = filters.keyword ? [{ $match: buildTextFilter(filters.keyword) }] : [];
+  const matches = Object.fromEntries(
+    Object.entries(FACETS).map(([name, { dimension }]) => [name, buildMatch(filters, dimension)])
+  );
+  const narrowed = Object.keys(FACETS).filter(
+    (name) => filters.keyword || Object.keys(matches[name]).length > 0
+  );
+  const shared = Object.keys(FACETS).filter((name) => !narrowed.includes(name));
+
+  const needsAll = narrowed.some((name) => Object.keys(matches[name]).length === 0);
+  const prefilter = needsAll
+    ? textMatch
+    : [...textMatch, { $match: { $or: narrowed.map((name) => matches[name]) } }];
+
+  const [cached, computed] = await Promise.all([
+    shared.length > 0 ? getUnfilteredFacets() : {},
+    runFacets(filters, narrowed, prefilter),
+  ]);
+  return Object.fromEntries(
+    Object.keys(FACETS).map((name) => [
+      name,
+      narrowed.includes(name) ? computed[name] : cached[name],
+    ])
+  );
+};
+
+const findProductPage = (filters, { page, perPage }) => {
+  const sortOption =
+    SORT_OPTIONS[filters.sortBy] ||
+    (filters.keyword ? { score: -1, _id: 1 } : { createdAt: -1 });
+  const sortsByPrice = "priceSale" in sortOption;
+  const priceSale = { $addFields: { priceSale: priceSaleExpression } };
+
+  return Product.aggregate([
+    { $match: { ...(filters.keyword && buildTextFilter(filters.keyword)), ...buildMatch(filters) } },
+    ...(filters.keyword ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...(sortsByPrice ? [priceSale] : []),
+    { $sort: sortOption },
+    { $skip: perPage * (page - 1) },
+    { $limit: perPage },
+    ...(sortsByPrice ? [] : [priceSale]),
+    { $project: PRODUCT_PROJECTION },
+  ])
+    .allowDiskUse(true)
+    .option({ maxTimeMS: FILTER_TIMEOUT_MS });
+};
+
+const countProducts = (filters) =>
+  Product.countDocuments({
+    ...(filters.keyword && buildTextFilter(filters.keyword)),
+    ...buildMatch(filters),
+  }).maxTimeMS(FILTER_TIMEOUT_MS);
+
+const filterProductCatalog = async (filters, { page = 1, perPage = 20 } = {}) => {
+  const [products, count, facets] = await Promise.all([
+    findProductPage(filters, { page, perPage }),
+    countProducts(filters),
+    getFacets(filters),
+  ]);
+  return { products, count, facets };
+};
+
+export { filterProductCatalog };
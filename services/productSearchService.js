@@ -0,0 +1,229 @@
+import natural from "natural";
+import Product from "../models/productModel.js";
+import { foldDiacritics, splitWords } from "../utils/searchText.js";
+
+const { DamerauLevenshteinDistance } = natural;
+
+const MIN_FUZZY_TOKEN_LENGTH = 3;
+const MAX_CANDIDATES_PER_TOKEN = 3;
+const DEFAULT_VOCABULARY_TTL_MINUTES = 60;
+const SEARCH_TIMEOUT_MS = 30000;
+
+let vocabulary = null;
+let vocabularyPromise = null;
+let vocabularyStale = false;
+
+const createSearchError = (message, statusCode = 400, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const tokenize = (value) =>
+  splitWords(value)
+    .map(foldDiacritics)
+    .filter((token) => token.length >= MIN_FUZZY_TOKEN_LENGTH);
+
+// The text index is built on the folded searchText fields, so the query is
+// folded the same way. Quotes and leading "-" keep their $text meaning.
+const buildTextFilter = (keyword) => ({
+  $text: { $search: foldDiacritics(keyword).trim() },
+});
+
+// Groups every word of the indexed name, brand, category and tags across the
+// whole catalog on the server; only the distinct words reach the process.
+const buildVocabulary = async () => {
+  const counts = new Map();
+  const surfaces = new Map();
+  const surfaceCounts = new Map();
+  const cursor = Product.aggregate([
+    {
+      $project: {
+        words: {
+          $concatArrays: [
+            [
+              { $ifNull: ["$name", ""] },
+              { $ifNull: ["$brand", ""] },
+              { $ifNull: ["$category", ""] },
+            ],
+            { $ifNull: ["$outfitTags", []] },
+          ],
+        },
+      },
+    },
+    { $unwind: "$words" },
+    { $project: { words: { $split: [{ $toLower: "$words" }, " "] } } },
+    { $unwind: "$words" },
+    { $group: { _id: "$words", count: { $sum: 1 } } },
+  ])
+    .allowDiskUse(true)
+    .option({ maxTimeMS: SEARCH_TIMEOUT_MS })
+    .cursor();
+
+  for await (const { _id: text, count } of cursor) {
+    splitWords(text).forEach((word) => {
+      const key = foldDiacritics(word);
+      if (key.length < MIN_FUZZY_TOKEN_LENGTH) {
+        return;
+      }
+      counts.set(key, (counts.get(key) || 0) + count);
+      // Show the most common spelling, e.g. "áo" rather than "ao".
+      if (!surfaces.has(key) || surfaceCounts.get(key) < count) {
+        surfaces.set(key, word);
+        surfaceCounts.set(key, count);
+      }
+    });
+  }
+
+  const byLength = new Map();
+  counts.forEach((count, key) => {
+    if (!byLength.has(key.length)) {
+      byLength.set(key.length, []);
+    }
+    byLength.get(key.length).push(key);
+  });
+  return { builtAt: Date.now(), counts, surfaces, byLength };
+};
+
+const refreshVocabulary = () => {
+  if (!vocabularyPromise) {
+    vocabularyStale = false;
+    vocabularyPromise = buildVocabulary()
+      .then((built) => {
+        vocabulary = built;
+        return built;
+      })
+      .catch((error) => {
+        vocabularyStale = true;
+        throw error;
+      })
+      .finally(() => {
+        vocabularyPromise = null;
+      });
+  }
+  return vocabularyPromise;
+};
+
+const warmSearchVocabulary = () =>
+  refreshVocabulary().catch((error) => {
+    console.error("Search vocabulary build failed:", error.message);
+  });
+
+const invalidateSearchVocabulary = () => {
+  vocabularyStale = true;
+  warmSearchVocabulary();
+};
+
+// Only the first search after startup waits for the build; later rebuilds run
+// in the background while the previous word list keeps serving.
+const getVocabulary = async () => {
+  const ttl =
+    (parseFloat(process.env.SEARCH_VOCABULARY_TTL_MINUTES) || DEFAULT_VOCABULARY_TTL_MINUTES) *
+    60 *
+    1000;
+  if (vocabulary && !vocabularyStale && Date.now() - vocabulary.builtAt < ttl) {
+    return vocabulary;
+  }
+  if (!vocabulary) {
+    return refreshVocabulary();
+  }
+  warmSearchVocabulary();
+  return vocabulary;
+};
+
+const findCandidates = (token, { counts, surfaces, byLength }) => {
+  const maxDistance = token.length <= 4 ? 1 : 2;
+  const matches = [];
+  for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+    (byLength.get(length) || []).forEach((key) => {
+      const distance = key === token ? 0 : DamerauLevenshteinDistance(token, key);
+      if (distance <= maxDistance) {
+        matches.push({ term: surfaces.get(key), distance, count: counts.get(key) });
+      }
+    });
+  }
+  return matches
+    .sort((a, b) => a.distance - b.distance || b.count - a.count)
+    .slice(0, MAX_CANDIDATES_PER_TOKEN);
+};
+
+const correctQuery = async (query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const words = await getVocabulary();
+  const corrections = tokens.map((token) => ({ token, candidates: findCandidates(token, words) }));
+  const terms = [
+    ...new Set(corrections.flatMap(({ candidates }) => candidates.map(({ term }) => term))),
+  ];
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return {
+    search: terms.join(" "),
+    correctedQuery: corrections
+      .map(({ token, candidates }) => (candidates[0] ? candidates[0].term : token))
+      .join(" "),
+  };
+};
+
+const runTextSearch = async (search, { page, perPage }) => {
+  const filter = buildTextFilter(search);
+  const [count, products] = await Promise.all([
+    Product.countDocuments(filter).maxTimeMS(SEARCH_TIMEOUT_MS),
+    Product.find(filter)
+      .select({ featureVector: 0, score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .skip(perPage * (page - 1))
+      .limit(perPage)
+      .maxTimeMS(SEARCH_TIMEOUT_MS)
+      .lean(),
+  ]);
+
+  products.forEach((product) => {
+    if (product.images && product.images.length > 3) {
+      product.images = product.images.slice(0, 3);
+    }
+  });
+  return { count, products };
+};
+
+const searchProductCatalog = async ({ q, page = 1, perPage = 20, fuzzy = true }) => {
+  const query = String(q ?? "").trim();
+  if (!query) {
+    throw createSearchError("Search query q is required");
+  }
+
+  let result = await runTextSearch(query, { page, perPage });
+  let correctedQuery = null;
+  if (result.count === 0 && fuzzy) {
+    const correction = await correctQuery(query);
+    if (correction) {
+      const corrected = await runTextSearch(correction.search, { page, perPage });
+      if (corrected.count > 0) {
+        result = corrected;
+        correctedQuery = correction.correctedQuery;
+      }
+    }
+  }
+
+  return {
+    query,
+    correctedQuery,
+    products: result.products,
+    page,
+    pages: Math.ceil(result.count / perPage),
+    count: result.count,
+  };
+};
+
+export {
+  searchProductCatalog,
+  warmSearchVocabulary,
+  invalidateSearchVocabulary,
+  buildTextFilter,
+};
@@ -0,0 +1,271 @@
+import Order from "../models/orderModel.js";
+import ReturnRequest, { RETURN_REASONS } from "../models/returnRequestModel.js";
+import { restockItems } from "./inventoryService.js";
+import { refundStripePayment, recordStripeRefund } from "./stripePaymentService.js";
+import { refundPayPalPayment } from "./paypalPaymentService.js";
+import { getOrderCurrency, toOrderCurrency } from "./currencyService.js";
+import { roundPrice } from "./pricingService.js";
+import { toStripeAmount } from "../config/stripe.js";
+
+const DEFAULT_RETURN_WINDOW_DAYS = 30;
+const MAX_RETURN_IMAGES = 5;
+const OPEN_RETURN_STATUSES = ["requested", "approved", "received", "refunded"];
+
+const createReturnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getReturnWindowDays = () =>
+  parseFloat(process.env.RETURN_WINDOW_DAYS) || DEFAULT_RETURN_WINDOW_DAYS;
+
+const assertWithinReturnWindow = (order, now = new Date()) => {
+  if (order.getStatus() !== "delivered") {
+    throw createReturnError("Only delivered orders can be returned");
+  }
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const windowDays = getReturnWindowDays();
+  if (now.getTime() - deliveredAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+    throw createReturnError(`The ${windowDays}-day return window for this order has closed`);
+  }
+};
+
+const validateImages = (images = []) => {
+  if (!Array.isArray(images)) {
+    throw createReturnError("Images must be an array of uploaded image URLs");
+  }
+  if (images.length > MAX_RETURN_IMAGES) {
+    throw createReturnError(`At most ${MAX_RETURN_IMAGES} images can be attached`);
+  }
+  images.forEach((image) => {
+    if (typeof image !== "string" || !/^https?:\/\//.test(image)) {
+      throw createReturnError("Images must be URLs returned by the upload endpoint");
+    }
+  });
+  return images;
+};
+
+const getReturnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: OPEN_RETURN_STATUSES },
+  }).select("items");
+
+  const quantities = new Map();
+  returns.forEach((returnRequest) =>
+    returnRequest.items.forEach((item) => {
+      const key = String(item.orderItem);
+      quantities.set(key, (quantities.get(key) || 0) + item.qty);
+    })
+  );
+  return quantities;
+};
+
+const getRefundedTotal = (order) =>
+  roundPrice((order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+
+const calculateReturnAmount = (order, items) => {
+  const itemsTotal = items.reduce((sum, item) => sum + item.priceSale * item.qty, 0);
+  const ratio =
+    order.itemsPrice > 0
+      ? (order.itemsPrice -
+          (order.couponDiscount || 0) +
+          (order.taxPrice || 0) -
+          (order.taxIncluded || 0)) /
+        order.itemsPrice
+      : 1;
+  return roundPrice(itemsTotal * ratio);
+};
+
+const createReturnRequest = async (order, { userId, items, reason, note, images }) => {
+  assertWithinReturnWindow(order);
+
+  if (!RETURN_REASONS.includes(reason)) {
+    throw createReturnError(`Reason must be one of: ${RETURN_REASONS.join(", ")}`);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createReturnError("Select at least one item to return");
+  }
+
+  const returnedQuantities = await getReturnedQuantities(order._id);
+  const returnItems = items.map((item) => {
+    const line = order.orderItems.id(item.orderItem);
+    if (!line) {
+      throw createReturnError(`Order item not found: ${item.orderItem}`);
+    }
+
+    const qty = Number(item.qty);
+    const key = String(line._id);
+    const alreadyReturned = returnedQuantities.get(key) || 0;
+    if (!Number.isInteger(qty) || qty <= 0 || alreadyReturned + qty > line.qty) {
+      throw createReturnError(
+        `Only ${line.qty - alreadyReturned} of ${line.name} can be returned`
+      );
+    }
+    returnedQuantities.set(key, alreadyReturned + qty);
+
+    return {
+      orderItem: line._id,
+      product: line.product,
+      name: line.name,
+      qty,
+      sizeSelected: line.sizeSelected,
+      colorSelected: line.colorSelected,
+      variant: line.variant,
+      priceSale: line.priceSale,
+    };
+  });
+
+  return ReturnRequest.create({
+    order: order._id,
+    user: userId,
+    items: returnItems,
+    reason,
+    note,
+    images: validateImages(images),
+    refundAmount: calculateReturnAmount(order, returnItems),
+  });
+};
+
+const refundReturnRequest = async (returnId, { changedBy, amount, note } = {}) => {
+  const returnRequest = await ReturnRequest.findById(returnId);
+  if (!returnRequest) {
+    throw createReturnError("Return request not found", 404);
+  }
+  if (returnRequest.status !== "received") {
+    throw createReturnError("Only received returns can be refunded");
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    throw createReturnError("Order not found", 404);
+  }
+
+  const alreadyRecorded = order.refunds.find(
+    (refund) => String(refund.returnRequest) === String(returnRequest._id)
+  );
+  let refund = alreadyRecorded;
+
+  if (!refund) {
+    if (!order.isPaid) {
+      throw createReturnError("Order has not been paid, nothing to refund");
+    }
+
+    const refundable = roundPrice(order.totalPrice - getRefundedTotal(order));
+    const refundAmount = roundPrice(
+      Math.min(amount !== undefined ? Number(amount) : returnRequest.refundAmount, refundable)
+    );
+    if (!(refundAmount > 0)) {
+      throw createReturnError("Refund amount must be greater than 0");
+    }
+
+    refund = {
+      provider: "manual",
+      amount: refundAmount,
+      reason: `Return ${returnRequest._id}`,
+      refundedBy: changedBy,
+      returnRequest: returnRequest._id,
+    };
+
+    // Keyed by the amount actually sent to the provider, in the order currency.
+    const idempotencyKey = `return-${returnRequest._id}-${toStripeAmount(
+      toOrderCurrency(order, refundAmount),
+      getOrderCurrency(order).decimals
+    )}`;
+
+    if (order.paymentIntentId) {
+      const stripeRefund = await refundStripePayment(order, refundAmount, {
+        idempotencyKey,
+        reason: refund.reason,
+        returnRequest: returnRequest._id,
+      });
+      await recordStripeRefund(order, stripeRefund, {
+        amount: refund.amount,
+        reason: refund.reason,
+        refundedBy: changedBy,
+        returnRequest: returnRequest._id,
+      });
+      refund = {
+        ...refund,
+        provider: "stripe",
+        reference: stripeRefund.charge,
+        refundId: stripeRefund.id,
+      };
+    } else {
+      if (order.paypalOrderId) {
+        const paypalRefund = await refundPayPalPayment(order, refundAmount, {
+          requestId: idempotencyKey,
+          reason: refund.reason,
+        });
+        refund = {
+          ...refund,
+          provider: "paypal",
+          reference: order.paymentResult?.id,
+          refundId: paypalRefund.id,
+        };
+      }
+      await Order.updateOne(
+        { _id: order._id, "refunds.returnRequest": { $ne: returnRequest._id } },
+        { $push: { refunds: refund } }
+      );
+    }
+  }
+
+  const updatedReturn = await ReturnRequest.transition(returnRequest._id, "refunded", {
+    changedBy,
+    note,
+    set: {
+      refundAmount: refund.amount,
+      refund: {
+        provider: refund.provider,
+        reference: refund.reference,
+        refundId: refund.refundId,
+        amount: refund.amount,
+        refundedBy: changedBy,
+      },
+    },
+  });
+
+  const updatedOrder = await Order.findById(order._id);
+  if (
+    refund.provider !== "stripe" &&
+    getRefundedTotal(updatedOrder) >= roundPrice(updatedOrder.totalPrice) &&
+    updatedOrder.canTransitionTo("refunded")
+  ) {
+    await Order.transition(order._id, "refunded", {
+      changedBy,
+      note: "Fully refunded through returns",
+    });
+  }
+
+  return updatedReturn;
+};
+
+const receiveReturnRequest = async (returnId, { changedBy, note, amount } = {}) => {
+  const pending = await ReturnRequest.findById(returnId).select("order");
+  if (!pending) {
+    throw createReturnError("Return request not found", 404);
+  }
+  const order = await Order.findById(pending.order).select("isPaid");
+  if (!order) {
+    throw createReturnError("Order not found", 404);
+  }
+
+  const returnRequest = await ReturnRequest.transition(returnId, "received", {
+    changedBy,
+    note: order.isPaid ? note : note || "Order was not paid, nothing to refund",
+  });
+
+  await restockItems(returnRequest.items);
+  const restockedAt = new Date();
+  await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { restockedAt } });
+
+  if (!order.isPaid) {
+    returnRequest.restockedAt = restockedAt;
+    return returnRequest;
+  }
+  return refundReturnRequest(returnRequest._id, { changedBy, amount });
+};
+
+export { createReturnRequest, receiveReturnRequest, refundReturnRequest };
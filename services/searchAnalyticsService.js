@@ -0,0 +1,213 @@
+import mongoose from "mongoose";
+import SearchLog from "../models/searchLogModel.js";
+import { toSearchKey } from "../utils/searchText.js";
+
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+const DEFAULT_MIN_SEARCHES = 10;
+const MAX_SESSION_ID_LENGTH = 100;
+const TREND_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+const createSearchAnalyticsError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toRate = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 100 : 0);
+
+const logSearch = ({
+  source,
+  query,
+  correctedQuery,
+  filters,
+  resultCount,
+  userId,
+  sessionId,
+}) => {
+  const searchId = new mongoose.Types.ObjectId();
+  SearchLog.create({
+    _id: searchId,
+    source,
+    query: query ? String(query).trim().replace(/\s+/g, " ") : undefined,
+    key: toSearchKey(query),
+    correctedQuery: correctedQuery || undefined,
+    filters,
+    resultCount,
+    user: userId,
+    sessionId: sessionId ? String(sessionId).slice(0, MAX_SESSION_ID_LENGTH) : undefined,
+  }).catch((error) => {
+    console.error("Failed to log search:", error.message);
+  });
+  return searchId;
+};
+
+const recordSearchClick = async (searchId, { productId, position } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(searchId)) {
+    throw createSearchAnalyticsError("Invalid search ID");
+  }
+  if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+    throw createSearchAnalyticsError("A valid productId is required");
+  }
+  const clickedPosition =
+    position === undefined || position === null || position === "" ? undefined : Number(position);
+  if (clickedPosition !== undefined && (!Number.isInteger(clickedPosition) || clickedPosition < 1)) {
+    throw createSearchAnalyticsError("position must be a positive integer");
+  }
+
+  const result = await SearchLog.updateOne({ _id: searchId }, { $inc: { clickCount: 1 } });
+  if (result.matchedCount === 0) {
+    throw createSearchAnalyticsError("Search not found", 404);
+  }
+  await SearchLog.updateOne(
+    { _id: searchId, clickedProduct: { $exists: false } },
+    { $set: { clickedProduct: productId, clickedPosition, clickedAt: new Date() } }
+  );
+};
+
+const parseReportDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createSearchAnalyticsError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const parseReportOptions = (query = {}) => {
+  const dateTo = query.dateTo ? parseReportDate(query.dateTo, "dateTo") : new Date();
+  const dateFrom = query.dateFrom
+    ? parseReportDate(query.dateFrom, "dateFrom")
+    : new Date(dateTo.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || DEFAULT_REPORT_LIMIT, 1),
+    MAX_REPORT_LIMIT
+  );
+  return { dateFrom, dateTo, limit, match: { createdAt: { $gte: dateFrom, $lte: dateTo } } };
+};
+
+const queryGroupStage = {
+  $group: {
+    _id: "$key",
+    query: { $last: "$query" },
+    searches: { $sum: 1 },
+    zeroResultSearches: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+    clickedSearches: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+    averageResults: { $avg: "$resultCount" },
+    lastSearchedAt: { $max: "$createdAt" },
+  },
+};
+
+const formatQueryRow = ({ _id, averageResults, ...row }) => ({
+  key: _id,
+  ...row,
+  averageResults: Math.round(averageResults * 10) / 10,
+  clickThroughRate: toRate(row.clickedSearches, row.searches),
+});
+
+const getTopQueries = async (query) => {
+  const { dateFrom, dateTo, limit, match } = parseReportOptions(query);
+  const rows = await SearchLog.aggregate([
+    { $match: { ...match, key: { $gt: "" } } },
+    queryGroupStage,
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]).allowDiskUse(true);
+  return { dateFrom, dateTo, queries: rows.map(formatQueryRow) };
+};
+
+const getZeroResultQueries = async (query) => {
+  const { dateFrom, dateTo, limit, match } = parseReportOptions(query);
+  const rows = await SearchLog.aggregate([
+    { $match: { ...match, key: { $gt: "" }, resultCount: 0 } },
+    {
+      $group: {
+        _id: "$key",
+        query: { $last: "$query" },
+        searches: { $sum: 1 },
+        sessions: { $addToSet: "$sessionId" },
+        lastFilters: { $last: "$filters" },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        key: "$_id",
+        query: 1,
+        searches: 1,
+        sessions: { $size: "$sessions" },
+        lastFilters: 1,
+        lastSearchedAt: 1,
+      },
+    },
+  ]).allowDiskUse(true);
+  return { dateFrom, dateTo, queries: rows };
+};
+
+const getLowCtrQueries = async (query) => {
+  const { dateFrom, dateTo, limit, match } = parseReportOptions(query);
+  const minSearches = Math.max(parseInt(query.minSearches) || DEFAULT_MIN_SEARCHES, 1);
+  const rows = await SearchLog.aggregate([
+    { $match: { ...match, key: { $gt: "" }, resultCount: { $gt: 0 } } },
+    queryGroupStage,
+    { $match: { searches: { $gte: minSearches } } },
+    { $addFields: { clickRatio: { $divide: ["$clickedSearches", "$searches"] } } },
+    { $sort: { clickRatio: 1, searches: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { clickRatio: 0 } },
+  ]).allowDiskUse(true);
+  return { dateFrom, dateTo, minSearches, queries: rows.map(formatQueryRow) };
+};
+
+const getSearchTrend = async (query) => {
+  const { dateFrom, dateTo, match } = parseReportOptions(query);
+  const interval = query.interval || "day";
+  if (!TREND_FORMATS[interval]) {
+    throw createSearchAnalyticsError(
+      `interval must be one of: ${Object.keys(TREND_FORMATS).join(", ")}`
+    );
+  }
+  const key = query.q ? toSearchKey(query.q) : null;
+
+  const rows = await SearchLog.aggregate([
+    { $match: key ? { ...match, key } : match },
+    {
+      $group: {
+        _id: { $dateToString: { format: TREND_FORMATS[interval], date: "$createdAt" } },
+        searches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+        clickedSearches: { $sum: { $cond: [{ $gt: ["$clickCount", 0] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).allowDiskUse(true);
+
+  return {
+    dateFrom,
+    dateTo,
+    interval,
+    query: key,
+    periods: rows.map(({ _id, ...row }) => ({
+      period: _id,
+      ...row,
+      zeroResultRate: toRate(row.zeroResultSearches, row.searches),
+      clickThroughRate: toRate(row.clickedSearches, row.searches),
+    })),
+  };
+};
+
+export {
+  logSearch,
+  recordSearchClick,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowCtrQueries,
+  getSearchTrend,
+};
@@ -0,0 +1,234 @@
+import Product from "../models/productModel.js";
+import Brand from "../models/brandModel.js";
+import Category from "../models/categoryModel.js";
+import SearchLog from "../models/searchLogModel.js";
+import { foldDiacritics, toSearchKey } from "../utils/searchText.js";
+import { invalidateSearchVocabulary } from "./productSearchService.js";
+
+const DEFAULT_SUGGEST_TTL_MINUTES = 60;
+const POPULAR_QUERY_DAYS = 90;
+const MAX_POPULAR_QUERIES = 5000;
+const MAX_QUERY_KEY_LENGTH = 100;
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+let suggestIndex = null;
+let suggestIndexPromise = null;
+let suggestIndexStale = false;
+
+const foldWithOffsets = (text) => {
+  let folded = "";
+  const offsets = [];
+  let index = 0;
+  for (const character of String(text ?? "")) {
+    const mapped = foldDiacritics(character);
+    for (let i = 0; i < mapped.length; i++) {
+      offsets.push(index);
+    }
+    folded += mapped;
+    index += character.length;
+  }
+  offsets.push(index);
+  return { folded, offsets };
+};
+
+const findHighlights = (text, tokens) => {
+  const { folded, offsets } = foldWithOffsets(text);
+  const highlights = [];
+  tokens.forEach((token) => {
+    let position = folded.indexOf(token);
+    while (position !== -1) {
+      if (position === 0 || !WORD_CHARACTER.test(folded[position - 1])) {
+        highlights.push({
+          start: offsets[position],
+          length: offsets[position + token.length] - offsets[position],
+        });
+        return;
+      }
+      position = folded.indexOf(token, position + 1);
+    }
+  });
+  return highlights.sort((a, b) => a.start - b.start);
+};
+
+const matchesAll = (key, tokens) => tokens.every((token) => key.includes(` ${token}`));
+
+const buildLabelEntries = (documents) =>
+  documents.map((document) => ({
+    id: document._id,
+    text: document.name,
+    key: ` ${toSearchKey(document.name)}`,
+  }));
+
+const loadPopularQueries = () =>
+  SearchLog.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: new Date(Date.now() - POPULAR_QUERY_DAYS * 24 * 60 * 60 * 1000) },
+        key: { $gt: "" },
+        resultCount: { $gt: 0 },
+        correctedQuery: { $exists: false },
+      },
+    },
+    { $group: { _id: "$key", query: { $last: "$query" }, count: { $sum: 1 } } },
+    { $match: { $expr: { $lte: [{ $strLenCP: "$_id" }, MAX_QUERY_KEY_LENGTH] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_POPULAR_QUERIES },
+  ]).allowDiskUse(true);
+
+const buildSuggestIndex = async () => {
+  const [products, brands, categories, queries] = await Promise.all([
+    Product.find({}).select("name rating numReviews").lean(),
+    Brand.find({}).select("name").lean(),
+    Category.find({}).select("name").lean(),
+    loadPopularQueries(),
+  ]);
+  products.sort(
+    (a, b) => (b.numReviews || 0) - (a.numReviews || 0) || (b.rating || 0) - (a.rating || 0)
+  );
+
+  const postings = new Map();
+  const entries = products.map((product, rank) => {
+    const key = toSearchKey(product.name);
+    new Set(key.split(" ")).forEach((word) => {
+      if (!word) {
+        return;
+      }
+      if (!postings.has(word)) {
+        postings.set(word, []);
+      }
+      postings.get(word).push(rank);
+    });
+    return { id: product._id, text: product.name, key: ` ${key}` };
+  });
+
+  const tokens = [...postings.keys()].sort();
+  return {
+    builtAt: Date.now(),
+    products: entries,
+    tokens,
+    postings: tokens.map((token) => Uint32Array.from(postings.get(token))),
+    brands: buildLabelEntries(brands),
+    categories: buildLabelEntries(categories),
+    queries: queries.map((entry) => ({ key: entry._id, text: entry.query, count: entry.count })),
+  };
+};
+
+const getSuggestIndex = async () => {
+  const ttl =
+    (parseFloat(process.env.SEARCH_SUGGEST_TTL_MINUTES) || DEFAULT_SUGGEST_TTL_MINUTES) *
+    60 *
+    1000;
+  if (suggestIndex && !suggestIndexStale && Date.now() - suggestIndex.builtAt < ttl) {
+    return suggestIndex;
+  }
+  if (!suggestIndexPromise) {
+    suggestIndexStale = false;
+    suggestIndexPromise = buildSuggestIndex()
+      .then((built) => {
+        suggestIndex = built;
+        return built;
+      })
+      .catch((error) => {
+        suggestIndexStale = true;
+        throw error;
+      })
+      .finally(() => {
+        suggestIndexPromise = null;
+      });
+  }
+  return suggestIndex || suggestIndexPromise;
+};
+
+const invalidateSuggestIndex = () => {
+  suggestIndexStale = true;
+  invalidateSearchVocabulary();
+};
+
+const findTokenRange = ({ tokens, postings }, prefix) => {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (tokens[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  let end = low;
+  let size = 0;
+  while (end < tokens.length && tokens[end].startsWith(prefix)) {
+    size += postings[end].length;
+    end++;
+  }
+  return { start: low, end, size };
+};
+
+const suggestProductNames = (index, tokens, limit) => {
+  const ranges = tokens.map((token) => findTokenRange(index, token));
+  const driver = ranges.reduce((best, range) => (range.size < best.size ? range : best));
+
+  const ranks = new Set();
+  for (let i = driver.start; i < driver.end; i++) {
+    let found = 0;
+    for (const rank of index.postings[i]) {
+      if (found >= limit) {
+        break;
+      }
+      if (matchesAll(index.products[rank].key, tokens)) {
+        ranks.add(rank);
+        found++;
+      }
+    }
+  }
+
+  const seen = new Set();
+  return [...ranks]
+    .sort((a, b) => a - b)
+    .map((rank) => index.products[rank])
+    .filter((entry) => !seen.has(entry.key) && seen.add(entry.key))
+    .slice(0, limit);
+};
+
+const suggestLabels = (entries, tokens, limit) =>
+  entries
+    .filter((entry) => matchesAll(entry.key, tokens))
+    .sort((a, b) => a.text.length - b.text.length || a.text.localeCompare(b.text))
+    .slice(0, limit);
+
+const suggestPopularQueries = (entries, key, limit) =>
+  entries.filter((entry) => entry.key.startsWith(key)).slice(0, limit);
+
+const suggestSearches = async ({ q, limit = 5 }) => {
+  const key = toSearchKey(q);
+  if (!key) {
+    return { query: String(q ?? "").trim(), suggestions: [] };
+  }
+  const tokens = key.split(" ");
+
+  const index = await getSuggestIndex();
+  const toSuggestion = (type) => (entry) => ({
+    type,
+    id: entry.id,
+    text: entry.text,
+    highlights: findHighlights(entry.text, tokens),
+  });
+
+  return {
+    query: String(q).trim(),
+    suggestions: [
+      ...suggestProductNames(index, tokens, limit).map(toSuggestion("product")),
+      ...suggestLabels(index.brands, tokens, limit).map(toSuggestion("brand")),
+      ...suggestLabels(index.categories, tokens, limit).map(toSuggestion("category")),
+      ...suggestPopularQueries(index.queries, key, limit).map((entry) => ({
+        type: "query",
+        text: entry.text,
+        count: entry.count,
+        highlights: findHighlights(entry.text, tokens),
+      })),
+    ],
+  };
+};
+
+export { suggestSearches, invalidateSuggestIndex };
@@ -0,0 +1,113 @@
+import ShippingZone from "../models/shippingZoneModel.js";
+import { normalizeCountry } from "./addressService.js";
+
+const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+const DEFAULT_METHOD_CODE = "standard";
+
+const getShippingConfig = () => ({
+  volumetricDivisor:
+    parseFloat(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || DEFAULT_VOLUMETRIC_DIVISOR,
+  flatRate: parseFloat(process.env.SHIPPING_FLAT_RATE) || 0,
+  freeShippingThreshold: parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 0,
+});
+
+const getVolumetricWeight = (dimensions, divisor) => {
+  const { length, width, height } = dimensions || {};
+  if (!(length > 0 && width > 0 && height > 0)) {
+    return 0;
+  }
+  return (length * width * height) / divisor;
+};
+
+const calculateShippingWeight = (lines) => {
+  const config = getShippingConfig();
+  let actual = 0;
+  let volumetric = 0;
+  lines.forEach(({ product, qty }) => {
+    actual += (Number(product.weight) || 0) * qty;
+    volumetric += getVolumetricWeight(product.dimensions, config.volumetricDivisor) * qty;
+  });
+  return Math.round(Math.max(actual, volumetric) * 1000) / 1000;
+};
+
+const normalizeZoneCountry = (country) => normalizeCountry(country).toUpperCase();
+
+const normalizeZoneCity = (city) => String(city || "").trim().toLowerCase();
+
+const findShippingZone = async (shippingAddress) => {
+  const country = normalizeZoneCountry(shippingAddress.country);
+  const city = normalizeZoneCity(shippingAddress.city);
+  const zones = await ShippingZone.find({ isActive: true, countries: country })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return (
+    zones.find((zone) => zone.cities.length > 0 && zone.cities.includes(city)) ||
+    zones.find((zone) => zone.cities.length === 0) ||
+    null
+  );
+};
+
+const findRate = (rates, weight) =>
+  [...rates]
+    .sort((a, b) => a.minWeight - b.minWeight)
+    .find(
+      (rate) =>
+        weight >= rate.minWeight &&
+        (rate.maxWeight === undefined || rate.maxWeight === null || weight <= rate.maxWeight)
+    );
+
+const getFlatRateMethod = (itemsPrice) => {
+  const config = getShippingConfig();
+  const freeShipping =
+    config.freeShippingThreshold > 0 && itemsPrice >= config.freeShippingThreshold;
+  return {
+    code: DEFAULT_METHOD_CODE,
+    name: "Standard shipping",
+    price: freeShipping ? 0 : config.flatRate,
+    freeShipping,
+  };
+};
+
+const getShippingMethods = async ({ shippingAddress, weight, itemsPrice }) => {
+  if (!(await ShippingZone.exists({ isActive: true }))) {
+    return [getFlatRateMethod(itemsPrice)];
+  }
+  if (!shippingAddress) {
+    return [];
+  }
+
+  const zone = await findShippingZone(shippingAddress);
+  if (!zone) {
+    return [];
+  }
+
+  return zone.methods
+    .filter((method) => method.isActive)
+    .map((method) => {
+      const rate = findRate(method.rates, weight);
+      if (!rate) {
+        return null;
+      }
+      const freeShipping =
+        method.freeShippingThreshold > 0 && itemsPrice >= method.freeShippingThreshold;
+      return {
+        code: method.code,
+        name: method.name,
+        price: freeShipping ? 0 : rate.price,
+        freeShipping,
+        minDeliveryDays: method.minDeliveryDays,
+        maxDeliveryDays: method.maxDeliveryDays,
+        zone: { _id: zone._id, name: zone.name },
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.price - b.price);
+};
+
+export {
+  calculateShippingWeight,
+  getShippingMethods,
+  normalizeZoneCountry,
+  normalizeZoneCity,
+};
@@ -0,0 +1,324 @@
+import Order from "../models/orderModel.js";
+import { cancelOrderAndRelease } from "./orderCancellationService.js";
+import { getStripeClient, toStripeAmount, fromStripeAmount } from "../config/stripe.js";
+import { roundPrice } from "./pricingService.js";
+import {
+  getOrderCharge,
+  getOrderCurrency,
+  toOrderCurrency,
+  fromOrderCurrency,
+} from "./currencyService.js";
+
+const UNPAYABLE_STATUSES = ["cancelled", "refunded"];
+
+const RECORDED_REFUND_STATUSES = ["pending", "requires_action", "succeeded"];
+
+const REUSABLE_INTENT_STATUSES = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+];
+
+const getStripeCharge = (order) => {
+  const charge = getOrderCharge(order);
+  return {
+    amount: toStripeAmount(charge.amount, charge.decimals),
+    currency: charge.currency.toLowerCase(),
+  };
+};
+
+const createPaymentIntentForOrder = async (order) => {
+  order.assertPayable();
+
+  const stripe = getStripeClient();
+  const { amount, currency } = getStripeCharge(order);
+
+  if (order.paymentIntentId) {
+    const existingIntent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+    if (
+      REUSABLE_INTENT_STATUSES.includes(existingIntent.status) &&
+      existingIntent.amount === amount &&
+      existingIntent.currency === currency
+    ) {
+      return existingIntent;
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create(
+    {
+      amount,
+      currency,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+      metadata: {
+        orderId: String(order._id),
+        userId: order.user ? String(order.user) : "",
+        guestEmail: order.guest?.email || "",
+      },
+    },
+    { idempotencyKey: `order-${order._id}-${amount}-${currency}` }
+  );
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { paymentIntentId: paymentIntent.id } }
+  );
+  return paymentIntent;
+};
+
+const cancelPaymentIntentForOrder = async (order) => {
+  const stripe = getStripeClient();
+  const intent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+  if (intent.status === "canceled") {
+    return true;
+  }
+  if (!REUSABLE_INTENT_STATUSES.includes(intent.status)) {
+    return false;
+  }
+  await stripe.paymentIntents.cancel(intent.id, { cancellation_reason: "abandoned" });
+  return true;
+};
+
+const refundStripePayment = async (
+  order,
+  amount,
+  { idempotencyKey, reason, returnRequest } = {}
+) => {
+  if (!order.paymentIntentId) {
+    const error = new Error("Order was not paid through Stripe");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const stripe = getStripeClient();
+  return stripe.refunds.create(
+    {
+      payment_intent: order.paymentIntentId,
+      amount: toStripeAmount(toOrderCurrency(order, amount), getOrderCurrency(order).decimals),
+      metadata: {
+        orderId: String(order._id),
+        ...(reason && { reason }),
+        ...(returnRequest && { returnRequest: String(returnRequest) }),
+      },
+    },
+    idempotencyKey ? { idempotencyKey } : undefined
+  );
+};
+
+// Refunds reach the order both from the return flow and from the
+// charge.refunded webhook, in either order. Entries are keyed by the Stripe
+// refund id so the same money is only recorded once; details passed by the
+// return flow are merged into an entry the webhook already wrote.
+const recordStripeRefund = async (order, stripeRefund, refundDetails = {}) => {
+  const details = Object.fromEntries(
+    Object.entries(refundDetails).filter(([, value]) => value !== undefined)
+  );
+  const entry = Object.fromEntries(
+    Object.entries({
+      provider: "stripe",
+      reference: stripeRefund.charge,
+      refundId: stripeRefund.id,
+      amount: roundPrice(
+        fromOrderCurrency(
+          order,
+          fromStripeAmount(stripeRefund.amount, getOrderCurrency(order).decimals)
+        )
+      ),
+      reason: stripeRefund.metadata?.reason,
+      returnRequest: stripeRefund.metadata?.returnRequest,
+      ...details,
+    }).filter(([, value]) => value !== undefined)
+  );
+
+  const pushed = await Order.updateOne(
+    { _id: order._id, "refunds.refundId": { $ne: stripeRefund.id } },
+    { $push: { refunds: entry } }
+  );
+  if (pushed.matchedCount > 0 || Object.keys(details).length === 0) {
+    return pushed.matchedCount > 0;
+  }
+
+  await Order.updateOne(
+    { _id: order._id, "refunds.refundId": stripeRefund.id },
+    {
+      $set: Object.fromEntries(
+        Object.entries(details).map(([field, value]) => [`refunds.$.${field}`, value])
+      ),
+    }
+  );
+  return false;
+};
+
+const findOrderForStripeObject = async (object) => {
+  const orderId = object.metadata?.orderId;
+  if (orderId) {
+    const order = await Order.findById(orderId);
+    if (order) return order;
+  }
+  const paymentIntentId =
+    object.object === "payment_intent" ? object.id : object.payment_intent;
+  if (paymentIntentId) {
+    return Order.findOne({ paymentIntentId });
+  }
+  return null;
+};
+
+const claimEvent = (order, event) =>
+  Order.findOneAndUpdate(
+    { _id: order._id, "paymentEvents.eventId": { $ne: event.id } },
+    {
+      $push: {
+        paymentEvents: { provider: "stripe", eventId: event.id, type: event.type },
+      },
+    },
+    { new: true }
+  );
+
+const releaseEvent = (order, event) =>
+  Order.updateOne(
+    { _id: order._id },
+    { $pull: { paymentEvents: { provider: "stripe", eventId: event.id } } }
+  );
+
+const buildPaymentResult = (intent, event) => ({
+  id: intent.id,
+  status: intent.status,
+  update_time: new Date(event.created * 1000).toISOString(),
+  email_address: intent.receipt_email,
+});
+
+const refundLatePayment = async (order, intent, event) => {
+  const status = order.getStatus();
+  await getStripeClient().refunds.create(
+    {
+      payment_intent: intent.id,
+      metadata: { orderId: String(order._id), reason: `Paid while ${status}` },
+    },
+    { idempotencyKey: `late-payment-${intent.id}` }
+  );
+
+  const now = new Date();
+  await Order.updateOne(
+    { _id: order._id, isPaid: false },
+    {
+      $set: { isPaid: true, paidAt: now, paymentResult: buildPaymentResult(intent, event) },
+      $push: {
+        statusHistory: {
+          status,
+          changedAt: now,
+          note: `Stripe payment received while ${status}, refunded in full`,
+        },
+      },
+    }
+  );
+  console.error(`Stripe payment ${intent.id} arrived for ${status} order ${order._id}, refunded`);
+  return "refunded_late_payment";
+};
+
+const handlePaymentSucceeded = async (order, intent, event) => {
+  if (order.isPaid) {
+    return "already_paid";
+  }
+
+  if (UNPAYABLE_STATUSES.includes(order.getStatus())) {
+    return refundLatePayment(order, intent, event);
+  }
+
+  const expected = getStripeCharge(order);
+  if (intent.currency !== expected.currency || intent.amount_received < expected.amount) {
+    console.error(
+      `Stripe payment ${intent.id} does not cover order ${order._id}: ${intent.amount_received} ${intent.currency}, expected ${expected.amount} ${expected.currency}`
+    );
+    return "amount_mismatch";
+  }
+
+  await Order.markPaid(order._id, buildPaymentResult(intent, event), {
+    note: "Stripe payment succeeded",
+  });
+  return "paid";
+};
+
+const handlePaymentFailed = async (order, intent, event) => {
+  const note = intent.last_payment_error?.message || "Stripe payment failed";
+  await Order.updateOne(
+    { _id: order._id, isPaid: false },
+    {
+      $set: { paymentResult: buildPaymentResult(intent, event) },
+      $push: {
+        statusHistory: { status: order.getStatus(), changedAt: new Date(), note },
+      },
+    }
+  );
+  return "payment_failed";
+};
+
+const handleChargeRefunded = async (order, charge) => {
+  const stripeRefunds = await getStripeClient().refunds.list({ charge: charge.id, limit: 100 });
+  for (const stripeRefund of stripeRefunds.data) {
+    if (RECORDED_REFUND_STATUSES.includes(stripeRefund.status)) {
+      await recordStripeRefund(order, stripeRefund);
+    }
+  }
+
+  if (!charge.refunded) {
+    return "partially_refunded";
+  }
+
+  const status = order.getStatus();
+  if (["pending", "confirmed", "packed"].includes(status)) {
+    await cancelOrderAndRelease(order, {
+      note: "Refunded through Stripe",
+      reason: "Refunded through Stripe",
+    });
+  }
+
+  const current = await Order.findById(order._id);
+  if (current.canTransitionTo("refunded")) {
+    await Order.transition(order._id, "refunded", { note: "Refunded through Stripe" });
+    return "refunded";
+  }
+
+  console.error(`Order ${order._id} was refunded through Stripe while ${current.getStatus()}`);
+  return "refund_recorded";
+};
+
+const STRIPE_EVENT_HANDLERS = {
+  "payment_intent.succeeded": handlePaymentSucceeded,
+  "payment_intent.payment_failed": handlePaymentFailed,
+  "charge.refunded": handleChargeRefunded,
+};
+
+const applyStripeEvent = async (event) => {
+  const handler = STRIPE_EVENT_HANDLERS[event.type];
+  if (!handler) {
+    return { handled: false, outcome: "ignored" };
+  }
+
+  const object = event.data.object;
+  const order = await findOrderForStripeObject(object);
+  if (!order) {
+    return { handled: false, outcome: "order_not_found" };
+  }
+
+  const claimedOrder = await claimEvent(order, event);
+  if (!claimedOrder) {
+    return { handled: true, outcome: "duplicate", orderId: order._id };
+  }
+
+  try {
+    const outcome = await handler(claimedOrder, object, event);
+    return { handled: true, outcome, orderId: order._id };
+  } catch (error) {
+    await releaseEvent(order, event);
+    throw error;
+  }
+};
+
+export {
+  createPaymentIntentForOrder,
+  cancelPaymentIntentForOrder,
+  applyStripeEvent,
+  refundStripePayment,
+  recordStripeRefund,
+};
@@ -0,0 +1,101 @@
+import TaxRule from "../models/taxRuleModel.js";
+import { normalizeCountry } from "./addressService.js";
+
+const ROUNDING_TOLERANCE = 1e-9;
+
+const normalizeTaxCountry = (country) => normalizeCountry(country).toUpperCase();
+
+const roundTax = (value, mode = "half_up") => {
+  const cents = value * 100;
+  switch (mode) {
+    case "up":
+      return Math.ceil(cents - ROUNDING_TOLERANCE) / 100;
+    case "down":
+      return Math.floor(cents + ROUNDING_TOLERANCE) / 100;
+    case "half_even": {
+      const floor = Math.floor(cents);
+      if (Math.abs(cents - floor - 0.5) < ROUNDING_TOLERANCE) {
+        return (floor % 2 === 0 ? floor : floor + 1) / 100;
+      }
+      return Math.round(cents) / 100;
+    }
+    default:
+      return Math.round(cents + ROUNDING_TOLERANCE) / 100;
+  }
+};
+
+const getLegacyTaxRule = () => ({
+  name: "Tax",
+  rate: (parseFloat(process.env.TAX_RATE) || 0) * 100,
+  inclusive: false,
+  rounding: "half_up",
+});
+
+const findTaxRules = async (country) => {
+  if (!(await TaxRule.exists({ isActive: true }))) {
+    return [getLegacyTaxRule()];
+  }
+  if (!country) {
+    return [];
+  }
+  return TaxRule.find({ isActive: true, country: normalizeTaxCountry(country) }).lean();
+};
+
+const selectTaxRule = (rules, category) =>
+  rules.find((rule) => rule.category && rule.category === category) ||
+  rules.find((rule) => !rule.category) ||
+  null;
+
+const calculateLineTax = (amount, rule) => {
+  const rate = rule.rate / 100;
+  const tax = rule.inclusive ? amount - amount / (1 + rate) : amount * rate;
+  return roundTax(tax, rule.rounding);
+};
+
+const calculateTaxes = async (lines, { country } = {}) => {
+  const rules = await findTaxRules(country);
+  const breakdown = new Map();
+  let taxPrice = 0;
+  let taxIncluded = 0;
+
+  const taxedLines = lines.map((line) => {
+    const rule = selectTaxRule(rules, line.category);
+    if (!rule || rule.rate <= 0 || line.amount <= 0) {
+      return { taxRate: 0, taxPrice: 0 };
+    }
+
+    const tax = calculateLineTax(line.amount, rule);
+    taxPrice += tax;
+    if (rule.inclusive) {
+      taxIncluded += tax;
+    }
+
+    const key = rule._id ? String(rule._id) : rule.name;
+    const entry = breakdown.get(key) || {
+      rule: rule._id,
+      name: rule.name,
+      rate: rule.rate,
+      inclusive: rule.inclusive,
+      taxableAmount: 0,
+      tax: 0,
+    };
+    entry.taxableAmount += rule.inclusive ? line.amount - tax : line.amount;
+    entry.tax += tax;
+    breakdown.set(key, entry);
+
+    return { taxRate: rule.rate, taxPrice: tax };
+  });
+
+  return {
+    lines: taxedLines,
+    taxPrice: roundTax(taxPrice),
+    taxIncluded: roundTax(taxIncluded),
+    taxBreakdown: [...breakdown.values()].map((entry) => ({
+      ...entry,
+      taxableAmount: roundTax(entry.taxableAmount),
+      tax: roundTax(entry.tax),
+    })),
+  };
+};
+
+export { normalizeTaxCountry, calculateTaxes };
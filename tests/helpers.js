@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Tests stub the model methods they expect; anything else fails at once
+// instead of waiting for a database connection.
+mongoose.set("bufferCommands", false);
+
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
@@ -0,0 +1,189 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import "./helpers.js";
+import IdempotencyKey from "../models/idempotencyKeyModel.js";
+import { idempotency } from "../middlewares/idempotencyMiddleware.js";
+
+// An in-memory stand-in for the IdempotencyKey collection and its unique
+// (scope, key) index.
+const createKeyStore = () => {
+  const records = new Map();
+  const keyOf = ({ scope, key }) => `${scope}|${key}`;
+  mock.method(IdempotencyKey, "create", async (doc) => {
+    if (records.has(keyOf(doc))) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    records.set(keyOf(doc), {
+      _id: keyOf(doc),
+      state: "processing",
+      updatedAt: new Date(),
+      ...doc,
+    });
+  });
+  mock.method(IdempotencyKey, "findOne", (filter) => ({
+    lean: async () => structuredClone(records.get(keyOf(filter)) ?? null),
+  }));
+  mock.method(IdempotencyKey, "deleteOne", async (filter) => {
+    const record = records.get(keyOf(filter));
+    if (record && (!filter.expiresAt || record.expiresAt <= filter.expiresAt.$lte)) {
+      records.delete(keyOf(filter));
+    }
+  });
+  mock.method(IdempotencyKey, "updateOne", async (filter, update) => {
+    Object.assign(records.get(keyOf(filter)) || {}, update.$set);
+  });
+  return records;
+};
+
+describe("idempotency middleware", () => {
+  let server;
+  let baseUrl;
+  let records;
+  let orderNumber;
+  let held;
+  const handler = mock.fn(async (req, res) => {
+    if (req.body.fail) {
+      res.status(500).json({ message: "Failed" });
+      return;
+    }
+    if (req.body.hold) {
+      await held.promise;
+    }
+    orderNumber += 1;
+    res.status(201).json({
+      data: { order: { _id: "o1", orderToken: "secret-token" }, n: orderNumber },
+    });
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      if (req.get("X-Test-User")) {
+        req.user = { _id: req.get("X-Test-User") };
+      }
+      next();
+    });
+    app.post("/api/orders", idempotency(), (req, res) => handler(req, res));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    records = createKeyStore();
+    handler.mock.resetCalls();
+    orderNumber = 0;
+    held = {};
+    held.promise = new Promise((resolve) => {
+      held.resolve = resolve;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const post = async (body, headers = {}) => {
+    const response = await fetch(`${baseUrl}/api/orders`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+    const json = await response.json();
+    // The response is stored once the original request has finished.
+    await new Promise((resolve) => setImmediate(resolve));
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  it("replays the stored response for the same user, key and request", async () => {
+    const headers = { "Idempotency-Key": "k1", "X-Test-User": "u1" };
+
+    const first = await post({ items: [1, 2] }, headers);
+    const second = await post({ items: [1, 2] }, headers);
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+    assert.equal(second.headers.get("Idempotent-Replayed"), "true");
+    assert.equal(second.body.data.n, 1);
+  });
+
+  it("scopes keys per user", async () => {
+    await post({ items: [1] }, { "Idempotency-Key": "k1", "X-Test-User": "u1" });
+    const other = await post({ items: [1] }, { "Idempotency-Key": "k1", "X-Test-User": "u2" });
+
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(other.headers.get("Idempotent-Replayed"), null);
+  });
+
+  it("rejects a reused key with a different request", async () => {
+    const headers = { "Idempotency-Key": "k1", "X-Test-User": "u1" };
+
+    await post({ items: [1] }, headers);
+    const reused = await post({ items: [2] }, headers);
+
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.message, "Idempotency-Key was already used with a different request");
+    assert.equal(handler.mock.callCount(), 1);
+  });
+
+  it("answers 409 while the first request is still processing", async () => {
+    const headers = { "Idempotency-Key": "k1", "X-Test-User": "u1" };
+
+    const pending = post({ hold: true }, headers);
+    while (records.size === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    const busy = await post({ hold: true }, headers);
+    held.resolve();
+    const first = await pending;
+
+    assert.equal(first.status, 201);
+    assert.equal(busy.status, 409);
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(busy.body.message, "A request with this Idempotency-Key is still being processed");
+  });
+
+  it("forgets a key whose request failed so it can be retried", async () => {
+    const headers = { "Idempotency-Key": "k1", "X-Test-User": "u1" };
+
+    const failed = await post({ fail: true }, headers);
+    const retried = await post({ fail: true }, headers);
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 500);
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(records.size, 0);
+  });
+
+  it("never stores a guest request that has no cart token", async () => {
+    const body = { items: [1], guest: { email: "guest@example.com" } };
+
+    await post(body, { "Idempotency-Key": "k1" });
+    const second = await post(body, { "Idempotency-Key": "k1" });
+
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(second.body.data.order.orderToken, "secret-token");
+    assert.equal(records.size, 0);
+  });
+
+  it("scopes guests by the cart token and replays without the order token", async () => {
+    const headers = { "Idempotency-Key": "k1", "X-Cart-Token": "cart-secret" };
+
+    const first = await post({ items: [1] }, headers);
+    const replayed = await post({ items: [1] }, headers);
+    const otherCart = await post({ items: [1] }, { ...headers, "X-Cart-Token": "another" });
+
+    assert.equal(first.body.data.order.orderToken, "secret-token");
+    assert.equal(replayed.headers.get("Idempotent-Replayed"), "true");
+    assert.deepEqual(replayed.body.data.order, { _id: "o1" });
+    assert.equal(otherCart.headers.get("Idempotent-Replayed"), null);
+    const [stored] = records.values();
+    assert.doesNotMatch(stored.scope, /cart-secret/);
+    assert.doesNotMatch(JSON.stringify(stored.responseBody), /secret-token/);
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import "./helpers.js";
+import Product from "../models/productModel.js";
+import Order from "../models/orderModel.js";
+import {
+  findVariant,
+  checkStockAvailability,
+  reserveStock,
+  restockOrder,
+} from "../services/inventoryService.js";
+import { cancelOrderAndRelease } from "../services/orderCancellationService.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const PRODUCT_ID = id();
+const RED_M = id();
+const RED_L = id();
+
+const product = {
+  _id: PRODUCT_ID,
+  name: "Linen shirt",
+  colors: [{ name: "Red", hexCode: "#ff0000" }],
+  variants: [
+    { _id: RED_M, color: "#FF0000", size: "M", stock: 3 },
+    { _id: RED_L, color: "Red", size: "L", stock: 1 },
+  ],
+};
+
+const line = (fields) => ({ product: PRODUCT_ID, colorSelected: "Red", qty: 1, ...fields });
+
+const stubProducts = (products = [product]) =>
+  mock.method(Product, "find", () => ({
+    select() {
+      return this;
+    },
+    lean: async () => products,
+  }));
+
+describe("inventory", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("findVariant", () => {
+    it("matches a color by palette name or hex code and the size case-insensitively", () => {
+      assert.equal(findVariant(product, "red", "m")._id, RED_M);
+      assert.equal(findVariant(product, "#ff0000", " L ")._id, RED_L);
+      assert.equal(findVariant(product, "Blue", "M"), null);
+    });
+  });
+
+  describe("checkStockAvailability", () => {
+    it("adds up lines of the same variant before comparing with its stock", async () => {
+      stubProducts();
+
+      await checkStockAvailability([line({ sizeSelected: "M", qty: 3 })]);
+      await assert.rejects(
+        checkStockAvailability([
+          line({ sizeSelected: "M", qty: 2 }),
+          line({ colorSelected: "#ff0000", sizeSelected: "m", qty: 2 }),
+        ]),
+        { statusCode: 400, message: /Not enough stock for product: Linen shirt/ }
+      );
+    });
+
+    it("rejects a variant the product does not have", async () => {
+      stubProducts();
+
+      await assert.rejects(checkStockAvailability([line({ sizeSelected: "XL" })]), {
+        statusCode: 400,
+        message: /Variant not available/,
+      });
+    });
+  });
+
+  describe("reserveStock", () => {
+    it("decrements each variant only while it has enough stock", async () => {
+      stubProducts();
+      const updateOne = mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+
+      const reservations = await reserveStock([
+        line({ sizeSelected: "M", qty: 2 }),
+        line({ sizeSelected: "L", qty: 1 }),
+      ]);
+
+      assert.deepEqual(reservations, [
+        { product: PRODUCT_ID, variant: RED_M, qty: 2 },
+        { product: PRODUCT_ID, variant: RED_L, qty: 1 },
+      ]);
+      const [filter, update] = updateOne.mock.calls[0].arguments;
+      assert.deepEqual(filter.variants.$elemMatch, { _id: RED_M, stock: { $gte: 2 } });
+      assert.deepEqual(update.$inc, { "variants.$.stock": -2, countInStock: -2 });
+    });
+
+    it("gives back the lines already taken when a later line runs out", async () => {
+      stubProducts();
+      const updateOne = mock.method(Product, "updateOne", async (filter) => ({
+        modifiedCount: filter.variants?.$elemMatch?._id === RED_L ? 0 : 1,
+      }));
+
+      await assert.rejects(
+        reserveStock([line({ sizeSelected: "M", qty: 2 }), line({ sizeSelected: "L", qty: 1 })]),
+        { statusCode: 400, message: /Not enough stock/ }
+      );
+
+      assert.equal(updateOne.mock.callCount(), 3);
+      const [filter, update] = updateOne.mock.calls[2].arguments;
+      assert.deepEqual(filter, { _id: PRODUCT_ID, "variants._id": RED_M });
+      assert.deepEqual(update.$inc, { "variants.$.stock": 2, countInStock: 2 });
+    });
+  });
+
+  describe("restockOrder", () => {
+    it("returns the recorded reservations once", async () => {
+      const reservations = [{ product: PRODUCT_ID, variant: RED_M, qty: 2 }];
+      const claim = mock.method(Order, "findOneAndUpdate", async () => ({
+        _id: id(),
+        stockReservations: reservations,
+      }));
+      const updateOne = mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+
+      await restockOrder(id(), { reason: "Order cancelled" });
+      claim.mock.mockImplementation(async () => null);
+      const again = await restockOrder(id(), { reason: "Order cancelled" });
+
+      assert.equal(again, null);
+      assert.equal(updateOne.mock.callCount(), 1);
+      assert.deepEqual(updateOne.mock.calls[0].arguments[1].$inc, {
+        "variants.$.stock": 2,
+        countInStock: 2,
+      });
+    });
+  });
+
+  describe("cancelOrderAndRelease", () => {
+    const cancel = async (cancelled) => {
+      mock.method(Order, "transition", async () => cancelled);
+      const claim = mock.method(Order, "findOneAndUpdate", async () => ({
+        ...cancelled,
+        stockReservations: [{ product: PRODUCT_ID, variant: RED_M, qty: 1 }],
+      }));
+      mock.method(Product, "updateOne", async () => ({ modifiedCount: 1 }));
+      await cancelOrderAndRelease({ _id: cancelled._id });
+      return claim;
+    };
+
+    it("restocks an order that recorded a reservation", async () => {
+      const claim = await cancel({ _id: id(), status: "cancelled", stockReservedAt: new Date() });
+
+      assert.equal(claim.mock.callCount(), 1);
+      assert.equal(Product.updateOne.mock.callCount(), 1);
+    });
+
+    it("does not restock an order that never took stock", async () => {
+      const claim = await cancel({ _id: id(), status: "cancelled" });
+
+      assert.equal(claim.mock.callCount(), 0);
+      assert.equal(Product.updateOne.mock.callCount(), 0);
+    });
+  });
+});
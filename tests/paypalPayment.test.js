@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.js";
+import Order from "../models/orderModel.js";
+import { setPayPalClient } from "../config/paypal.js";
+import { createFakePayPalClient } from "../services/paypalClient.js";
+import {
+  createPayPalOrderForOrder,
+  settlePayPalOrder,
+  refundPayPalPayment,
+} from "../services/paypalPaymentService.js";
+
+const ORDER_ID = "64b000000000000000000002";
+
+const buildOrder = (fields = {}) =>
+  Order.hydrate({
+    _id: ORDER_ID,
+    status: "pending",
+    isPaid: false,
+    totalPrice: 40,
+    currency: { code: "USD", rate: 1, decimals: 2 },
+    ...fields,
+  });
+
+describe("PayPal payments", () => {
+  let paypal;
+  let markPaid;
+
+  beforeEach(() => {
+    paypal = createFakePayPalClient();
+    setPayPalClient(paypal);
+    mock.method(Order, "updateOne", async () => ({ matchedCount: 1 }));
+    mock.method(Order, "exists", async () => null);
+    markPaid = mock.method(Order, "markPaid", async (id, paymentResult) =>
+      buildOrder({ isPaid: true, paymentResult })
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setPayPalClient(null);
+  });
+
+  const createApprovedOrder = async (order) => {
+    const paypalOrder = await createPayPalOrderForOrder(order);
+    order.paypalOrderId = paypalOrder.id;
+    return paypalOrder;
+  };
+
+  it("captures an approved order and marks it paid with the capture", async () => {
+    const order = buildOrder();
+    const paypalOrder = await createApprovedOrder(order);
+
+    const paid = await settlePayPalOrder(order, paypalOrder.id);
+
+    assert.equal(markPaid.mock.callCount(), 1);
+    const [capture] = paypal.captures.keys();
+    assert.equal(paid.paymentResult.id, capture);
+    assert.equal(paid.paymentResult.status, "COMPLETED");
+  });
+
+  it("rejects a capture whose amount does not match the order", async () => {
+    const order = buildOrder();
+    const paypalOrder = await createApprovedOrder(order);
+    order.totalPrice = 45;
+
+    await assert.rejects(settlePayPalOrder(order, paypalOrder.id), {
+      statusCode: 400,
+      message: "PayPal captured 40.00 USD, expected 45.00 USD",
+    });
+    assert.equal(markPaid.mock.callCount(), 0);
+  });
+
+  it("rejects a capture in another currency", async () => {
+    const order = buildOrder();
+    const paypalOrder = await paypal.createOrder({
+      intent: "CAPTURE",
+      purchase_units: [
+        { custom_id: ORDER_ID, amount: { currency_code: "EUR", value: "40.00" } },
+      ],
+    });
+    order.paypalOrderId = paypalOrder.id;
+
+    await assert.rejects(settlePayPalOrder(order, paypalOrder.id), {
+      statusCode: 400,
+      message: "PayPal captured 40.00 EUR, expected 40.00 USD",
+    });
+    assert.equal(markPaid.mock.callCount(), 0);
+  });
+
+  it("rejects a capture already used to pay another order", async () => {
+    const order = buildOrder();
+    const paypalOrder = await createApprovedOrder(order);
+    Order.exists.mock.mockImplementation(async () => ({ _id: "64b000000000000000000003" }));
+
+    await assert.rejects(settlePayPalOrder(order, paypalOrder.id), {
+      message: "PayPal payment was already used for another order",
+    });
+    assert.equal(markPaid.mock.callCount(), 0);
+  });
+
+  it("settles an order whose capture went through on an earlier attempt", async () => {
+    const order = buildOrder();
+    const paypalOrder = await createApprovedOrder(order);
+    // The first capture reached PayPal but the response was lost, so the
+    // order still reads APPROVED when the client retries.
+    const getOrder = paypal.getOrder;
+    const approved = await getOrder(paypalOrder.id);
+    await paypal.captureOrder(paypalOrder.id);
+    let reads = 0;
+    paypal.getOrder = mock.fn(async (id) => {
+      reads += 1;
+      return reads === 1 ? approved : getOrder(id);
+    });
+
+    const paid = await settlePayPalOrder(order, paypalOrder.id);
+
+    assert.equal(paypal.getOrder.mock.callCount(), 2);
+    assert.equal(markPaid.mock.callCount(), 1);
+    assert.equal(paid.paymentResult.id, [...paypal.captures.keys()][0]);
+  });
+
+  it("refunds a capture once per request id and never beyond the captured amount", async () => {
+    const order = buildOrder();
+    const paypalOrder = await createApprovedOrder(order);
+    await settlePayPalOrder(order, paypalOrder.id);
+    const [captureId] = paypal.captures.keys();
+    const paidOrder = buildOrder({
+      isPaid: true,
+      paypalOrderId: paypalOrder.id,
+      paymentResult: { id: captureId, status: "COMPLETED" },
+    });
+
+    const first = await refundPayPalPayment(paidOrder, 30, { requestId: "return-1-3000" });
+    const replay = await refundPayPalPayment(paidOrder, 30, { requestId: "return-1-3000" });
+
+    assert.equal(replay.id, first.id);
+    assert.deepEqual(first.amount, { currency_code: "USD", value: "30.00" });
+    await assert.rejects(refundPayPalPayment(paidOrder, 15, { requestId: "return-2-1500" }), {
+      statusCode: 422,
+      issue: "REFUND_AMOUNT_EXCEEDED",
+    });
+  });
+});
@@ -0,0 +1,246 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import "./helpers.js";
+import Product from "../models/productModel.js";
+import Coupon from "../models/couponModel.js";
+import CouponRedemption from "../models/couponRedemptionModel.js";
+import TaxRule from "../models/taxRuleModel.js";
+import ShippingZone from "../models/shippingZoneModel.js";
+import { calculateOrderPricing, assertClientPricing } from "../services/pricingService.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const SHIRT = {
+  _id: id(),
+  name: "Shirt",
+  price: 20,
+  sale: 10,
+  category: "Shirts",
+  brand: "Acme",
+  weight: 0.4,
+  colors: [{ name: "White", hexCode: "#ffffff" }],
+  variants: [
+    { _id: id(), sku: "SHIRT-WHITE-M", color: "#ffffff", size: "M", price: 20, stock: 5 },
+    { _id: id(), sku: "SHIRT-WHITE-XL", color: "#ffffff", size: "XL", price: 24, stock: 5 },
+  ],
+};
+
+const SHOES = {
+  _id: id(),
+  name: "Shoes",
+  price: 50,
+  sale: 0,
+  category: "Shoes",
+  brand: "Acme",
+  weight: 1,
+  colors: [],
+  variants: [
+    { _id: id(), sku: "SHOES-BLACK-42", color: "Black", size: "42", price: 50, stock: 5 },
+  ],
+};
+
+const shirt = (fields) => ({
+  product: SHIRT._id,
+  colorSelected: "White",
+  sizeSelected: "M",
+  ...fields,
+});
+const shoes = (fields) => ({
+  product: SHOES._id,
+  colorSelected: "Black",
+  sizeSelected: "42",
+  ...fields,
+});
+
+const stubQuery = (result) => ({
+  select() {
+    return this;
+  },
+  sort() {
+    return this;
+  },
+  lean: async () => result,
+});
+
+const stubCatalog = ({ taxRules = [], zones = [], coupon = null } = {}) => {
+  mock.method(Product, "find", () => stubQuery([SHIRT, SHOES]));
+  mock.method(TaxRule, "exists", async () => (taxRules.length > 0 ? { _id: id() } : null));
+  mock.method(TaxRule, "find", () => stubQuery(taxRules));
+  mock.method(ShippingZone, "exists", async () => (zones.length > 0 ? { _id: id() } : null));
+  mock.method(ShippingZone, "find", () => stubQuery(zones));
+  mock.method(Coupon, "findOne", async () => coupon && Coupon.hydrate(coupon));
+  mock.method(CouponRedemption, "countDocuments", async () => 0);
+};
+
+describe("calculateOrderPricing", () => {
+  beforeEach(() => {
+    delete process.env.TAX_RATE;
+    delete process.env.SHIPPING_FLAT_RATE;
+    delete process.env.FREE_SHIPPING_THRESHOLD;
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("prices lines from the variant price and the product sale, not the client", async () => {
+    stubCatalog();
+
+    const pricing = await calculateOrderPricing([
+      shirt({ qty: 2, price: 1, priceSale: 1 }),
+      shirt({ sizeSelected: "xl", qty: 1 }),
+    ]);
+
+    const [medium, large] = pricing.orderItems;
+    assert.equal(medium.price, 20);
+    assert.equal(medium.priceSale, 18);
+    assert.equal(medium.sku, "SHIRT-WHITE-M");
+    assert.equal(large.price, 24);
+    assert.equal(large.priceSale, 21.6);
+    assert.equal(pricing.subtotal, 64);
+    assert.equal(pricing.itemsPrice, 57.6);
+    assert.equal(pricing.discountPrice, 6.4);
+    assert.equal(pricing.totalPrice, 57.6);
+  });
+
+  it("rejects an unknown variant and a bad quantity", async () => {
+    stubCatalog();
+
+    await assert.rejects(calculateOrderPricing([shirt({ sizeSelected: "S", qty: 1 })]), {
+      statusCode: 400,
+      message: /Variant not available for product: Shirt/,
+    });
+    await assert.rejects(calculateOrderPricing([shirt({ qty: 1.5 })]), {
+      statusCode: 400,
+      message: "Invalid quantity for product: Shirt",
+    });
+    await assert.rejects(calculateOrderPricing([{ ...shirt({ qty: 1 }), product: id() }]), {
+      statusCode: 404,
+    });
+  });
+
+  it("discounts only the lines a coupon applies to and taxes the discounted amounts", async () => {
+    stubCatalog({
+      coupon: {
+        _id: id(),
+        code: "SHIRTS10",
+        type: "percentage",
+        value: 50,
+        maxDiscount: 10,
+        isActive: true,
+        usedCount: 0,
+        categories: ["Shirts"],
+      },
+      taxRules: [{ _id: id(), name: "VAT", rate: 10, inclusive: false, country: "VN" }],
+    });
+
+    const pricing = await calculateOrderPricing([shirt({ qty: 2 }), shoes({ qty: 1 })], {
+      couponCode: "shirts10",
+      shippingAddress: { country: "VN", city: "Hanoi" },
+    });
+
+    assert.equal(pricing.coupon.code, "SHIRTS10");
+    assert.equal(pricing.couponDiscount, 10);
+    // Shirts: 36 - 10 = 26, taxed 2.6; shoes: 50, taxed 5.
+    assert.deepEqual(pricing.orderItems.map((item) => item.taxPrice), [2.6, 5]);
+    assert.equal(pricing.taxPrice, 7.6);
+    assert.equal(pricing.totalPrice, 86 - 10 + 7.6);
+  });
+
+  it("does not add inclusive tax to the total", async () => {
+    stubCatalog({
+      taxRules: [{ _id: id(), name: "VAT", rate: 10, inclusive: true, country: "DE" }],
+    });
+
+    const pricing = await calculateOrderPricing([shoes({ qty: 1 })], {
+      shippingAddress: { country: "DE", city: "Berlin" },
+    });
+
+    assert.equal(pricing.taxPrice, 4.55);
+    assert.equal(pricing.taxIncluded, 4.55);
+    assert.equal(pricing.totalPrice, 50);
+  });
+
+  it("charges the selected zone method and applies its free shipping threshold", async () => {
+    const zone = {
+      _id: id(),
+      name: "Vietnam",
+      countries: ["VN"],
+      cities: [],
+      methods: [
+        {
+          code: "standard",
+          name: "Standard",
+          isActive: true,
+          freeShippingThreshold: 80,
+          rates: [{ minWeight: 0, maxWeight: 5, price: 3 }],
+        },
+        {
+          code: "express",
+          name: "Express",
+          isActive: true,
+          rates: [{ minWeight: 0, price: 9 }],
+        },
+      ],
+    };
+    stubCatalog({ zones: [zone] });
+    const address = { country: "VN", city: "Hanoi" };
+
+    const cheapest = await calculateOrderPricing([shirt({ qty: 1 })], {
+      shippingAddress: address,
+    });
+    const express = await calculateOrderPricing([shirt({ qty: 1 })], {
+      shippingAddress: address,
+      shippingMethod: "Express",
+    });
+    const free = await calculateOrderPricing([shoes({ qty: 2 })], { shippingAddress: address });
+
+    assert.equal(cheapest.shippingMethod.code, "standard");
+    assert.equal(cheapest.totalPrice, 18 + 3);
+    assert.equal(express.shippingPrice, 9);
+    assert.equal(free.shippingMethod.code, "standard");
+    assert.equal(free.shippingPrice, 0);
+    await assert.rejects(
+      calculateOrderPricing([shirt({ qty: 1 })], {
+        shippingAddress: address,
+        shippingMethod: "drone",
+      }),
+      { statusCode: 400, message: "Shipping method drone is not available for this address" }
+    );
+  });
+});
+
+describe("assertClientPricing", () => {
+  const pricing = {
+    itemsPrice: 36,
+    couponDiscount: 0,
+    taxPrice: 3.6,
+    shippingPrice: 3,
+    totalPrice: 42.6,
+    orderItems: [{ priceSale: 18 }],
+  };
+
+  it("accepts client prices within a cent and fields the client left out", () => {
+    assertClientPricing({ totalPrice: "42.60", taxPrice: 3.595, orderItems: [{}] }, pricing);
+  });
+
+  it("lists every field the client priced differently", () => {
+    assert.throws(
+      () =>
+        assertClientPricing(
+          { itemsPrice: 30, totalPrice: 36.6, orderItems: [{ priceSale: 15 }] },
+          pricing
+        ),
+      (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.deepEqual(error.data.mismatches, [
+          "itemsPrice",
+          "totalPrice",
+          "orderItems[0].priceSale",
+        ]);
+        return true;
+      }
+    );
+  });
+});
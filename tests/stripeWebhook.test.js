@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Stripe from "stripe";
+import { createResponse } from "./helpers.js";
+
+process.env.STRIPE_SECRET_KEY = "sk_test_webhook_tests";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_webhook_tests";
+
+const { default: Order } = await import("../models/orderModel.js");
+const { getStripeClient } = await import("../config/stripe.js");
+const { handleStripeWebhook } = await import("../controllers/paymentController.js");
+
+const ORDER_ID = "64b000000000000000000001";
+const INTENT_ID = "pi_test_1";
+
+const buildOrder = (fields = {}) =>
+  Order.hydrate({
+    _id: ORDER_ID,
+    status: "pending",
+    isPaid: false,
+    totalPrice: 25.5,
+    currency: { code: "USD", rate: 1, decimals: 2 },
+    paymentIntentId: INTENT_ID,
+    paymentEvents: [],
+    refunds: [],
+    ...fields,
+  });
+
+const buildEvent = (type, object, id = "evt_test_1") => ({
+  id,
+  object: "event",
+  type,
+  created: 1760000000,
+  data: { object },
+});
+
+const buildIntent = (fields = {}) => ({
+  id: INTENT_ID,
+  object: "payment_intent",
+  amount_received: 2550,
+  currency: "usd",
+  status: "succeeded",
+  metadata: { orderId: ORDER_ID },
+  ...fields,
+});
+
+const sendWebhook = async (event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) => {
+  const payload = JSON.stringify(event);
+  const req = {
+    rawBody: Buffer.from(payload),
+    headers: { "stripe-signature": Stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+  };
+  const res = createResponse();
+  await handleStripeWebhook(req, res);
+  return res;
+};
+
+// Stubs the lookup and the event claim; returns the claim mock so tests can
+// make it report an already processed event.
+const stubOrder = (order) => {
+  mock.method(Order, "findById", async () => order);
+  return mock.method(Order, "findOneAndUpdate", async () => order);
+};
+
+describe("handleStripeWebhook", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("rejects a payload with a bad signature before touching orders", async () => {
+    const findById = mock.method(Order, "findById", async () => buildOrder());
+
+    const res = await sendWebhook(buildEvent("payment_intent.succeeded", buildIntent()), {
+      secret: "whsec_someone_else",
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /signature verification failed/);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it("marks the order paid when the payment covers it", async () => {
+    stubOrder(buildOrder());
+    const markPaid = mock.method(Order, "markPaid", async () => buildOrder({ isPaid: true }));
+
+    const res = await sendWebhook(buildEvent("payment_intent.succeeded", buildIntent()));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.outcome, "paid");
+    assert.equal(markPaid.mock.callCount(), 1);
+    const [id, paymentResult] = markPaid.mock.calls[0].arguments;
+    assert.equal(String(id), ORDER_ID);
+    assert.equal(paymentResult.id, INTENT_ID);
+    assert.equal(paymentResult.status, "succeeded");
+  });
+
+  it("does not mark the order paid when the amount or currency differs", async () => {
+    stubOrder(buildOrder());
+    const markPaid = mock.method(Order, "markPaid", async () => null);
+
+    const short = await sendWebhook(
+      buildEvent("payment_intent.succeeded", buildIntent({ amount_received: 2549 }))
+    );
+    const otherCurrency = await sendWebhook(
+      buildEvent("payment_intent.succeeded", buildIntent({ currency: "eur" }), "evt_test_2")
+    );
+
+    assert.equal(short.body.outcome, "amount_mismatch");
+    assert.equal(otherCurrency.body.outcome, "amount_mismatch");
+    assert.equal(markPaid.mock.callCount(), 0);
+  });
+
+  it("acknowledges a replayed event without applying it again", async () => {
+    const claim = stubOrder(buildOrder());
+    claim.mock.mockImplementation(async () => null);
+    const markPaid = mock.method(Order, "markPaid", async () => null);
+
+    const res = await sendWebhook(buildEvent("payment_intent.succeeded", buildIntent()));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.outcome, "duplicate");
+    assert.equal(markPaid.mock.callCount(), 0);
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter["paymentEvents.eventId"], { $ne: "evt_test_1" });
+  });
+
+  it("records a failed payment on an unpaid order", async () => {
+    stubOrder(buildOrder());
+    const updateOne = mock.method(Order, "updateOne", async () => ({ matchedCount: 1 }));
+
+    const res = await sendWebhook(
+      buildEvent(
+        "payment_intent.payment_failed",
+        buildIntent({
+          status: "requires_payment_method",
+          last_payment_error: { message: "Card declined" },
+        })
+      )
+    );
+
+    assert.equal(res.body.outcome, "payment_failed");
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.isPaid, false);
+    assert.equal(update.$set.paymentResult.status, "requires_payment_method");
+    assert.equal(update.$push.statusHistory.note, "Card declined");
+  });
+
+  it("records the refunds Stripe accepted and refunds a fully refunded delivered order", async () => {
+    const order = buildOrder({ status: "delivered", isPaid: true });
+    stubOrder(order);
+    mock.method(getStripeClient().refunds, "list", async () => ({
+      data: [
+        { id: "re_1", charge: "ch_1", amount: 2550, status: "succeeded", metadata: {} },
+        { id: "re_2", charge: "ch_1", amount: 100, status: "failed", metadata: {} },
+      ],
+    }));
+    const updateOne = mock.method(Order, "updateOne", async () => ({ matchedCount: 1 }));
+    const transition = mock.method(Order, "transition", async () => order);
+
+    const res = await sendWebhook(
+      buildEvent("charge.refunded", {
+        id: "ch_1",
+        object: "charge",
+        payment_intent: INTENT_ID,
+        refunded: true,
+        metadata: { orderId: ORDER_ID },
+      })
+    );
+
+    assert.equal(res.body.outcome, "refunded");
+    assert.equal(updateOne.mock.callCount(), 1);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter["refunds.refundId"], { $ne: "re_1" });
+    assert.equal(update.$push.refunds.amount, 25.5);
+    assert.equal(update.$push.refunds.provider, "stripe");
+    assert.equal(transition.mock.calls[0].arguments[1], "refunded");
+  });
+
+  it("only records a partial refund", async () => {
+    stubOrder(buildOrder({ status: "delivered", isPaid: true }));
+    mock.method(getStripeClient().refunds, "list", async () => ({
+      data: [{ id: "re_3", charge: "ch_2", amount: 500, status: "succeeded", metadata: {} }],
+    }));
+    mock.method(Order, "updateOne", async () => ({ matchedCount: 1 }));
+    const transition = mock.method(Order, "transition", async () => null);
+
+    const res = await sendWebhook(
+      buildEvent("charge.refunded", {
+        id: "ch_2",
+        object: "charge",
+        payment_intent: INTENT_ID,
+        refunded: false,
+        metadata: { orderId: ORDER_ID },
+      })
+    );
+
+    assert.equal(res.body.outcome, "partially_refunded");
+    assert.equal(transition.mock.callCount(), 0);
+  });
+
+  it("releases the event claim and answers 500 when applying it fails", async () => {
+    stubOrder(buildOrder());
+    mock.method(Order, "markPaid", async () => {
+      throw new Error("write failed");
+    });
+    const updateOne = mock.method(Order, "updateOne", async () => ({ matchedCount: 1 }));
+
+    const res = await sendWebhook(buildEvent("payment_intent.succeeded", buildIntent()));
+
+    assert.equal(res.statusCode, 500);
+    const [, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(update.$pull.paymentEvents, { provider: "stripe", eventId: "evt_test_1" });
+  });
+});
@@ -0,0 +1,14 @@
+// Lowercase and strip Vietnamese tone marks and đ, so "Đầm" and "dam" compare equal.
+export const foldDiacritics = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase();
+
+export const splitWords = (value) =>
+  String(value ?? "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+export const toSearchKey = (value) => splitWords(foldDiacritics(value)).join(" ");